@@ -0,0 +1,23 @@
+// Type declarations for arrow.js. Needs the optional apache-arrow package.
+
+import type { Table } from "apache-arrow";
+import type { CDPEvent, CDPValueType, ColumnarDataPoints, DataPoint, LoggedNode } from "./client";
+
+export interface DataPointsTableOptions {
+  /** The nodes from `requestLoggedNodes()`, for the value types of the row format. */
+  nodes?: LoggedNode[];
+  /** The CDPValueType of nodes by name, overriding `nodes`. */
+  types?: Record<string, CDPValueType>;
+}
+
+export interface IPCOptions {
+  /** "file" for the Arrow IPC file format, or "stream" for the IPC stream format. */
+  format?: "file" | "stream";
+}
+
+export declare function dataPointsToTable(dataPoints: DataPoint[] | ColumnarDataPoints,
+  options?: DataPointsTableOptions): Table;
+export declare function eventsToTable(events: CDPEvent[]): Table;
+export declare function dataPointsToIPC(dataPoints: DataPoint[] | ColumnarDataPoints,
+  options?: DataPointsTableOptions & IPCOptions): Uint8Array;
+export declare function eventsToIPC(events: CDPEvent[], options?: IPCOptions): Uint8Array;
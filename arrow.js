@@ -0,0 +1,229 @@
+// Apache Arrow export of data point and event query results.
+//
+// Node.js:  const cdpArrow = require('cdplogger-client/arrow');
+// Browser:  include Arrow.es2015.min.js (from the apache-arrow package), client.js
+//           and this file; the functions are then available as cdplogger.arrow.
+
+(function () {
+  let Arrow;              // The apache-arrow module
+  let cdplogger;          // The client library, for CDPValueType
+
+  if (typeof window === 'undefined') {
+    // ---- Node / CommonJS ----
+    Arrow = require('apache-arrow');
+    cdplogger = require('./client');
+  } else {
+    // ---- Browser ----
+    Arrow = window.Arrow;              // injected by <script src="Arrow.es2015.min.js">
+    cdplogger = window.cdplogger;      // injected by <script src="client.js">
+  }
+
+  const CDPValueType = cdplogger.CDPValueType;
+
+  // Arrow types of the CDPValueTypes. Other types are exported as doubles.
+  const ARROW_TYPES = Object.freeze({
+    [CDPValueType.eDOUBLE]: () => new Arrow.Float64(),
+    [CDPValueType.eFLOAT]: () => new Arrow.Float32(),
+    [CDPValueType.eUINT64]: () => new Arrow.Uint64(),
+    [CDPValueType.eINT64]: () => new Arrow.Int64(),
+    [CDPValueType.eUINT]: () => new Arrow.Uint32(),
+    [CDPValueType.eINT]: () => new Arrow.Int32(),
+    [CDPValueType.eUSHORT]: () => new Arrow.Uint16(),
+    [CDPValueType.eSHORT]: () => new Arrow.Int16(),
+    [CDPValueType.eUCHAR]: () => new Arrow.Uint8(),
+    [CDPValueType.eCHAR]: () => new Arrow.Int8(),
+    [CDPValueType.eBOOL]: () => new Arrow.Bool(),
+    [CDPValueType.eSTRING]: () => new Arrow.Utf8()
+  });
+
+  function arrowType(type) {
+    return (ARROW_TYPES[type] || ARROW_TYPES[CDPValueType.eDOUBLE])();
+  }
+
+  // Timestamps are exported as whole microseconds, rounded from the seconds, which
+  // JavaScript numbers hold exactly for current dates. The Arrow builders take
+  // milliseconds and fail on fractions of a microsecond, so the values are built
+  // as Int64 and the vector is then given the timestamp type.
+  function timestampVector(secondsArray) {
+    const micros = Arrow.vectorFromArray(
+      Array.from(secondsArray, seconds => (seconds === null || seconds === undefined ? null : BigInt(Math.round(seconds * 1e6)))),
+      new Arrow.Int64());
+    return new Arrow.Vector(micros.data.map(data => data.clone(new Arrow.TimestampMicrosecond("UTC"))));
+  }
+
+  function stringMapType(valueType) {
+    return new Arrow.Map_(new Arrow.Field("entries", new Arrow.Struct([
+      new Arrow.Field("key", new Arrow.Utf8(), false),
+      new Arrow.Field("value", valueType, true)
+    ])));
+  }
+
+  function toBigInt(value) {
+    if (value === null || value === undefined) {
+      return null;
+    }
+    // Long values from the protobuf decoder convert exactly through their string.
+    return BigInt(typeof value === "number" ? Math.round(value) : String(value));
+  }
+
+  function valueVector(values, type) {
+    if (type === CDPValueType.eINT64 || type === CDPValueType.eUINT64) {
+      values = values.map(toBigInt);
+    }
+    return Arrow.vectorFromArray(values, arrowType(type));
+  }
+
+  // The CDPValueType of a node that is not listed in the options, guessed from its values.
+  function guessType(values) {
+    const value = values.find(v => v !== null && v !== undefined);
+    if (typeof value === "string") return CDPValueType.eSTRING;
+    if (typeof value === "boolean") return CDPValueType.eBOOL;
+    return CDPValueType.eDOUBLE;
+  }
+
+  function nodeTypes(options) {
+    const types = { ...options.types };
+    (options.nodes || []).forEach(node => {
+      if (node.type !== undefined && !(node.name in types)) {
+        types[node.name] = node.type;
+      }
+    });
+    return types;
+  }
+
+  /**
+   * Reads the values of a node from the "columnar" data point format, with null
+   * for the rows before the node had a value.
+   */
+  function columnValues(column, key, length) {
+    const values = new Array(length);
+    for (let index = 0; index < length; index++) {
+      const value = column[key][index];
+      if (index < column.firstIndex || (column.dictionary ? value < 0 : Number.isNaN(value))) {
+        values[index] = null;
+      } else if (column.dictionary) {
+        values[index] = column.dictionary[value];
+      } else {
+        values[index] = column.type === CDPValueType.eBOOL ? value === 1 : value;
+      }
+    }
+    return values;
+  }
+
+  /**
+   * Convert data points to an Arrow table.
+   *
+   * The table has a `timestamp` column of UTC microsecond timestamps, and
+   * `<node>.min`, `<node>.max` and `<node>.last` columns for each node, with
+   * Arrow types matching the nodes' CDPValueTypes. Values a row does not have
+   * are null.
+   *
+   * @param {Array|Object} dataPoints - The result of `requestDataPoints()`, in the
+   *   row or the "columnar" format.
+   * @param {Object} [options] - Optional settings.
+   * @param {Array<Object>} [options.nodes] - The nodes from `requestLoggedNodes()`,
+   *   used for the value types of the row format. The columnar format has them.
+   * @param {Object} [options.types] - The CDPValueType of nodes by name, overriding `nodes`.
+   *   The types of unlisted nodes are guessed from their values.
+   * @returns {Arrow.Table} The table.
+   */
+  function dataPointsToTable(dataPoints, options = {}) {
+    const columns = {};
+    if (Array.isArray(dataPoints)) {
+      const types = nodeTypes(options);
+      const names = [];
+      dataPoints.forEach(row => Object.keys(row.value).forEach(name => {
+        if (!names.includes(name)) {
+          names.push(name);
+        }
+      }));
+      columns.timestamp = timestampVector(dataPoints.map(row => row.timestamp));
+      for (const name of names) {
+        for (const key of ["min", "max", "last"]) {
+          const values = dataPoints.map(row => (row.value[name] ? row.value[name][key] : null));
+          const type = name in types ? types[name] : guessType(values);
+          columns[`${name}.${key}`] = valueVector(values, type);
+        }
+      }
+    } else {
+      columns.timestamp = timestampVector(dataPoints.timestamps);
+      for (const name in dataPoints.nodes) {
+        const column = dataPoints.nodes[name];
+        for (const key of ["min", "max", "last"]) {
+          columns[`${name}.${key}`] = valueVector(columnValues(column, key, dataPoints.length), column.type);
+        }
+      }
+    }
+    return new Arrow.Table(columns);
+  }
+
+  /**
+   * Convert events to an Arrow table.
+   *
+   * The table has the columns `id` (Uint64), `sender`, `code` and `status`
+   * (Uint32), `codeDescription`, `timestamp` and `logstamp` (UTC microsecond
+   * timestamps), `data` (a map of strings) and `tags` (a map of structs with
+   * `value` and `source`, null if the sender has no tags).
+   *
+   * @param {Array<Object>} events - The result of `requestEvents()`.
+   * @returns {Arrow.Table} The table.
+   */
+  function eventsToTable(events) {
+    const tagType = new Arrow.Struct([
+      new Arrow.Field("value", new Arrow.Utf8(), true),
+      new Arrow.Field("source", new Arrow.Utf8(), true)
+    ]);
+    return new Arrow.Table({
+      id: Arrow.vectorFromArray(events.map(evt => toBigInt(evt.id)), new Arrow.Uint64()),
+      sender: Arrow.vectorFromArray(events.map(evt => evt.sender), new Arrow.Utf8()),
+      code: Arrow.vectorFromArray(events.map(evt => evt.code), new Arrow.Uint32()),
+      codeDescription: Arrow.vectorFromArray(events.map(evt => evt.codeDescription || null), new Arrow.Utf8()),
+      status: Arrow.vectorFromArray(events.map(evt => evt.status), new Arrow.Uint32()),
+      timestamp: timestampVector(events.map(evt => evt.timestampSec)),
+      logstamp: timestampVector(events.map(evt => evt.logstampSec)),
+      data: Arrow.vectorFromArray(events.map(evt => evt.data || null), stringMapType(new Arrow.Utf8())),
+      tags: Arrow.vectorFromArray(events.map(evt => evt.tags || null), stringMapType(tagType))
+    });
+  }
+
+  /**
+   * Convert data points to Arrow IPC bytes. See `dataPointsToTable()` for the columns.
+   *
+   * @param {Array|Object} dataPoints - The result of `requestDataPoints()`.
+   * @param {Object} [options] - The options of `dataPointsToTable()`, and:
+   * @param {string} [options.format="file"] - "file" for the Arrow IPC file format
+   *   (.arrow, .feather), or "stream" for the IPC stream format.
+   * @returns {Uint8Array} The IPC bytes.
+   */
+  function dataPointsToIPC(dataPoints, options = {}) {
+    return Arrow.tableToIPC(dataPointsToTable(dataPoints, options), options.format || "file");
+  }
+
+  /**
+   * Convert events to Arrow IPC bytes. See `eventsToTable()` for the columns.
+   *
+   * @param {Array<Object>} events - The result of `requestEvents()`.
+   * @param {Object} [options] - Optional settings.
+   * @param {string} [options.format="file"] - "file" or "stream", see `dataPointsToIPC()`.
+   * @returns {Uint8Array} The IPC bytes.
+   */
+  function eventsToIPC(events, options = {}) {
+    return Arrow.tableToIPC(eventsToTable(events), options.format || "file");
+  }
+
+  const arrow = {
+    dataPointsToTable,
+    eventsToTable,
+    dataPointsToIPC,
+    eventsToIPC
+  };
+
+  // For Node.js
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = arrow;
+  }
+  // For Browser
+  else if (typeof window !== 'undefined') {
+    window.cdplogger.arrow = arrow;
+  }
+})();
@@ -0,0 +1,429 @@
+#!/usr/bin/env node
+// Command-line interface for inspecting a CDP Logger or LogServer.
+//
+// Usage: cdplogger [--url host:port] [--format table|json|ndjson|csv] <command> [arguments]
+// Run `cdplogger --help` for the commands and their options.
+
+const { parseArgs } = require('util');
+const cdplogger = require('../client');
+
+const USAGE = `Usage: cdplogger [options] <command> [arguments]
+
+Commands:
+  version                 Show the logger's API version
+  nodes                   List the logged nodes with their tags
+  limits                  Show the time range of the log
+  data <nodes...>         Show the data points of nodes. Full resolution data is
+                          paged through unless --points or --limit is given
+  events                  Show events
+  count-events            Count events
+  tail [nodes...]         Follow new data points of the nodes, or new events if
+                          no nodes are given, until interrupted
+
+Options:
+  --url <host:port>       The logger to connect to (default: $CDPLOGGER_URL or 127.0.0.1:17000)
+  --format <format>       table, json, ndjson or csv (default: table)
+  --timestamps <format>   iso or epoch (default: iso)
+  --timeout <ms>          The request timeout (default: 30000)
+  --from <time>           The start time (data default: -1h)
+  --to <time>             The end time (data default: now)
+  --points <n>            data: the number of downsampled data points
+  --limit <n>             data, events: the maximum number of rows
+  --columns <list>        data, tail: the comma separated columns of each node
+                          out of min, max and last (default: min,max,last)
+  --sender <pattern>      events: the sender, wildcards allowed. Repeatable
+  --data <key=pattern>    events: an event data condition, wildcards allowed. Repeatable
+  --code-mask <mask>      events: only events with one of these code bits, e.g. 0x1
+  --offset <n>            events: the number of events to skip
+  --newest-first          events: list the newest events first
+  --logstamp              events: match --from and --to to the log timestamp
+  --interval <ms>         tail: the polling interval (default: 1000)
+  --help                  Show this help
+
+Times are ISO 8601 strings, seconds since epoch, "now" or relative to now,
+like -30s, -15m, -1h, -2d or -1w.`;
+
+const OPTIONS = {
+  url: { type: "string" },
+  format: { type: "string", default: "table" },
+  timestamps: { type: "string", default: "iso" },
+  timeout: { type: "string", default: "30000" },
+  from: { type: "string" },
+  to: { type: "string" },
+  points: { type: "string" },
+  limit: { type: "string" },
+  columns: { type: "string", default: "min,max,last" },
+  sender: { type: "string", multiple: true },
+  data: { type: "string", multiple: true },
+  "code-mask": { type: "string" },
+  offset: { type: "string" },
+  "newest-first": { type: "boolean" },
+  logstamp: { type: "boolean" },
+  interval: { type: "string", default: "1000" },
+  help: { type: "boolean" }
+};
+
+const FORMATS = ["table", "json", "ndjson", "csv"];
+
+// Seconds per unit of relative times
+const TIME_UNITS = Object.freeze({ s: 1, m: 60, h: 3600, d: 86400, w: 604800 });
+
+// Thrown for invalid command lines, which are answered with a usage hint.
+class UsageError extends Error {}
+
+/**
+ * Parse a time argument to seconds since epoch.
+ *
+ * @param {string} text - An ISO 8601 time, seconds since epoch, "now" or a time
+ *   relative to now like "-1h".
+ * @param {number} [nowS] - The current time in seconds.
+ * @returns {number} The time in seconds since epoch.
+ * @throws {UsageError} If the time is invalid.
+ */
+function parseTime(text, nowS = Date.now() / 1000) {
+  if (text === "now") {
+    return nowS;
+  }
+  const relative = /^([+-]\d+(?:\.\d+)?)([smhdw])$/.exec(text);
+  if (relative) {
+    return nowS + Number(relative[1]) * TIME_UNITS[relative[2]];
+  }
+  if (/^\d+(?:\.\d+)?$/.test(text)) {
+    return Number(text);
+  }
+  const ms = Date.parse(text);
+  if (Number.isNaN(ms)) {
+    throw new UsageError(`Invalid time "${text}". Use an ISO 8601 time, seconds since epoch, "now" or a relative time like -1h.`);
+  }
+  return ms / 1000;
+}
+
+function parseNumber(name, text) {
+  const value = Number(text);
+  if (text === undefined || text === "" || Number.isNaN(value) || value < 0) {
+    throw new UsageError(`Invalid --${name} "${text}". Expected a non-negative number.`);
+  }
+  return value;
+}
+
+// Turns nested records into columns named like "data.Text".
+function flatten(record, prefix = "", flat = {}) {
+  for (const key of Object.keys(record)) {
+    const value = record[key];
+    if (value !== null && typeof value === "object") {
+      flatten(value, `${prefix}${key}.`, flat);
+    } else {
+      flat[prefix + key] = value;
+    }
+  }
+  return flat;
+}
+
+// parseArgs() takes values starting with "-" for options, so relative times
+// like "--from -1h" are joined to "--from=-1h" first.
+function joinOptionValues(argv) {
+  const joined = [];
+  for (let index = 0; index < argv.length; index++) {
+    const option = OPTIONS[argv[index].replace(/^--/, "")];
+    if (argv[index].startsWith("--") && option && option.type === "string" && index + 1 < argv.length) {
+      joined.push(`${argv[index]}=${argv[++index]}`);
+    } else {
+      joined.push(argv[index]);
+    }
+  }
+  return joined;
+}
+
+/**
+ * Writes records to the output in one of the FORMATS. Records can be written
+ * in several pages; the columns of the table and CSV formats are those of the
+ * first page. CSV is formatted by the library's CsvFormat, so it is quoted and
+ * delimited like the CSV exports of the client.
+ */
+class Printer {
+  constructor(format, output) {
+    this.format = format;
+    // Waits for the output to drain, so that paging waits for slow outputs.
+    this.output = cdplogger.createCsvOutput(output, false);
+    this.csv = format === "csv" ? new cdplogger.CsvFormat() : null;
+    this.columns = null;
+    this.widths = null;
+    this.records = [];  // Records of the json format, printed at the end
+  }
+
+  write(records) {
+    if (this.format === "json") {
+      this.records.push(...records);
+      return Promise.resolve();
+    }
+    if (this.format === "ndjson") {
+      return this.output.write(records.map(record => JSON.stringify(record) + "\n").join(""));
+    }
+    const rows = records.map(record => flatten(record));
+    let text = "";
+    if (this.columns === null) {
+      this.columns = [...new Set([].concat(...rows.map(row => Object.keys(row))))];
+      if (this.format === "table") {
+        this.widths = this.columns.map(column =>
+          Math.max(column.length, ...rows.map(row => this._cell(row[column]).length)));
+      }
+      text += this._line(this.columns);
+    }
+    text += rows.map(row => this._line(this.columns.map(column => row[column]))).join("");
+    return this.output.write(text);
+  }
+
+  async end() {
+    if (this.format === "json") {
+      await this.output.write(JSON.stringify(this.records, null, 2) + "\n");
+    }
+    await this.output.close();
+  }
+
+  _cell(value) {
+    return value === null || value === undefined ? "" : String(value);
+  }
+
+  _line(values) {
+    if (this.csv) {
+      return this.csv.row(values);
+    }
+    return values.map((value, index) => this._cell(value).padEnd(this.widths[index])).join("  ").trimEnd() + "\n";
+  }
+}
+
+function formatTimestamp(seconds, format) {
+  return format === "epoch" ? seconds : new Date(seconds * 1000).toISOString();
+}
+
+function tagValues(tags) {
+  const values = {};
+  for (const name of Object.keys(tags || {})) {
+    values[name] = tags[name].value;
+  }
+  return values;
+}
+
+function dataPointRecord(point, nodeNames, columns, timestamps) {
+  const record = { timestamp: formatTimestamp(point.timestamp, timestamps) };
+  for (const name of nodeNames) {
+    record[name] = {};
+    for (const column of columns) {
+      record[name][column] = point.value[name] ? point.value[name][column] : null;
+    }
+  }
+  return record;
+}
+
+function eventRecord(evt, timestamps) {
+  return {
+    id: String(evt.id),
+    sender: evt.sender,
+    code: evt.code,
+    codeDescription: evt.codeDescription,
+    status: evt.status,
+    timestamp: formatTimestamp(evt.timestampSec, timestamps),
+    logstamp: formatTimestamp(evt.logstampSec, timestamps),
+    data: evt.data || {},
+    tags: tagValues(evt.tags)
+  };
+}
+
+function eventQuery(values) {
+  const Flags = cdplogger.Client.EventQueryFlags;
+  const query = {};
+  if (values.from !== undefined) {
+    query.timeRangeBegin = parseTime(values.from);
+  }
+  if (values.to !== undefined) {
+    query.timeRangeEnd = parseTime(values.to);
+  }
+  if (values.sender) {
+    query.senderConditions = values.sender;
+  }
+  if (values.data) {
+    query.dataConditions = {};
+    for (const condition of values.data) {
+      const separator = condition.indexOf("=");
+      if (separator <= 0) {
+        throw new UsageError(`Invalid --data "${condition}". Expected key=pattern.`);
+      }
+      const key = condition.slice(0, separator);
+      query.dataConditions[key] = (query.dataConditions[key] || []).concat(condition.slice(separator + 1));
+    }
+  }
+  if (values["code-mask"] !== undefined) {
+    query.codeMask = parseNumber("code-mask", values["code-mask"]);
+  }
+  query.flags = (values["newest-first"] ? Flags.NewestFirst : 0) |
+    (values.logstamp ? Flags.UseLogStampForTimeRange : 0);
+  return query;
+}
+
+function parseColumns(text) {
+  const columns = text.split(",").map(column => column.trim());
+  const invalid = columns.filter(column => !["min", "max", "last"].includes(column));
+  if (invalid.length > 0) {
+    throw new UsageError(`Invalid --columns "${invalid.join(", ")}". Allowed values are: min, max, last.`);
+  }
+  return columns;
+}
+
+// Resolves when the process is interrupted.
+function interrupted() {
+  return new Promise(resolve => process.once("SIGINT", resolve));
+}
+
+const COMMANDS = {
+  async version(client, printer) {
+    await printer.write([{ version: await client.requestApiVersion() }]);
+  },
+
+  async nodes(client, printer) {
+    const nodes = await client.requestLoggedNodes();
+    await printer.write(nodes.map(node => ({
+      name: node.name,
+      routing: node.routing,
+      type: node.type !== undefined ? cdplogger.CDPValueType[node.type] : null,
+      tags: tagValues(node.tags)
+    })));
+  },
+
+  async limits(client, printer, { values }) {
+    const limits = await client.requestLogLimits();
+    await printer.write([{
+      start: formatTimestamp(limits.startS, values.timestamps),
+      end: formatTimestamp(limits.endS, values.timestamps)
+    }]);
+  },
+
+  async data(client, printer, { values, args }) {
+    if (args.length === 0) {
+      throw new UsageError("data needs the names of the nodes.");
+    }
+    const columns = parseColumns(values.columns);
+    const startS = parseTime(values.from || "-1h");
+    const endS = parseTime(values.to || "now");
+    const toRecord = point => dataPointRecord(point, args, columns, values.timestamps);
+    if (values.points !== undefined || values.limit !== undefined) {
+      const points = await client.requestDataPoints(args, startS, endS,
+        values.points !== undefined ? parseNumber("points", values.points) : 0,
+        values.limit !== undefined ? parseNumber("limit", values.limit) : 0);
+      await printer.write(points.map(toRecord));
+      return;
+    }
+    for await (const batch of client.iterateDataPoints(args, startS, endS)) {
+      await printer.write(batch.map(toRecord));
+    }
+  },
+
+  async events(client, printer, { values }) {
+    const query = eventQuery(values);
+    if (values.limit !== undefined) {
+      query.limit = parseNumber("limit", values.limit);
+    }
+    if (values.offset !== undefined) {
+      query.offset = parseNumber("offset", values.offset);
+    }
+    for await (const events of client.iterateEvents(query)) {
+      await printer.write(events.map(evt => eventRecord(evt, values.timestamps)));
+    }
+  },
+
+  async "count-events"(client, printer, { values }) {
+    await printer.write([{ count: Number(await client.countEvents(eventQuery(values))) }]);
+  },
+
+  async tail(client, printer, { values, args, stderr }) {
+    const intervalMs = parseNumber("interval", values.interval);
+    const report = error => stderr.write(`cdplogger: ${error.message}\n`);
+    // Subscriptions do not wait for their listeners, so failed writes are reported here.
+    const print = records => printer.write(records).catch(report);
+    let subscription;
+    if (args.length > 0) {
+      const columns = parseColumns(values.columns);
+      subscription = client.subscribeDataPoints(args, { intervalMs });
+      subscription.on("data", rows =>
+        print(rows.map(point => dataPointRecord(point, args, columns, values.timestamps))));
+    } else {
+      subscription = client.subscribeEvents(eventQuery(values), events =>
+        print(events.map(evt => eventRecord(evt, values.timestamps))), { intervalMs });
+    }
+    subscription.on("error", report);
+    await interrupted();
+    subscription.unsubscribe();
+  }
+};
+
+/**
+ * Run the command line interface.
+ *
+ * @param {Array<string>} argv - The command line arguments, without the node and script paths.
+ * @param {Object} [io] - The environment of the command.
+ * @param {Writable} [io.stdout=process.stdout] - The output of the results.
+ * @param {Writable} [io.stderr=process.stderr] - The output of errors.
+ * @param {Function} [io.createClient] - Creates the client as `createClient(url, options)`.
+ * @returns {Promise<number>} The exit code: 0 on success, 1 if a request failed
+ *   and 2 if the command line is invalid.
+ */
+async function main(argv, io = {}) {
+  const stdout = io.stdout || process.stdout;
+  const stderr = io.stderr || process.stderr;
+  const createClient = io.createClient || ((url, options) => new cdplogger.Client(url, options));
+
+  let values;
+  let positionals;
+  try {
+    ({ values, positionals } = parseArgs({ args: joinOptionValues(argv), options: OPTIONS, allowPositionals: true }));
+  } catch (error) {
+    stderr.write(`cdplogger: ${error.message}\nRun cdplogger --help for usage.\n`);
+    return 2;
+  }
+  const [command, ...args] = positionals;
+  if (values.help || command === undefined) {
+    (values.help ? stdout : stderr).write(USAGE + "\n");
+    return values.help ? 0 : 2;
+  }
+
+  let client = null;
+  try {
+    if (!COMMANDS.hasOwnProperty(command)) {
+      throw new UsageError(`Unknown command "${command}".`);
+    }
+    if (!FORMATS.includes(values.format)) {
+      throw new UsageError(`Invalid --format "${values.format}". Allowed values are: ${FORMATS.join(", ")}.`);
+    }
+    if (values.timestamps !== "iso" && values.timestamps !== "epoch") {
+      throw new UsageError(`Invalid --timestamps "${values.timestamps}". Allowed values are: iso, epoch.`);
+    }
+    const url = values.url || process.env.CDPLOGGER_URL || "127.0.0.1:17000";
+    client = createClient(url, {
+      // Only tail keeps the connection up; other commands fail if it is lost.
+      autoReconnect: command === "tail",
+      requestTimeoutMs: parseNumber("timeout", values.timeout)
+    });
+    const printer = new Printer(values.format, stdout);
+    await COMMANDS[command](client, printer, { values, args, stderr });
+    await printer.end();
+    return 0;
+  } catch (error) {
+    stderr.write(`cdplogger: ${error.message}\n`);
+    if (error instanceof UsageError) {
+      stderr.write("Run cdplogger --help for usage.\n");
+      return 2;
+    }
+    return 1;
+  } finally {
+    if (client) {
+      client.disconnect();
+    }
+  }
+}
+
+module.exports = { main, parseTime };
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  });
+}
@@ -0,0 +1,511 @@
+// Type declarations for client.js. Keep them in sync with the JSDoc there;
+// test/types checks them against the documented usage.
+
+import type { Long } from "protobufjs";
+import type { DataPointPyramid, DataPointPyramidOptions } from "./pyramid";
+import type { RecordingOptions, SessionRecording } from "./recording";
+
+export type { DataPointPyramid, DataPointPyramidOptions, RecordingOptions, SessionRecording };
+
+/** The value types of logged nodes, as reported in `LoggedNode.type`. */
+export declare enum CDPValueType {
+  eUNDEFINED = 0,
+  eDOUBLE = 1,
+  eUINT64 = 2,
+  eINT64 = 3,
+  eFLOAT = 4,
+  eUINT = 5,
+  eINT = 6,
+  eUSHORT = 7,
+  eSHORT = 8,
+  eUCHAR = 9,
+  eCHAR = 10,
+  eBOOL = 11,
+  eSTRING = 12,
+  eUSERTYPE = 100
+}
+
+/**
+ * The JavaScript type of the values of a node of the given CDPValueType.
+ * 64-bit integers are converted to numbers.
+ */
+export type CDPValue<T extends CDPValueType = CDPValueType> =
+  T extends CDPValueType.eBOOL ? boolean :
+  T extends CDPValueType.eSTRING ? string :
+  number;
+
+/** A node or event sender tag. */
+export interface Tag {
+  value: string;
+  source: string;
+}
+
+/** Tags by tag name. */
+export type Tags = Record<string, Tag>;
+
+/** A logged node, as returned by `requestLoggedNodes()`. */
+export interface LoggedNode<T extends CDPValueType = CDPValueType> {
+  name: string;
+  routing: string;
+  /** Missing if the server does not report types. */
+  type?: T;
+  /** Missing if the server does not support tags (API < 4.0). */
+  tags?: Tags;
+}
+
+/** The times of the first and last logged data, as returned by `requestLogLimits()`. */
+export interface LogLimits {
+  startS: number;
+  endS: number;
+}
+
+/** The values of a node in a data point row. */
+export interface ValueSpan<V extends CDPValue = CDPValue> {
+  min: V;
+  max: V;
+  last: V;
+}
+
+/**
+ * A data point row, as returned by `requestDataPoints()`. `Values` maps the
+ * node names to their value types, e.g. `{ Output: number, Running: boolean }`.
+ * Nodes are missing from the rows before their first value, and from rows in
+ * which they did not change with `changesOnly`.
+ */
+export interface DataPoint<Values extends Record<string, CDPValue> = Record<string, CDPValue>> {
+  timestamp: number;
+  value: { [Name in keyof Values]?: ValueSpan<Values[Name]> };
+}
+
+/** The typed array holding the values of a node of the given CDPValueType in the columnar format. */
+export type ColumnArray<T extends CDPValueType = CDPValueType> =
+  T extends CDPValueType.eBOOL ? Uint8Array :
+  T extends CDPValueType.eSTRING ? Int32Array :
+  Float64Array;
+
+/** The values of a node in the columnar data point format. */
+export interface DataPointColumn<T extends CDPValueType = CDPValueType> {
+  type: T;
+  min: ColumnArray<T>;
+  max: ColumnArray<T>;
+  last: ColumnArray<T>;
+  /** The distinct values of a string node, indexed by `min`, `max` and `last`. */
+  dictionary?: string[];
+  /** A bitmap of the rows the node was sent in. */
+  valid: Uint8Array;
+  /**
+   * The first row the node was sent in, or `length` if none. The rows before it
+   * have no value, even where the arrays hold 0 or false.
+   */
+  firstIndex: number;
+}
+
+/** Data points in the columnar format, as returned by `requestDataPoints()` with `format: "columnar"`. */
+export interface ColumnarDataPoints {
+  length: number;
+  timestamps: Float64Array;
+  nodes: Record<string, DataPointColumn>;
+}
+
+/** An event, as returned by `requestEvents()`. */
+export interface CDPEvent {
+  sender: string;
+  /** The event data fields, e.g. `Text`, `Level`, `Description` and `Group`. */
+  data: Record<string, string>;
+  timestampSec: number;
+  logstampSec: number;
+  /** A uint64, which is a protobufjs Long when the `long` package is available. */
+  id: Long | number;
+  code: number;
+  status: number;
+  /** The event code as text, see `Client.getEventCodeDescription()`. */
+  codeDescription: string;
+  /** The tags of the sender. */
+  tags?: Tags;
+}
+
+/** The values of `Client.MatchType`. */
+export type MatchType = (typeof Client.MatchType)[keyof typeof Client.MatchType];
+
+/** A sender or data condition. Conditions given as plain values use wildcard matching. */
+export interface Condition {
+  value: string | number | boolean;
+  matchType?: MatchType;
+}
+
+/** The event query accepted by `requestEvents()`, `countEvents()` and the other event methods. */
+export interface EventQuery {
+  timeRangeBegin?: number;
+  timeRangeEnd?: number;
+  limit?: number;
+  offset?: number;
+  /** Only match events with any of these code bits set. */
+  codeMask?: number;
+  /** A combination of `Client.EventQueryFlags`. */
+  flags?: number;
+  senderConditions?: Array<string | Condition>;
+  /** Conditions on the event data fields, by field name. */
+  dataConditions?: Record<string, string | number | boolean | Condition | Array<string | number | boolean | Condition>>;
+}
+
+/** The options accepted by all request methods. */
+export interface RequestOptions {
+  /** Reject with a TimeoutError if there is no response in time. */
+  timeoutMs?: number;
+  /** Reject with an AbortError when aborted. */
+  signal?: AbortSignal;
+  /** Requests with a higher priority are sent first when `maxConcurrentRequests` is reached. */
+  priority?: number;
+}
+
+/** The options of requests that can share the response of an identical request. */
+export interface SharedRequestOptions extends RequestOptions {
+  coalesce?: boolean;
+}
+
+export interface DataPointsOptions extends SharedRequestOptions {
+  changesOnly?: boolean;
+  cache?: boolean;
+  format?: "rows";
+}
+
+export interface EventsOptions extends RequestOptions {
+  /** Only log time ranges without `limit` or `offset` are cached. */
+  cache?: boolean;
+}
+
+export interface ColumnarDataPointsOptions extends SharedRequestOptions {
+  changesOnly?: boolean;
+  format: "columnar";
+}
+
+export interface IterateDataPointsOptions extends RequestOptions {
+  limit?: number;
+  changesOnly?: boolean;
+}
+
+export interface IterateEventsOptions extends RequestOptions {
+  pageSize?: number;
+  paging?: "time" | "offset";
+  onProgress?: (fetched: number, total: number) => void;
+}
+
+/** The parts of a Node.js Writable used by the CSV exports. */
+export interface NodeWritable {
+  write(chunk: string): boolean;
+  once(event: "drain" | "error", listener: (...args: any[]) => void): unknown;
+  off(event: "drain" | "error", listener: (...args: any[]) => void): unknown;
+  end(callback?: () => void): unknown;
+}
+
+/** A Node.js Writable or a WHATWG WritableStream written by the CSV exports. */
+export type CsvOutput = NodeWritable | WritableStream<Uint8Array>;
+
+export interface CsvOptions {
+  delimiter?: string;
+  locale?: string;
+  timestamps?: "iso" | "epoch";
+  end?: boolean;
+}
+
+/** The output of `createCsvOutput()`. */
+export interface CsvWriter {
+  /** Resolves once the output accepts more text. */
+  write(text: string): Promise<void>;
+  /** Ends the output if `end` was given. */
+  close(): Promise<void>;
+  /** Gives up the output after an error without ending it. */
+  release(): void;
+}
+
+export interface ExportDataPointsCSVOptions extends CsvOptions, RequestOptions {
+  columns?: Array<"min" | "max" | "last"> | Record<string, Array<"min" | "max" | "last">>;
+  noOfDataPoints?: number;
+  changesOnly?: boolean;
+  pageSize?: number;
+}
+
+export interface ExportEventsCSVOptions extends CsvOptions, RequestOptions {
+  dataKeys?: string[];
+  tagKeys?: string[];
+  pageSize?: number;
+  paging?: "time" | "offset";
+}
+
+/** A storage adapter for `dataCache.storage` and `eventCache.storage`. Values are objects that can be converted to JSON. */
+export interface StorageAdapter {
+  get(key: string): Promise<any>;
+  set(key: string, value: any): Promise<void>;
+  delete(key: string): Promise<void>;
+}
+
+/** A connection made by a transport. The client sets the handlers. */
+export interface TransportConnection {
+  send(bytes: Uint8Array): void;
+  close(code?: number, reason?: string): void;
+  onopen: (() => void) | null;
+  onmessage: ((bytes: ArrayBuffer | Uint8Array) => void) | null;
+  onerror: ((error: any) => void) | null;
+  onclose: ((event: { code?: number; reason?: string }) => void) | null;
+}
+
+/** Carries the frames between a client and the logger, see `WebSocketTransport`. */
+export interface Transport {
+  connect(url: string): TransportConnection;
+}
+
+/** WebSocket connection settings. In Node.js all but `protocols` are passed on to the `ws` constructor. */
+export interface ConnectionOptions {
+  protocols?: string | string[];
+  headers?: Record<string, string>;
+  ca?: string | Uint8Array | Array<string | Uint8Array>;
+  cert?: string | Uint8Array | Array<string | Uint8Array>;
+  key?: string | Uint8Array | Array<string | Uint8Array>;
+  passphrase?: string;
+  rejectUnauthorized?: boolean;
+  [option: string]: unknown;
+}
+
+/** Called before every connection attempt to get a bearer token. */
+export type TokenProvider = () => string | Promise<string>;
+
+export interface ReconnectPolicy {
+  initialDelayMs?: number;
+  multiplier?: number;
+  maxDelayMs?: number;
+  jitter?: number;
+  maxAttempts?: number;
+  shouldReconnect?: (code: number | undefined, reason: string | undefined) => boolean;
+}
+
+export interface RetryPolicy {
+  maxRetries?: number;
+  initialDelayMs?: number;
+  multiplier?: number;
+  maxDelayMs?: number;
+  jitter?: number;
+}
+
+export interface DataCacheOptions {
+  maxRows?: number;
+  storage?: StorageAdapter;
+}
+
+export interface EventCacheOptions {
+  maxEvents?: number;
+  storage?: StorageAdapter;
+}
+
+export interface ClientOptions {
+  /** Only when the options are passed as the second argument. */
+  autoReconnect?: boolean;
+  requestTimeoutMs?: number;
+  reconnect?: ReconnectPolicy;
+  maxConcurrentRequests?: number;
+  dataCache?: boolean | DataCacheOptions;
+  eventCache?: boolean | EventCacheOptions;
+  retry?: RetryPolicy;
+  connection?: ConnectionOptions;
+  tokenProvider?: TokenProvider;
+  transport?: Transport;
+}
+
+/** The events emitted by the client, with their listener arguments. */
+export type ClientEvents = {
+  open: [];
+  /** The code and reason are missing when closed by `disconnect()`. */
+  close: [code?: number, reason?: string];
+  reconnecting: [info: { attempt: number; delayMs: number }];
+  reconnected: [];
+  error: [error: Error];
+  timeSynced: [timeDiff: number];
+  nodesChanged: [nodes: LoggedNode[]];
+};
+
+/** A minimal event emitter, implemented on EventEmitter in Node.js and EventTarget in browsers. */
+declare class Emitter<Events extends Record<string, unknown[]>> {
+  on<K extends keyof Events & string>(type: K, listener: (...args: Events[K]) => void): this;
+  once<K extends keyof Events & string>(type: K, listener: (...args: Events[K]) => void): this;
+  off<K extends keyof Events & string>(type: K, listener: (...args: Events[K]) => void): this;
+  listenerCount(type: keyof Events & string): number;
+}
+
+/** The values of `Client.ConnectionState`. */
+export type ConnectionState = (typeof Client.ConnectionState)[keyof typeof Client.ConnectionState];
+
+/** A client for interacting with a CDP Logger or LogServer. */
+export declare class Client extends Emitter<ClientEvents> {
+  static readonly EventQueryFlags: {
+    readonly None: 0;
+    readonly NewestFirst: 1;
+    readonly TimeRangeBeginExclusive: 2;
+    readonly TimeRangeEndExclusive: 4;
+    readonly UseLogStampForTimeRange: 8;
+  };
+  static readonly MatchType: {
+    readonly Exact: 0;
+    readonly Wildcard: 1;
+  };
+  static readonly ErrorCode: {
+    readonly InvalidRequest: 1;
+    readonly UnsupportedContainerType: 2;
+    readonly TooManyRequests: 3;
+  };
+  static readonly ConnectionState: {
+    readonly Connecting: "connecting";
+    readonly Open: "open";
+    readonly Reconnecting: "reconnecting";
+    readonly Closed: "closed";
+  };
+
+  /**
+   * @param endpoint The logger endpoint, e.g. "127.0.0.1:17000" or "wss://logger:17000".
+   * @param autoReconnect Whether to reconnect when the connection is lost. Defaults to true.
+   */
+  constructor(endpoint: string, autoReconnect?: boolean, options?: ClientOptions);
+  constructor(endpoint: string, options: ClientOptions);
+
+  state: ConnectionState;
+  /**
+   * Whether `state` is `Client.ConnectionState.Open`. Setting it to true sets `state`
+   * to open, and setting it to false closes an open `state`.
+   */
+  isOpen: boolean;
+  autoReconnect: boolean;
+  requestTimeoutMs: number;
+  enableTimeSync: boolean;
+  /** The difference of the local clock to the server's, in seconds. */
+  timeDiff: number;
+  maxConcurrentRequests: number;
+  dataCache: DataPointCache | null;
+  eventCache: EventCache | null;
+  transport: Transport;
+  /** The recording made by `startRecording()`, or null. */
+  recording: SessionRecording | null;
+  subscriptions: Set<DataPointSubscription | EventSubscription>;
+
+  setEnableTimeSync(enable: boolean): void;
+  disconnect(): void;
+
+  requestApiVersion(options?: RequestOptions): Promise<string>;
+  requestLoggedNodes(options?: SharedRequestOptions): Promise<LoggedNode[]>;
+  requestLogLimits(options?: SharedRequestOptions): Promise<LogLimits>;
+
+  requestDataPoints<Values extends Record<string, CDPValue> = Record<string, CDPValue>>(
+    nodeNames: Array<keyof Values & string>, startS: number, endS: number, noOfDataPoints: number,
+    limit: number, options?: DataPointsOptions): Promise<Array<DataPoint<Values>>>;
+  requestDataPoints(nodeNames: string[], startS: number, endS: number, noOfDataPoints: number,
+    limit: number, options: ColumnarDataPointsOptions): Promise<ColumnarDataPoints>;
+  iterateDataPoints<Values extends Record<string, CDPValue> = Record<string, CDPValue>>(
+    nodeNames: Array<keyof Values & string>, startS: number, endS: number,
+    options?: IterateDataPointsOptions): AsyncGenerator<Array<DataPoint<Values>>, void>;
+  subscribeDataPoints<Values extends Record<string, CDPValue> = Record<string, CDPValue>>(
+    nodeNames: Array<keyof Values & string>,
+    options?: { intervalMs?: number; resolution?: number; startS?: number }): DataPointSubscription<Values>;
+  createDataPointPyramid<Values extends Record<string, CDPValue> = Record<string, CDPValue>>(
+    nodeNames: Array<keyof Values & string>,
+    options?: DataPointPyramidOptions): DataPointPyramid<Values>;
+  exportDataPointsCSV(output: CsvOutput, nodeNames: string[], startS: number, endS: number,
+    options?: ExportDataPointsCSVOptions): Promise<number>;
+
+  requestEvents(query: EventQuery, options?: EventsOptions): Promise<CDPEvent[]>;
+  /** Resolves with a uint64, which is a protobufjs Long when the `long` package is available. */
+  countEvents(query: EventQuery, options?: RequestOptions): Promise<Long | number>;
+  iterateEvents(query: EventQuery, options?: IterateEventsOptions): AsyncGenerator<CDPEvent[], void>;
+  exportEventsCSV(output: CsvOutput, query: EventQuery, options?: ExportEventsCSVOptions): Promise<number>;
+  subscribeEvents(query: EventQuery, handler?: ((events: CDPEvent[]) => void) | null,
+    options?: { intervalMs?: number }): EventSubscription;
+
+  getEventCodeDescription(code: number): string;
+  getEventCodeString(code: number): string;
+  getSenderTags(sender: string): Promise<Tags>;
+
+  startRecording(options?: RecordingOptions): SessionRecording;
+  stopRecording(): SessionRecording | null;
+}
+
+/** The data point cache of a client, enabled with the `dataCache` option. */
+export interface DataPointCache {
+  maxRows: number;
+  rowCount: number;
+  storage: StorageAdapter | null;
+  /** Resolves when the stored cache has been loaded. */
+  ready: Promise<void>;
+  clear(): void;
+  save(): Promise<void>;
+}
+
+/** The event cache of a client, enabled with the `eventCache` option. */
+export interface EventCache extends DataPointCache {}
+
+/** A live subscription, made by `Client.subscribeDataPoints()` or `Client.subscribeEvents()`. */
+export interface Subscription<Row> extends Emitter<{ data: [rows: Row[]]; error: [error: Error] }> {
+  readonly client: Client;
+  intervalMs: number;
+  /** False after `unsubscribe()`. */
+  active: boolean;
+  unsubscribe(): void;
+}
+
+export interface DataPointSubscription<Values extends Record<string, CDPValue> = Record<string, CDPValue>>
+  extends Subscription<DataPoint<Values>> {}
+
+export interface EventSubscription extends Subscription<CDPEvent> {}
+
+/** The base class of the errors reported by the client. */
+export declare class CDPLoggerError extends Error {
+  constructor(message?: string, details?: { code?: number; requestId?: number });
+  /** The error code sent by the server, one of `Client.ErrorCode`. */
+  code: number | undefined;
+  requestId: number | undefined;
+}
+
+export declare class ConnectionClosedError extends CDPLoggerError {}
+export declare class TimeoutError extends CDPLoggerError {}
+export declare class AbortError extends CDPLoggerError {}
+export declare class InvalidRequestError extends CDPLoggerError {}
+export declare class TooManyRequestsError extends CDPLoggerError {}
+
+export declare class UnknownNodeError extends CDPLoggerError {
+  constructor(nodeName: string, details?: { code?: number; requestId?: number });
+  nodeName: string;
+}
+
+export declare class IncompatibleVersionError extends CDPLoggerError {
+  constructor(version: string, details?: { code?: number; requestId?: number });
+  version: string;
+}
+
+/** Formats the fields and rows of the CSV exports, for writing other results in the same layout. */
+export declare class CsvFormat {
+  constructor(options?: Pick<CsvOptions, "delimiter" | "locale" | "timestamps">);
+  delimiter: string;
+  timestamps: "iso" | "epoch";
+  /** Returns the formatted fields joined by the delimiter and ending with CRLF. */
+  row(fields: unknown[]): string;
+  /** Formats a value, quoting it if it contains the delimiter, quotes or line breaks. */
+  field(value: unknown): string;
+  /** Formats a time in seconds since epoch in the timestamp format. */
+  timestamp(seconds: number): string | number;
+}
+
+/** Wraps a Node.js Writable or a WHATWG WritableStream for writing CSV text with backpressure. */
+export declare function createCsvOutput(output: CsvOutput, end: boolean): CsvWriter;
+
+/** A connection made by `WebSocketTransport`. */
+export interface WebSocketConnection extends TransportConnection {
+  /** The WebSocket, once created. Creating it waits for the token provider. */
+  socket: any;
+}
+
+/** The default transport, connecting to the logger with a WebSocket. */
+export declare class WebSocketTransport implements Transport {
+  constructor(options?: {
+    connection?: ConnectionOptions;
+    tokenProvider?: TokenProvider;
+    createWebSocket?: (url: string, token: string | undefined) => any;
+  });
+  connect(url: string): WebSocketConnection;
+}
+
+export {};
@@ -1,22 +1,376 @@
 // Environment detection and dependency loading
 let root;               // protobuf definitions
-let WS;                 // WebSocket constructor
+let WS;                 // WebSocket constructor used by WebSocketTransport
+let EventEmitter;       // Base class for objects that emit events
 
 if (typeof window === 'undefined') {
   // ---- Node / CommonJS ----
   root = require('./generated/containerPb.js');
-  WS   = global.WebSocket || require('ws');
-  global.WebSocket = WS;              // make sure anything else sees it
+  WS   = require('ws');
+  EventEmitter = require('events').EventEmitter;
 } else {
   // ---- Browser ----
   root = window.root;                // injected by <script src="containerPb.js">
   WS   = window.WebSocket;
+  // Minimal EventEmitter API on top of the browser's EventTarget.
+  EventEmitter = class extends EventTarget {
+    constructor() {
+      super();
+      this._wrappers = new Map();
+    }
+
+    on(type, listener) {
+      if (!this._wrappers.has(type)) {
+        this._wrappers.set(type, new Map());
+      }
+      const wrapper = event => listener(...event.detail);
+      this._wrappers.get(type).set(listener, wrapper);
+      this.addEventListener(type, wrapper);
+      return this;
+    }
+
+    once(type, listener) {
+      const onceListener = (...args) => {
+        this.off(type, onceListener);
+        listener(...args);
+      };
+      return this.on(type, onceListener);
+    }
+
+    off(type, listener) {
+      const wrappers = this._wrappers.get(type);
+      if (wrappers && wrappers.has(listener)) {
+        this.removeEventListener(type, wrappers.get(listener));
+        wrappers.delete(listener);
+      }
+      return this;
+    }
+
+    emit(type, ...args) {
+      const hasListeners = this.listenerCount(type) > 0;
+      this.dispatchEvent(new CustomEvent(type, { detail: args }));
+      return hasListeners;
+    }
+
+    listenerCount(type) {
+      const wrappers = this._wrappers.get(type);
+      return wrappers ? wrappers.size : 0;
+    }
+  };
 }
 
 const Container = root.DBMessaging.Protobuf.Container;
 const CDPValueType = root.ICD.Protobuf.CDPValueType;
 const EventQuery = root.DBMessaging.Protobuf.EventQuery;
+// Not named Event, which would hide the browser's Event class from other scripts.
+const EventMessage = root.DBMessaging.Protobuf.Event;
+const VariantValue = root.ICD.Protobuf.VariantValue;
+
+// Since API 3.2 the logger truncates data point queries at this many rows.
+// This and VARIANT_FIELDS are shared with the Node.js modules through protocol.js.
+const MAX_ROWS_PER_QUERY = 50000;
+
+// The VariantValue field holding the value for each CDPValueType.
+const VARIANT_FIELDS = Object.freeze({
+  [CDPValueType.eDOUBLE]: "dValue",
+  [CDPValueType.eFLOAT]: "fValue",
+  [CDPValueType.eUINT64]: "ui64Value",
+  [CDPValueType.eINT64]: "i64Value",
+  [CDPValueType.eUINT]: "uiValue",
+  [CDPValueType.eINT]: "iValue",
+  [CDPValueType.eUSHORT]: "usValue",
+  [CDPValueType.eSHORT]: "sValue",
+  [CDPValueType.eUCHAR]: "ucValue",
+  [CDPValueType.eCHAR]: "cValue",
+  [CDPValueType.eBOOL]: "bValue",
+  [CDPValueType.eSTRING]: "strValue"
+});
+
+// Default settings of the reconnect policy, see the Client constructor.
+const DEFAULT_RECONNECT_POLICY = Object.freeze({
+  initialDelayMs: 1000,
+  multiplier: 2,
+  maxDelayMs: 30000,
+  jitter: 0.5,
+  maxAttempts: Infinity,
+  shouldReconnect: () => true
+});
+
+// Error codes sent by the server in Container.Type.eError messages.
+const ErrorCode = Object.freeze({
+  InvalidRequest: 1,
+  UnsupportedContainerType: 2,
+  TooManyRequests: 3
+});
+
+/**
+ * Base class for all errors reported by the client.
+ *
+ * @property {number|undefined} code - The error code sent by the server, one of
+ *   `Client.ErrorCode`. Undefined for errors detected by the client itself.
+ * @property {number|undefined} requestId - The ID of the failed request, if known.
+ */
+class CDPLoggerError extends Error {
+  constructor(message, { code, requestId } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.requestId = requestId;
+  }
+}
+
+/** The connection was closed before the request was answered. */
+class ConnectionClosedError extends CDPLoggerError {}
+
+/** The request was not answered in time. */
+class TimeoutError extends CDPLoggerError {}
+
+/** The request was cancelled through its AbortSignal. */
+class AbortError extends CDPLoggerError {}
+
+/** The request was invalid, e.g. it had a bad time range or query. */
+class InvalidRequestError extends CDPLoggerError {}
+
+/** The server dropped the request because too many requests were pending (API 3.1+). */
+class TooManyRequestsError extends CDPLoggerError {}
+
+/**
+ * A requested node is not logged by the server.
+ *
+ * @property {string} nodeName - The name of the unknown node.
+ */
+class UnknownNodeError extends CDPLoggerError {
+  constructor(nodeName, details) {
+    super(`Node with name ${nodeName} does not exist.`, details);
+    this.nodeName = nodeName;
+  }
+}
+
+/**
+ * The server's API version is not supported by the client.
+ *
+ * @property {string} version - The version reported by the server.
+ */
+class IncompatibleVersionError extends CDPLoggerError {
+  constructor(version, details) {
+    super("CDP version needs to be 4.3 or newer.", details);
+    this.version = version;
+  }
+}
+
+// Error classes for the codes in ErrorCode. Other codes use CDPLoggerError.
+const SERVER_ERROR_CLASSES = Object.freeze({
+  [ErrorCode.InvalidRequest]: InvalidRequestError,
+  [ErrorCode.UnsupportedContainerType]: InvalidRequestError,
+  [ErrorCode.TooManyRequests]: TooManyRequestsError
+});
+
+// Default settings of the retry policy, see the Client constructor.
+const DEFAULT_RETRY_POLICY = Object.freeze({
+  maxRetries: 3,
+  initialDelayMs: 500,
+  multiplier: 2,
+  maxDelayMs: 10000,
+  jitter: 0.5
+});
+
+/**
+ * Returns the delay before attempt `attempt` (starting from 0) of an exponential
+ * backoff: `initialDelayMs * multiplier^attempt`, capped at `maxDelayMs` and
+ * randomly spread by up to ±`jitter` of itself.
+ */
+function backoffDelay({ initialDelayMs, multiplier, maxDelayMs, jitter }, attempt) {
+  const delay = Math.min(initialDelayMs * Math.pow(multiplier, attempt), maxDelayMs);
+  return Math.max(0, delay * (1 + jitter * (2 * Math.random() - 1)));
+}
+
+/**
+ * Returns one of the modules split from client.js, for the Client methods that
+ * use it. Node.js loads it on first use, as the module requires this one.
+ * Browsers include it with a script tag after client.js, which adds it to the
+ * cdplogger object.
+ *
+ * @param {string} name - The name of the module, e.g. "pyramid" for pyramid.js.
+ * @param {Function} load - Requires the module in Node.js.
+ * @returns {Object} The exports of the module.
+ */
+function loadModule(name, load) {
+  const loaded = typeof window === 'undefined' ? load() : cdplogger[name];
+  if (!loaded) {
+    throw new Error(`${name}.js is not loaded. Include it after client.js.`);
+  }
+  return loaded;
+}
+
+/**
+ * Creates an empty column of the "columnar" data point format of
+ * `Client.requestDataPoints()` for a node of the given CDPValueType.
+ */
+function createColumn(type, length) {
+  const column = { type, valid: new Uint8Array(Math.ceil(length / 8)), firstIndex: length };
+  if (type === CDPValueType.eSTRING) {
+    column.dictionary = [];
+    column._codes = new Map();  // Index of each string in the dictionary
+    ["min", "max", "last"].forEach(key => { column[key] = new Int32Array(length).fill(-1); });
+  } else if (type === CDPValueType.eBOOL) {
+    ["min", "max", "last"].forEach(key => { column[key] = new Uint8Array(length); });
+  } else {
+    ["min", "max", "last"].forEach(key => { column[key] = new Float64Array(length).fill(NaN); });
+  }
+  return column;
+}
+
+function setColumnValue(column, key, index, value) {
+  if (value === null) {
+    return;  // No variant, leave the empty value
+  }
+  if (column.dictionary) {
+    if (!column._codes.has(value)) {
+      column._codes.set(value, column.dictionary.length);
+      column.dictionary.push(value);
+    }
+    column[key][index] = column._codes.get(value);
+  } else {
+    column[key][index] = Number(value);
+  }
+}
+
+/**
+ * Formats the fields of CSV exports. Fields containing the delimiter, quotes or
+ * line breaks are quoted and rows end with CRLF, as in RFC 4180.
+ *
+ * Public for writing CSV of results the export methods do not cover, such as
+ * the logged nodes or the rows of a subscription, in the same layout.
+ *
+ * Example usage:
+ * const format = new cdplogger.CsvFormat({ locale: "de-DE" });
+ * format.row(["Output", 0.5]);  // "Output;0,5\r\n"
+ *
+ * @param {Object} [options] - Optional settings.
+ * @param {string} [options.locale] - Formats numbers for this locale.
+ * @param {string} [options.delimiter] - The field delimiter. Defaults to ";" for
+ *   locales with a decimal comma and "," otherwise.
+ * @param {string} [options.timestamps="iso"] - "iso" or "epoch".
+ * @throws {InvalidRequestError} If the timestamp format is invalid.
+ */
+class CsvFormat {
+  constructor(options = {}) {
+    this.numberFormat = options.locale
+      ? new Intl.NumberFormat(options.locale, { useGrouping: false, maximumFractionDigits: 20 })
+      : null;
+    // Locales with a decimal comma use semicolons between fields, like spreadsheets do.
+    const decimalComma = this.numberFormat !== null && this.numberFormat.format(0.5).includes(",");
+    this.delimiter = options.delimiter || (decimalComma ? ";" : ",");
+    this.timestamps = options.timestamps || "iso";
+    if (this.timestamps !== "iso" && this.timestamps !== "epoch") {
+      throw new InvalidRequestError(`Invalid timestamps "${this.timestamps}". Allowed values are: iso, epoch.`);
+    }
+  }
+
+  /**
+   * @param {Array} fields - The fields of the row.
+   * @returns {string} The formatted fields joined by the delimiter, ending with CRLF.
+   */
+  row(fields) {
+    return fields.map(field => this.field(field)).join(this.delimiter) + "\r\n";
+  }
+
+  /**
+   * @param {*} value - A field. null and undefined are written as empty fields.
+   * @returns {string} The value, with numbers formatted for the locale, quoted if
+   *   it contains the delimiter, quotes or line breaks.
+   */
+  field(value) {
+    if (value === null || value === undefined) {
+      return "";
+    }
+    let text = typeof value === "number" && this.numberFormat ? this.numberFormat.format(value) : String(value);
+    if (text.includes(this.delimiter) || /["\r\n]/.test(text)) {
+      text = `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+  }
+
+  /**
+   * @param {number} seconds - A time in seconds since epoch.
+   * @returns {string|number} The time in the timestamp format, to pass to `row()`.
+   */
+  timestamp(seconds) {
+    if (this.timestamps === "epoch") {
+      return seconds;
+    }
+    return new Date(seconds * 1000).toISOString();
+  }
+}
+
+/**
+ * Wraps a Node.js Writable or a WHATWG WritableStream so that CSV exports can
+ * wait for the output to drain before formatting the next page. Public for
+ * writing the rows of a `CsvFormat` with the same backpressure; text is written
+ * UTF-8 encoded to a WritableStream.
+ *
+ * @param {Writable|WritableStream} output - The output.
+ * @param {boolean} end - Whether `close()` ends the output.
+ * @returns {Object} `write(text)` resolving once the output accepts more,
+ *   `close()`, and `release()` for giving up the output after an error.
+ */
+function createCsvOutput(output, end) {
+  if (typeof output.getWriter === "function") {
+    const writer = output.getWriter();
+    const encoder = new TextEncoder();
+    return {
+      write: text => writer.write(encoder.encode(text)),
+      close: async () => {
+        if (end) {
+          await writer.close();
+        }
+        writer.releaseLock();
+      },
+      release: () => writer.releaseLock()
+    };
+  }
+  return {
+    write: text => new Promise((resolve, reject) => {
+      if (output.write(text)) {
+        resolve();
+        return;
+      }
+      const onDrain = () => { output.off("error", onError); resolve(); };
+      const onError = error => { output.off("drain", onDrain); reject(error); };
+      output.once("drain", onDrain);
+      output.once("error", onError);
+    }),
+    close: () => new Promise(resolve => (end ? output.end(resolve) : resolve())),
+    release: () => {}
+  };
+}
 
+// Senders of the request types made by the public request methods. A request
+// made while disconnected is stored in `queuedRequests` as { type, args } and
+// sent through the same entry once connected.
+const REQUEST_SENDERS = Object.freeze({
+  apiVersion: (client, requestId) => client._sendApiVersionRequest(requestId),
+  loggedNodes: (client, requestId) => client._sendLoggedNodesRequest(requestId),
+  logLimits: (client, requestId) => client._sendLogLimitsRequest(requestId),
+  dataPoints: (client, requestId, nodeNames, startS, endS, noOfDataPoints, limit) =>
+    client._reqDataPoints(nodeNames, startS, endS, noOfDataPoints, limit, requestId),
+  events: (client, requestId, query) => client._sendEventsRequest(requestId, query),
+  countEvents: (client, requestId, query) => client._sendCountEventsRequest(requestId, query),
+  senderTags: (client, requestId, sender) => client._sendEventSenderTagsRequest(requestId, sender)
+});
+
+// The request types that are queries counted against maxConcurrentRequests.
+// Node and version lookups are not, so data point requests can look up node
+// IDs while the limit is reached.
+const LIMITED_REQUEST_TYPES = new Set(["dataPoints", "events", "countEvents"]);
+
+// Values of Client.state
+const ConnectionState = Object.freeze({
+  Connecting: "connecting",     // The first connection is being opened
+  Open: "open",
+  Reconnecting: "reconnecting", // Waiting to reconnect, or reconnecting
+  Closed: "closed"              // Closed and not going to reconnect
+});
 
 /**
  * A client for interacting with a CDP Logger or LogServer via WebSocket.
@@ -25,8 +379,24 @@ const EventQuery = root.DBMessaging.Protobuf.EventQuery;
  * - Automatic reconnection (if enabled)
  * - Requesting and parsing responses for version, logged nodes, log limits, data points, and events
  * - Time synchronization between the client and the server
+ *
+ * Identical `requestLoggedNodes()`, `requestLogLimits()` and `requestDataPoints()`
+ * calls made while the first one is still waiting for its response share its
+ * request and result, so do not modify the returned objects. Requests with a
+ * `signal` are not shared, and sharing can be turned off per call with the
+ * `coalesce: false` option.
+ *
+ * The client is an event emitter (an EventTarget in browsers) with the
+ * following events:
+ * - `open`: The connection was opened.
+ * - `close` (code, reason): The connection was closed.
+ * - `reconnecting` ({ attempt, delayMs }): A reconnect attempt was scheduled.
+ * - `reconnected`: The connection was opened again after being lost.
+ * - `error` (error): The connection failed. Only emitted if there are listeners.
+ * - `timeSynced` (timeDiff): The time difference to the server was updated.
+ * - `nodesChanged` (nodes): The list of logged nodes differs from the last one received.
  */
-class Client {
+class Client extends EventEmitter {
   // Defined property names to use instead of ambiguous numbers.
   static EventQueryFlags = Object.freeze({
     None: 0, // cdplogger.Client.EventQueryFlags.None === 0
@@ -41,13 +411,81 @@ class Client {
     Wildcard: 1
   });
 
+  static ErrorCode = ErrorCode;
+
+  static ConnectionState = ConnectionState;
+
   /**
    * Create a new Client instance to communicate with the logger.
    *
+   * The options can also be passed as the second argument, with
+   * `autoReconnect` as one of them: `new Client(endpoint, { autoReconnect: false })`.
+   *
    * @param {string} endpoint - The logger endpoint (e.g. "127.0.0.1:17000" or "ws://127.0.0.1:17000").
    * @param {boolean} [autoReconnect=true] - Whether to automatically reconnect if the connection is lost.
+   * @param {Object} [options] - Optional settings.
+   * @param {number} [options.requestTimeoutMs=0] - The default timeout for requests,
+   *   after which they are rejected with a TimeoutError. 0 means no timeout.
+   * @param {Object} [options.reconnect] - The reconnect policy used when `autoReconnect`
+   *   is enabled. The delay before reconnect attempt n (starting from 0) is
+   *   `initialDelayMs * multiplier^n`, capped at `maxDelayMs` and randomly spread
+   *   by up to ±`jitter` of itself, so many clients do not reconnect at once.
+   * @param {number} [options.reconnect.initialDelayMs=1000] - The delay before the first attempt.
+   * @param {number} [options.reconnect.multiplier=2] - The factor the delay grows by per attempt.
+   * @param {number} [options.reconnect.maxDelayMs=30000] - The maximum delay.
+   * @param {number} [options.reconnect.jitter=0.5] - The random spread, as a fraction of the delay.
+   * @param {number} [options.reconnect.maxAttempts=Infinity] - The number of failed attempts
+   *   in a row after which the client gives up. Pending and queued requests are
+   *   then rejected with a ConnectionClosedError.
+   * @param {Function} [options.reconnect.shouldReconnect] - Called as
+   *   `shouldReconnect(code, reason)` with the WebSocket close code and reason when
+   *   the connection closes. Return false to not reconnect. Reconnects on all codes by default.
+   * @param {number} [options.maxConcurrentRequests=Infinity] - The maximum number of data point
+   *   and event queries sent to the server at a time. Further queries wait in a queue, ordered
+   *   by their `priority` option, until earlier ones are answered.
+   * @param {boolean|Object} [options.dataCache=false] - Cache the rows returned by
+   *   `requestDataPoints()`, so requests for overlapping windows only fetch the parts
+   *   not fetched before. Pass true or an object with settings to enable it.
+   * @param {number} [options.dataCache.maxRows=100000] - The maximum number of rows kept in total.
+   * @param {Object} [options.dataCache.storage] - A storage adapter, such as the `IndexedDBStorage`
+   *   or `FileStorage` of storage.js, to keep the cache between sessions.
+   *   The least recently used nodes are evicted first.
+   * @param {boolean|Object} [options.eventCache=false] - Cache the events returned by
+   *   `requestEvents()` for log time ranges, like `dataCache` does for data points.
+   *   Pass true or an object with settings to enable it.
+   * @param {number} [options.eventCache.maxEvents=100000] - The maximum number of events
+   *   kept in total. The least recently used queries are evicted first.
+   * @param {Object} [options.eventCache.storage] - A storage adapter to keep the cache
+   *   between sessions. It can be the one of `dataCache`.
+   * @param {Object} [options.retry] - The retry policy for requests the server rejects with
+   *   TooManyRequests. The delays are calculated like in `options.reconnect`.
+   * @param {number} [options.retry.maxRetries=3] - The number of retries before the request
+   *   is rejected with a TooManyRequestsError. 0 disables retrying.
+   * @param {number} [options.retry.initialDelayMs=500] - The delay before the first retry.
+   * @param {number} [options.retry.multiplier=2] - The factor the delay grows by per retry.
+   * @param {number} [options.retry.maxDelayMs=10000] - The maximum delay.
+   * @param {number} [options.retry.jitter=0.5] - The random spread, as a fraction of the delay.
+   * @param {Object} [options.connection] - WebSocket connection settings, see
+   *   `WebSocketTransport`. In Node.js they are passed on to the `ws` constructor,
+   *   e.g. `ca`, `cert`, `key`, `rejectUnauthorized` and `headers`. Browsers only
+   *   support `protocols`.
+   * @param {string|Array<string>} [options.connection.protocols] - The WebSocket subprotocols.
+   * @param {Function} [options.tokenProvider] - Called before every connection attempt,
+   *   including reconnects, to get a bearer token for the connection. May return a
+   *   promise. The token is sent in the Authorization header in Node.js and as the
+   *   `access_token` query parameter in browsers.
+   * @param {Object} [options.transport] - The transport to connect through, see
+   *   `WebSocketTransport`. Defaults to a `WebSocketTransport` using the `ws` package
+   *   in Node.js and the native WebSocket in browsers, with the `connection` and
+   *   `tokenProvider` options.
    */
-  constructor(endpoint, autoReconnect = true) {
+  constructor(endpoint, autoReconnect = true, options = {}) {
+    if (typeof autoReconnect === "object" && autoReconnect !== null) {
+      options = autoReconnect;
+      autoReconnect = options.autoReconnect !== undefined ? options.autoReconnect : true;
+    }
+    super();
+
     // If endpoint does not start with "ws://" or "wss://", prepend "ws://"
     let url = endpoint;
     if (!/^wss?:\/\//.test(url)) {
@@ -56,9 +494,24 @@ class Client {
 
     this.reqId = -1;
     this.autoReconnect = autoReconnect;
+    this.requestTimeoutMs = options.requestTimeoutMs || 0;
+    this.reconnectPolicy = { ...DEFAULT_RECONNECT_POLICY, ...options.reconnect };
+    this.reconnectAttempts = 0;     // Failed reconnect attempts in a row
+    this._reconnectTimer = null;
+    this.maxConcurrentRequests = options.maxConcurrentRequests || Infinity;
+    this.retryPolicy = { ...DEFAULT_RETRY_POLICY, ...options.retry };
+    this._retryTimers = new Set();  // Timers sending retried requests, see _sendQueuedRequestsAt()
+    this._sentRequests = new Map(); // Requests sent and not answered yet, by request ID
+    this._coalescedRequests = new Map(); // Requests that identical requests can share, by key
+    this.dataCache = options.dataCache
+      ? new DataPointCache(options.dataCache === true ? {} : options.dataCache, url)
+      : null;
+    this.eventCache = options.eventCache
+      ? new EventCache(options.eventCache === true ? {} : options.eventCache, url)
+      : null;
     this.enableTimeSync = true; // Time synchronization is enabled by default.
 
-    this.isOpen = false;
+    this.state = ConnectionState.Connecting;
     this.queuedRequests = {};
     this.storedPromises = {};
     this.nameToId = {};
@@ -71,14 +524,23 @@ class Client {
     this.timeDiff = 0;
     this.timeReceived = null;
     this.lastTimeRequest = Date.now() / 1000;
-    this.haveSentQueuedReq = false;
+    this._holdQueuedRequests = false; // Hold queued requests until time is synced after connecting
     this.roundTripTimes = {};
 
     // Initialize the cache for sender tags and pending tag requests.
     this.senderTags = {};           // Cache for event sender tags (keyed by sender)
-    this.pendingSenderTags = {};    // Holds pending promises for sender tags
+    this.pendingSenderTags = {};    // The pending tag request of each sender, as { requestId, promise }
 
-    // Create the WebSocket connection
+    // Live subscriptions created by subscribeDataPoints() and subscribeEvents().
+    this.subscriptions = new Set();
+
+    this.transport = options.transport || new WebSocketTransport({
+      connection: options.connection,
+      tokenProvider: options.tokenProvider
+    });
+    this.recording = null;        // The SessionRecording made by startRecording()
+
+    // Create the connection
     this.ws = this._connect(url);
   }
 
@@ -100,26 +562,57 @@ class Client {
     if (!enable) {
       // Cancel any pending time sync requests so they won't update timeDiff later.
       for (const key in this.storedPromises) {
-        this.storedPromises[key].reject(new Error("Time sync disabled"));
+        this.storedPromises[key].reject(new CDPLoggerError("Time sync disabled", { requestId: Number(key) }));
       }
       this.storedPromises = {};
     }
   }
 
   /**
-   * Disconnect from the server, closing the WebSocket connection.
+   * Disconnect from the server, closing the connection.
    *
-   * This also disables auto-reconnect and clears any queued or pending requests.
-   * After calling `disconnect()`, you can create a new Client instance to 
-   * re-establish a connection.
+   * This also disables auto-reconnect, stops all subscriptions and clears any
+   * queued or pending requests. After calling `disconnect()`, you can create a
+   * new Client instance to re-establish a connection.
    */
   disconnect() {
     this.autoReconnect = false;
+    clearTimeout(this._reconnectTimer);
+    this.subscriptions.forEach(subscription => subscription.unsubscribe());
     this._cleanupQueuedRequests();
-    this.isOpen = false;
+    if (this.dataCache) {
+      this.dataCache.save().catch(() => {});
+    }
+    if (this.eventCache) {
+      this.eventCache.save().catch(() => {});
+    }
+    const wasOpen = this.isOpen;
+    this.state = ConnectionState.Closed;
     if (this.ws) {
       this.ws.close();
     }
+    if (wasOpen) {
+      this.emit("close");
+    }
+  }
+
+  /**
+   * Whether the connection is open, i.e. `state` is `Client.ConnectionState.Open`.
+   * Setting it to true sets `state` to open, and setting it to false sets an
+   * open `state` to closed.
+   *
+   * @type {boolean}
+   */
+  get isOpen() {
+    return this.state === ConnectionState.Open;
+  }
+
+  set isOpen(open) {
+    if (open) {
+      this.state = ConnectionState.Open;
+    } else if (this.state === ConnectionState.Open) {
+      this.state = ConnectionState.Closed;
+    }
   }
 
   // --- Public API methods ---
@@ -146,21 +639,25 @@ class Client {
    *     - Reduced network usage by having data responses only include changes instead of repeating unchanged values.
    *     - Added support for string values and events.
    *
+   * @param {Object} [options] - Optional settings.
+   * @param {number} [options.timeoutMs] - Reject with a TimeoutError if the request
+   *   is not answered within this time. Defaults to the client's `requestTimeoutMs`.
+   * @param {AbortSignal} [options.signal] - Reject with an AbortError when aborted.
+   * @param {number} [options.priority=0] - Requests with a higher priority are sent first
+   *   when `maxConcurrentRequests` is reached.
    * @returns {Promise<string>} A promise that resolves with the version string
    *   (e.g., "4.5.2"). If the version is below 3.0, the promise is rejected with
    *   an error indicating an incompatible version.
    */
-  requestApiVersion() {
+  requestApiVersion(options = {}) {
     this._timeRequest();
     const requestId = this._getRequestId();
-    if (!this.isOpen) {
-      this.queuedRequests[requestId] = "api_version";
-    } else {
-      this._sendApiVersionRequest(requestId);
+    const promise = this._storePromise(requestId, options);
+    if (!this.storedPromises[requestId]) {
+      return promise; // Already aborted
     }
-    return new Promise((resolve, reject) => {
-      this.storedPromises[requestId] = { resolve, reject };
-    });
+    this._dispatchRequest(requestId, "apiVersion", [], options);
+    return promise;
   }
 
   /**
@@ -171,24 +668,38 @@ class Client {
    * names, paths, and any associated tags that might be assigned to 
    * those nodes.
    *
+   * @param {Object} [options] - Optional settings.
+   * @param {number} [options.timeoutMs] - Reject with a TimeoutError if the request
+   *   is not answered within this time. Defaults to the client's `requestTimeoutMs`.
+   * @param {AbortSignal} [options.signal] - Reject with an AbortError when aborted.
+   * @param {number} [options.priority=0] - Requests with a higher priority are sent first
+   *   when `maxConcurrentRequests` is reached.
+   * @param {boolean} [options.coalesce=true] - Share the response of an identical request
+   *   that is still waiting for its response instead of sending a new one. See `Client`.
    * @returns {Promise<Array>} A promise that resolves with an array of 
    *   node objects. Each object includes:
    *   - `name`    (string): The node name
    *   - `routing` (string): The node path
+   *   - `type`    (number): The node's value type, one of the
+   *       `cdplogger.CDPValueType` values (e.g. `CDPValueType.eBOOL`). Missing
+   *       if the server does not report types.
    *   - `tags`    (object): Optional key/value pairs providing additional 
    *       node metadata
    */
-  requestLoggedNodes() {
+  requestLoggedNodes(options = {}) {
+    const coalesceKey = this._getCoalesceKey(options, "loggedNodes");
+    const sharedPromise = this._getSharedRequest(coalesceKey, options);
+    if (sharedPromise) {
+      return sharedPromise;
+    }
     this._timeRequest();
     const requestId = this._getRequestId();
-    if (!this.isOpen) {
-      this.queuedRequests[requestId] = "logged_nodes";
-    } else {
-      this._sendLoggedNodesRequest(requestId);
+    const promise = this._storePromise(requestId, options);
+    if (!this.storedPromises[requestId]) {
+      return promise; // Already aborted
     }
-    return new Promise((resolve, reject) => {
-      this.storedPromises[requestId] = { resolve, reject };
-    });
+    this._dispatchRequest(requestId, "loggedNodes", [], options);
+    return this._shareRequest(coalesceKey, requestId, promise);
   }
 
   /**
@@ -197,22 +708,33 @@ class Client {
    * In CDP Studio, this corresponds to the earliest and latest times 
    * for which log data is available in the CDPLogger (or LogServer).
    *
+   * @param {Object} [options] - Optional settings.
+   * @param {number} [options.timeoutMs] - Reject with a TimeoutError if the request
+   *   is not answered within this time. Defaults to the client's `requestTimeoutMs`.
+   * @param {AbortSignal} [options.signal] - Reject with an AbortError when aborted.
+   * @param {number} [options.priority=0] - Requests with a higher priority are sent first
+   *   when `maxConcurrentRequests` is reached.
+   * @param {boolean} [options.coalesce=true] - Share the response of an identical request
+   *   that is still waiting for its response instead of sending a new one. See `Client`.
    * @returns {Promise<Object>} A promise that resolves with an object
    *   containing:
    *   - `startS` (number): The earliest available timestamp (in seconds).
    *   - `endS`   (number): The latest available timestamp (in seconds).
    */
-  requestLogLimits() {
+  requestLogLimits(options = {}) {
+    const coalesceKey = this._getCoalesceKey(options, "logLimits");
+    const sharedPromise = this._getSharedRequest(coalesceKey, options);
+    if (sharedPromise) {
+      return sharedPromise;
+    }
     this._timeRequest();
     const requestId = this._getRequestId();
-    if (!this.isOpen) {
-      this.queuedRequests[requestId] = "log_limits";
-    } else {
-      this._sendLogLimitsRequest(requestId);
+    const promise = this._storePromise(requestId, options);
+    if (!this.storedPromises[requestId]) {
+      return promise; // Already aborted
     }
-    return new Promise((resolve, reject) => {
-      this.storedPromises[requestId] = { resolve, reject };
-    });
+    this._dispatchRequest(requestId, "logLimits", [], options);
+    return this._shareRequest(coalesceKey, requestId, promise);
   }
 
   /**
@@ -233,27 +755,296 @@ class Client {
    * @param {number} limit - Similar to SQL LIMIT. It allows you to request data 
    *    in batches by setting the maximum batch size (the number of samples). 
    *    Note, reading data in larger batches will improve performance but also allocate more memory.
-   * @returns {Promise<Array>} A promise that resolves with an array of objects,
+   * @param {Object} [options] - Optional settings.
+   * @param {boolean} [options.changesOnly=false] - Since API 4.0 the server only
+   *    sends the nodes whose values changed in each row. By default the client
+   *    carries the previous `min`, `max` and `last` of a node forward so every row
+   *    contains all nodes seen so far. Set this to true to get the sparse rows
+   *    as sent by the server instead.
+   * @param {number} [options.timeoutMs] - Reject with a TimeoutError if the request
+   *    is not answered within this time. Defaults to the client's `requestTimeoutMs`.
+   * @param {AbortSignal} [options.signal] - Reject with an AbortError when aborted.
+   * @param {number} [options.priority=0] - Requests with a higher priority are sent first
+   *   when `maxConcurrentRequests` is reached.
+   * @param {boolean} [options.coalesce=true] - Share the response of an identical request
+   *   that is still waiting for its response instead of sending a new one. See `Client`.
+   * @param {boolean} [options.cache=true] - Use the client's `dataCache`, if enabled.
+   *   Only requests without a `limit` are cached. Cached results may have rows in
+   *   which values did not change even if `changesOnly` is set. Decimated cached
+   *   results have the buckets of a grid of their resolution anchored at time 0
+   *   of the logger, so the first one may start before `startS`.
+   * @param {string} [options.format="rows"] - "rows" for the array of row objects
+   *   described below, or "columnar" for typed arrays, which create far fewer
+   *   objects for large results. Columnar requests do not use the `dataCache`.
+   * @returns {Promise<Array|Object>} A promise that resolves with an array of objects,
    *   where each object has:
    *   - `timestamp` (number): The time (in seconds) for the data row.
    *   - `value` (object): A key-value mapping of node names to an object with
    *       `min`, `max`, and `last` properties representing the node's values
    *       at that timestamp.
+   *
+   *   With `format: "columnar"` it resolves with an object with:
+   *   - `length` (number): The number of rows.
+   *   - `timestamps` (Float64Array): The time (in seconds) of each row.
+   *   - `nodes` (object): For each requested node name, an object with:
+   *     - `type` (number): The node's `CDPValueType`.
+   *     - `min`, `max`, `last`: The values of each row. A Float64Array for
+   *         numeric nodes (NaN where there is no value), a Uint8Array of 0 and 1
+   *         for bool nodes, and for string nodes an Int32Array of indexes into
+   *         `dictionary` (-1 where there is no value).
+   *     - `dictionary` (Array<string>): The distinct values of a string node.
+   *     - `valid` (Uint8Array): A bitmap with the bit `valid[i >> 3] & (1 << (i & 7))`
+   *         set for the rows the node was sent in. In the other rows the values
+   *         are carried forward from the previous row, unless `changesOnly` is set.
+   *     - `firstIndex` (number): The first row the node was sent in, or `length`
+   *         if none. The rows before it have no value, even where a bool
+   *         column holds 0 in them.
    */
-  requestDataPoints(nodeNames, startS, endS, noOfDataPoints, limit) {
+  requestDataPoints(nodeNames, startS, endS, noOfDataPoints, limit, options = {}) {
+    const columnar = options.format === "columnar";
+    if (this.dataCache && options.cache !== false && !columnar && !limit && endS > startS) {
+      return this._requestCachedDataPoints(nodeNames, startS, endS, noOfDataPoints, options);
+    }
+    const coalesceKey = this._getCoalesceKey(options, "dataPoints",
+      nodeNames, startS, endS, noOfDataPoints, limit, Boolean(options.changesOnly), columnar);
+    const sharedPromise = this._getSharedRequest(coalesceKey, options);
+    if (sharedPromise) {
+      return sharedPromise;
+    }
     this._timeRequest();
     const requestId = this._getRequestId();
-    const promise = new Promise((resolve, reject) => {
-      this.storedPromises[requestId] = { resolve, reject };
-    });
-    if (!this.isOpen) {
-      this.queuedRequests[requestId] = ["node_values", nodeNames, startS, endS, noOfDataPoints, limit];
-    } else {
-      this._reqDataPoints(nodeNames, startS, endS, noOfDataPoints, limit, requestId);
+    const promise = this._storePromise(requestId, options);
+    if (!this.storedPromises[requestId]) {
+      return promise; // Already aborted
+    }
+    if (columnar) {
+      // Tells the response handler to decode the rows into columns.
+      this.storedPromises[requestId].columns = { nodeNames, changesOnly: Boolean(options.changesOnly) };
+    }
+    this._dispatchRequest(requestId, "dataPoints", [nodeNames, startS, endS, noOfDataPoints, limit], options);
+    if (options.changesOnly || columnar) {
+      return this._shareRequest(coalesceKey, requestId, promise);
+    }
+    return this._shareRequest(coalesceKey, requestId, promise.then(dataPoints => this._carryForwardValues(dataPoints, {})));
+  }
+
+  /**
+   * Iterate over full resolution data points for the specified node names,
+   * paging past the server's row cap.
+   *
+   * Since API 3.2 the logger truncates data point queries at 50,000 rows, so a
+   * single `requestDataPoints()` call may silently return only the beginning of
+   * the requested range. This method keeps issuing follow-up requests starting
+   * from the last timestamp it received until `endS` is reached. Rows are
+   * yielded in batches of at most `limit` rows, so memory use stays bounded,
+   * and the row on the boundary between two batches is only yielded once.
+   *
+   * Example usage:
+   * for await (const batch of client.iterateDataPoints(["Output"], startS, endS, { limit: 10000 })) {
+   *   batch.forEach(point => console.log(point.timestamp, point.value["Output"].last));
+   * }
+   *
+   * @param {Array<string>} nodeNames - The names of the nodes/signals to retrieve.
+   * @param {number} startS - The start time (in seconds since epoch).
+   * @param {number} endS - The end time (in seconds since epoch).
+   * @param {Object} [options] - Optional settings.
+   * @param {number} [options.limit=50000] - The maximum number of rows per batch.
+   *   Values above the server's 50,000 row cap are clamped to it.
+   * @param {boolean} [options.changesOnly=false] - Yield the sparse rows as sent
+   *   by the server instead of carrying unchanged values forward, see
+   *   `requestDataPoints()`. When false, values are also carried across batches.
+   * @param {number} [options.timeoutMs] - The timeout of each page request, see `requestDataPoints()`.
+   * @param {AbortSignal} [options.signal] - Abort the iteration, see `requestDataPoints()`.
+   * @param {number} [options.priority=0] - The priority of the requests, see `requestDataPoints()`.
+   * @returns {AsyncGenerator<Array>} An async iterator yielding arrays of data
+   *   point objects in the same format as `requestDataPoints()`.
+   */
+  async *iterateDataPoints(nodeNames, startS, endS, options = {}) {
+    const limit = Math.min(options.limit || MAX_ROWS_PER_QUERY, MAX_ROWS_PER_QUERY);
+    const requestOptions = { timeoutMs: options.timeoutMs, signal: options.signal, priority: options.priority };
+    // Follow-up pages continue from the server's time stamp of the last row, so
+    // a new time difference can not make them overlap or leave a gap.
+    let cursor = startS;
+    let serverEndS = endS;
+    let lastTimestamp = -Infinity;
+    let first = true;
+    const previous = {};
+    while (cursor <= serverEndS) {
+      // Follow-up pages start at the last received row, which is returned again,
+      // so ask for one extra row to still get `limit` new ones.
+      const pageLimit = first ? limit : Math.min(limit + 1, MAX_ROWS_PER_QUERY);
+      const rows = await this._requestServerDataPoints(nodeNames, cursor, serverEndS, 0, pageLimit, !first, requestOptions);
+      const timeDiff = this.enableTimeSync ? this.timeDiff : 0;
+      if (first) {
+        serverEndS = endS - timeDiff;
+      }
+      const batch = rows.filter(point => point.timestamp > lastTimestamp);
+      if (batch.length === 0) {
+        return;
+      }
+      lastTimestamp = batch[batch.length - 1].timestamp;
+      batch.forEach(point => {
+        point.timestamp += timeDiff;
+      });
+      if (!options.changesOnly) {
+        this._carryForwardValues(batch, previous);
+      }
+      yield batch;
+      if (rows.length < pageLimit || lastTimestamp >= serverEndS) {
+        return;
+      }
+      cursor = lastTimestamp;
+      first = false;
+    }
+  }
+
+  /**
+   * Requests data points like `requestDataPoints()` with `changesOnly`, but
+   * leaves their time stamps in server time, so they can be used to continue
+   * from without converting them back and forth with the time difference.
+   *
+   * @param {boolean} serverRange - `startS` and `endS` are server times, else
+   *   client times, which are converted when the request is sent.
+   * @returns {Promise<Array>} The data points, with server time stamps.
+   */
+  _requestServerDataPoints(nodeNames, startS, endS, noOfDataPoints, limit, serverRange, options) {
+    this._timeRequest();
+    const requestId = this._getRequestId();
+    const promise = this._storePromise(requestId, options);
+    if (!this.storedPromises[requestId]) {
+      return promise; // Already aborted
     }
+    // Tells the request and response handlers not to convert the server times.
+    this.storedPromises[requestId].serverTime = { range: serverRange };
+    this._dispatchRequest(requestId, "dataPoints", [nodeNames, startS, endS, noOfDataPoints, limit], options);
     return promise;
   }
 
+  /**
+   * Subscribe to values as they are logged.
+   *
+   * The returned subscription polls the log limits every `intervalMs` and emits
+   * a `data` event with the rows logged since the last delivered row, in the
+   * same format as `requestDataPoints()`. Only rows with a `timestamp` newer than
+   * the last delivered one are emitted. Failed polls emit an `error` event and
+   * polling continues. While the connection is down polling pauses, and it
+   * resumes once `autoReconnect` has re-established the connection.
+   *
+   * Call `unsubscribe()` on the subscription to stop it. `disconnect()` stops
+   * all subscriptions of the client.
+   *
+   * Example usage:
+   * const subscription = client.subscribeDataPoints(["Output"], { intervalMs: 500 });
+   * subscription.on("data", rows => rows.forEach(row => console.log(row.timestamp, row.value["Output"].last)));
+   * subscription.on("error", err => console.error(err));
+   *
+   * @param {Array<string>} nodeNames - The names of the nodes/signals to follow.
+   * @param {Object} [options] - Optional settings.
+   * @param {number} [options.intervalMs=1000] - How often to poll for new values.
+   * @param {number} [options.resolution=0] - The time (in seconds) each emitted row
+   *   should cover. 0 means full resolution, i.e. every logged row.
+   * @param {number} [options.startS] - Emit rows logged after this time (in seconds).
+   *   Defaults to the end of the log when subscribing, so only new values are emitted.
+   * @returns {DataPointSubscription} The subscription.
+   */
+  subscribeDataPoints(nodeNames, options = {}) {
+    const subscription = new DataPointSubscription(this, nodeNames, options);
+    this.subscriptions.add(subscription);
+    return subscription;
+  }
+
+  /**
+   * Create a level-of-detail pyramid for zooming charts over long time spans.
+   *
+   * Instead of a new `requestDataPoints()` query for every zoom level, the
+   * pyramid fetches fixed tiles at resolutions of a power of two seconds per
+   * data point, and stitches the rows of a requested range from them. The
+   * tiles are kept in memory and reused when the chart is panned or zoomed.
+   *
+   * Example usage:
+   * const pyramid = client.createDataPointPyramid(["Output"]);
+   * const rows = await pyramid.request(startS, endS, chart.width);
+   *
+   * @param {Array<string>} nodeNames - The names of the nodes/signals in the pyramid.
+   * @param {Object} [options] - Optional settings.
+   * @param {number} [options.tileSize=256] - The number of data points in a tile.
+   * @param {number} [options.maxTiles=1000] - The number of tiles kept in memory.
+   * @returns {DataPointPyramid} The pyramid, see pyramid.js.
+   */
+  createDataPointPyramid(nodeNames, options = {}) {
+    const { DataPointPyramid } = loadModule("pyramid", () => require('./pyramid'));
+    return new DataPointPyramid(this, nodeNames, options);
+  }
+
+  /**
+   * Export data points as CSV.
+   *
+   * The rows are requested with `iterateDataPoints()` and written to `output`
+   * page by page, waiting for the output to accept each page before requesting
+   * the next, so exports of any size need only one page of memory.
+   *
+   * The first line is a header with the `timestamp` column and a
+   * `<node>.<column>` column for each node and selected column. Values a row
+   * does not have are left empty.
+   *
+   * Example usage:
+   * await client.exportDataPointsCSV(fs.createWriteStream("output.csv"), ["Output"], startS, endS, {
+   *   columns: ["last"],
+   *   timestamps: "epoch"
+   * });
+   *
+   * @param {Writable|WritableStream} output - A Node.js Writable or a WHATWG WritableStream,
+   *   which is written UTF-8 encoded bytes.
+   * @param {Array<string>} nodeNames - The names of the nodes/signals to export.
+   * @param {number} startS - The start time (in seconds since epoch).
+   * @param {number} endS - The end time (in seconds since epoch).
+   * @param {Object} [options] - Optional settings.
+   * @param {Array<string>|Object} [options.columns=["min", "max", "last"]] - The columns
+   *   exported for each node, or an object of column arrays by node name.
+   * @param {number} [options.noOfDataPoints=0] - Export this many downsampled rows in one
+   *   request instead of paging through the full resolution data.
+   * @param {boolean} [options.changesOnly=false] - Leave the values of nodes that did not
+   *   change empty, see `requestDataPoints()`.
+   * @param {string} [options.delimiter] - The field delimiter. Defaults to ";" for
+   *   locales with a decimal comma and "," otherwise.
+   * @param {string} [options.locale] - Format numbers for this locale, e.g. "de-DE".
+   *   By default numbers are written like in JavaScript.
+   * @param {string} [options.timestamps="iso"] - "iso" for ISO 8601 UTC timestamps
+   *   or "epoch" for seconds since epoch.
+   * @param {boolean} [options.end=true] - End the output when the export is done.
+   * @param {number} [options.pageSize=50000] - The maximum number of rows per page.
+   * @param {number} [options.timeoutMs] - The timeout of each request, see `requestDataPoints()`.
+   * @param {AbortSignal} [options.signal] - Abort the export, see `requestDataPoints()`.
+   * @param {number} [options.priority=0] - The priority of the requests, see `requestDataPoints()`.
+   * @returns {Promise<number>} Resolves with the number of rows written when the
+   *   output has been ended.
+   * @throws {InvalidRequestError} If the options are invalid.
+   */
+  async exportDataPointsCSV(output, nodeNames, startS, endS, options = {}) {
+    const format = new CsvFormat(options);
+    const columns = {};
+    for (const name of nodeNames) {
+      columns[name] = (Array.isArray(options.columns) ? options.columns : (options.columns || {})[name]) ||
+        ["min", "max", "last"];
+      const invalid = columns[name].filter(key => !["min", "max", "last"].includes(key));
+      if (invalid.length > 0) {
+        throw new InvalidRequestError(`Invalid columns "${invalid.join(", ")}". Allowed values are: min, max, last.`);
+      }
+    }
+    const requestOptions = { timeoutMs: options.timeoutMs, signal: options.signal, priority: options.priority };
+    const pages = options.noOfDataPoints
+      ? [await this.requestDataPoints(nodeNames, startS, endS, options.noOfDataPoints, 0,
+        { ...requestOptions, changesOnly: options.changesOnly })]
+      : this.iterateDataPoints(nodeNames, startS, endS,
+        { ...requestOptions, changesOnly: options.changesOnly, limit: options.pageSize });
+    return this._writeCSV(output, pages, options, {
+      header: () => format.row(["timestamp"].concat(
+        ...nodeNames.map(name => columns[name].map(key => `${name}.${key}`)))),
+      row: point => format.row([format.timestamp(point.timestamp)].concat(
+        ...nodeNames.map(name => columns[name].map(key => (point.value[name] ? point.value[name][key] : null)))))
+    });
+  }
+
   /**
    * Request events based on the provided query parameters.
    *
@@ -311,43 +1102,33 @@ class Client {
    * });
    * 
    * @param {Object} query - A simple plain object representing the EventQuery.
+   * @param {Object} [options] - Optional settings.
+   * @param {number} [options.timeoutMs] - Reject with a TimeoutError if the request
+   *   is not answered within this time. Defaults to the client's `requestTimeoutMs`.
+   * @param {AbortSignal} [options.signal] - Reject with an AbortError when aborted.
+   * @param {number} [options.priority=0] - Requests with a higher priority are sent first
+   *   when `maxConcurrentRequests` is reached.
+   * @param {boolean} [options.cache=true] - Use the client's `eventCache`, if enabled.
+   *   Only queries with both `timeRangeBegin` and `timeRangeEnd`, the
+   *   UseLogStampForTimeRange flag and no `limit` or `offset` are cached.
    * @returns {Promise<Array>} Resolves with an array of event objects.
    */
   // Modified requestEvents() to wait for missing sender tag info.
-  requestEvents(query) {
+  requestEvents(query, options = {}) {
+    if (this.eventCache && options.cache !== false && this._isCacheableEventQuery(query)) {
+      return this._requestCachedEvents(query, options);
+    }
     this._timeRequest();
     const requestId = this._getRequestId();
     const eventQuery = this._buildEventQuery(query);
-    if (!this.isOpen) {
-      this.queuedRequests[requestId] = { type: "events", query: eventQuery };
-    } else {
-      this._sendEventsRequest(requestId, eventQuery);
+    const promise = this._storePromise(requestId, options);
+    if (!this.storedPromises[requestId]) {
+      return promise; // Already aborted
     }
-    return new Promise((resolve, reject) => {
-      this.storedPromises[requestId] = { resolve, reject };
-    })
-      .then(events => {
-        // Collect the unique sender names from events that lack cached tags.
-        const missingSenders = Array.from(new Set(
-          events
-            .filter(evt => !this.senderTags[evt.sender])
-            .map(evt => evt.sender)
-        ));
-
-        if (missingSenders.length === 0) {
-          return events;
-        }
-        // Request tag info for all missing senders.
-        return Promise.all(
-          missingSenders.map(sender => this.getSenderTags(sender))
-        ).then(() => {
-          // Attach tags to events after tag info is available.
-          events.forEach(evt => {
-            evt.tags = this.senderTags[evt.sender];
-          });
-          return events;
-        });
-      });
+    const startedAt = Date.now();
+    this._dispatchRequest(requestId, "events", [eventQuery], options);
+    return promise.then(events =>
+      this._waitWithinRequest(this._attachSenderTags(events), requestId, startedAt, options));
   }
 
   /**
@@ -356,20 +1137,237 @@ class Client {
    * The query object accepts the same keys as in requestEvents().
    *
    * @param {Object} query - The event query object.
+   * @param {Object} [options] - Optional settings.
+   * @param {number} [options.timeoutMs] - Reject with a TimeoutError if the request
+   *   is not answered within this time. Defaults to the client's `requestTimeoutMs`.
+   * @param {AbortSignal} [options.signal] - Reject with an AbortError when aborted.
+   * @param {number} [options.priority=0] - Requests with a higher priority are sent first
+   *   when `maxConcurrentRequests` is reached.
    * @returns {Promise<number>} A promise that resolves with the count of events.
    */
-  countEvents(query) {
+  countEvents(query, options = {}) {
     this._timeRequest();
     const requestId = this._getRequestId();
     const eventQuery = this._buildEventQuery(query);
-    if (!this.isOpen) {
-      this.queuedRequests[requestId] = { type: "countEvents", query: eventQuery };
-    } else {
-      this._sendCountEventsRequest(requestId, eventQuery);
+    const promise = this._storePromise(requestId, options);
+    if (!this.storedPromises[requestId]) {
+      return promise; // Already aborted
     }
-    return new Promise((resolve, reject) => {
-      this.storedPromises[requestId] = { resolve, reject };
+    this._dispatchRequest(requestId, "countEvents", [eventQuery], options);
+    return promise;
+  }
+
+  /**
+   * Iterate over all events matching a query, page by page.
+   *
+   * Event queries are subject to the server's row caps as well, so this method
+   * keeps requesting pages of at most `pageSize` events until all matching
+   * events have been yielded. Two paging strategies are supported:
+   * - `"time"` (default): each page continues from the time stamp of the last
+   *   event of the previous page. Events that share that time stamp are skipped
+   *   by offset, so no event is returned twice. This stays stable while events
+   *   are logged or removed from the log during the iteration.
+   * - `"offset"`: pages are requested with an increasing `offset`.
+   *
+   * Events are yielded in the order given by the query flags, oldest first by
+   * default or newest first with `EventQueryFlags.NewestFirst`. The time stamp
+   * used for paging is `logstampSec` when the query uses
+   * `EventQueryFlags.UseLogStampForTimeRange`, and `timestampSec` otherwise.
+   *
+   * The query accepts the same keys as `requestEvents()`. Its `limit` is the
+   * maximum total number of events to yield and its `offset` the number of
+   * matching events to skip first.
+   *
+   * Example usage:
+   * for await (const events of client.iterateEvents({ senderConditions: ["MyApp.*"] }, { pageSize: 500 })) {
+   *   events.forEach(evt => console.log(evt.sender, evt.data.Text));
+   * }
+   *
+   * @param {Object} query - The event query object.
+   * @param {Object} [options] - Optional settings.
+   * @param {number} [options.pageSize=1000] - The maximum number of events per page.
+   * @param {string} [options.paging="time"] - The paging strategy, "time" or "offset".
+   * @param {Function} [options.onProgress] - Called as `onProgress(fetched, total)`
+   *   after each page. When set, `countEvents()` is called first to get the total.
+   * @param {number} [options.timeoutMs] - The timeout of each request, see `requestEvents()`.
+   * @param {AbortSignal} [options.signal] - Abort the iteration, see `requestEvents()`.
+   * @param {number} [options.priority=0] - The priority of the requests, see `requestEvents()`.
+   * @returns {AsyncGenerator<Array>} An async iterator yielding arrays of event
+   *   objects in the same format as `requestEvents()`.
+   * @throws {InvalidRequestError} If the query or the paging strategy is invalid.
+   */
+  async *iterateEvents(query, options = {}) {
+    const pageSize = options.pageSize || 1000;
+    const paging = options.paging || "time";
+    if (paging !== "time" && paging !== "offset") {
+      throw new InvalidRequestError(`Invalid paging "${paging}". Allowed values are: time, offset.`);
+    }
+    // Validate the query before sending anything.
+    this._buildEventQuery(query);
+
+    const Flags = Client.EventQueryFlags;
+    const flags = query.flags || 0;
+    const newestFirst = (flags & Flags.NewestFirst) !== 0;
+    const stampField = (flags & Flags.UseLogStampForTimeRange) ? "logstampSec" : "timestampSec";
+    const { limit, offset, ...baseQuery } = query;
+    const requestOptions = { timeoutMs: options.timeoutMs, signal: options.signal, priority: options.priority };
+    let remaining = limit !== undefined ? limit : Infinity;
+
+    let total;
+    if (options.onProgress) {
+      const count = Number(await this.countEvents(baseQuery, requestOptions));
+      total = Math.min(Math.max(count - (offset || 0), 0), remaining);
+    }
+
+    let fetched = 0;
+    let pageQuery = { ...baseQuery, offset: offset || 0 };
+    let boundaryStamp;
+    let boundaryIds = new Set();  // IDs of the yielded events at boundaryStamp
+    while (remaining > 0) {
+      const pageLimit = Math.min(pageSize, remaining);
+      const events = await this.requestEvents({ ...pageQuery, limit: pageLimit }, requestOptions);
+      const page = events.filter(evt =>
+        !(evt[stampField] === boundaryStamp && boundaryIds.has(String(evt.id))));
+      if (page.length === 0) {
+        return;
+      }
+      fetched += page.length;
+      remaining -= page.length;
+      yield page;
+      if (options.onProgress) {
+        options.onProgress(fetched, total);
+      }
+      if (events.length < pageLimit) {
+        return;
+      }
+
+      if (paging === "offset") {
+        pageQuery = { ...pageQuery, offset: pageQuery.offset + events.length };
+        continue;
+      }
+      for (const evt of page) {
+        if (evt[stampField] !== boundaryStamp) {
+          boundaryStamp = evt[stampField];
+          boundaryIds = new Set();
+        }
+        boundaryIds.add(String(evt.id));
+      }
+      // Continue inclusively from the last time stamp, skipping the events
+      // already yielded at that time stamp.
+      pageQuery = newestFirst
+        ? { ...pageQuery, timeRangeEnd: boundaryStamp, flags: flags & ~Flags.TimeRangeEndExclusive }
+        : { ...pageQuery, timeRangeBegin: boundaryStamp, flags: flags & ~Flags.TimeRangeBeginExclusive };
+      pageQuery.offset = boundaryIds.size;
+    }
+  }
+
+  /**
+   * Export events as CSV.
+   *
+   * The events are requested with `iterateEvents()` and written to `output`
+   * page by page, like `exportDataPointsCSV()` does.
+   *
+   * The columns are `id`, `sender`, `code`, `codeDescription`, `status`,
+   * `timestamp` and `logstamp`, followed by a `data.<key>` column for each
+   * event data field and a `tags.<name>` column with the value of each sender tag.
+   * Unless the keys are given in the options, the data and tag columns are
+   * those of the events in the first page.
+   *
+   * Example usage:
+   * await client.exportEventsCSV(fs.createWriteStream("events.csv"), { timeRangeBegin: startS }, {
+   *   dataKeys: ["Text", "Level"],
+   *   delimiter: "\t"
+   * });
+   *
+   * @param {Writable|WritableStream} output - A Node.js Writable or a WHATWG WritableStream,
+   *   see `exportDataPointsCSV()`.
+   * @param {Object} query - The event query object, see `requestEvents()`.
+   * @param {Object} [options] - Optional settings. `delimiter`, `locale`, `timestamps`
+   *   and `end` are the same as for `exportDataPointsCSV()`.
+   * @param {Array<string>} [options.dataKeys] - The event data fields to export.
+   * @param {Array<string>} [options.tagKeys] - The sender tags to export.
+   * @param {number} [options.pageSize=1000] - The maximum number of events per page.
+   * @param {string} [options.paging="time"] - The paging strategy, see `iterateEvents()`.
+   * @param {number} [options.timeoutMs] - The timeout of each request, see `requestEvents()`.
+   * @param {AbortSignal} [options.signal] - Abort the export, see `requestEvents()`.
+   * @param {number} [options.priority=0] - The priority of the requests, see `requestEvents()`.
+   * @returns {Promise<number>} Resolves with the number of events written when the
+   *   output has been ended.
+   * @throws {InvalidRequestError} If the query or the options are invalid.
+   */
+  async exportEventsCSV(output, query, options = {}) {
+    const format = new CsvFormat(options);
+    const pages = this.iterateEvents(query, {
+      pageSize: options.pageSize,
+      paging: options.paging,
+      timeoutMs: options.timeoutMs,
+      signal: options.signal,
+      priority: options.priority
     });
+    let dataKeys = options.dataKeys;
+    let tagKeys = options.tagKeys;
+    const keysOf = (events, field) => [...new Set([].concat(...events.map(evt => Object.keys(evt[field] || {}))))];
+    return this._writeCSV(output, pages, options, {
+      header: events => {
+        dataKeys = dataKeys || keysOf(events, "data");
+        tagKeys = tagKeys || keysOf(events, "tags");
+        return format.row(["id", "sender", "code", "codeDescription", "status", "timestamp", "logstamp"]
+          .concat(dataKeys.map(key => `data.${key}`), tagKeys.map(key => `tags.${key}`)));
+      },
+      row: evt => format.row([
+        evt.id,
+        evt.sender,
+        evt.code,
+        evt.codeDescription,
+        evt.status,
+        format.timestamp(evt.timestampSec),
+        format.timestamp(evt.logstampSec)
+      ].concat(
+        dataKeys.map(key => (evt.data ? evt.data[key] : null)),
+        tagKeys.map(key => (evt.tags && evt.tags[key] ? evt.tags[key].value : null))))
+    });
+  }
+
+  /**
+   * Subscribe to events as they are logged.
+   *
+   * The subscription polls the logger every `intervalMs` for events matching the
+   * query and calls `handler` with the new ones, oldest first. Events are
+   * tracked by their log timestamp (`logstampSec`) and `id`, so each event is
+   * delivered exactly once, even when several share a timestamp. Like
+   * `requestEvents()`, each event includes the `tags` of its sender.
+   *
+   * The query accepts the same keys as `requestEvents()`. `timeRangeBegin` is
+   * compared against the log timestamp and defaults to the newest matching event
+   * at the time of subscribing, so only new events are delivered. `limit` sets
+   * the maximum number of events fetched per poll. The NewestFirst flag is
+   * ignored.
+   *
+   * The returned subscription also emits the events as `data` events and failed
+   * polls as `error` events. Call `unsubscribe()` on it to stop it.
+   *
+   * Example usage:
+   * const subscription = client.subscribeEvents(
+   *   { senderConditions: ["MyApp.*"] },
+   *   events => events.forEach(evt => console.log(evt.sender, evt.data.Text))
+   * );
+   *
+   * @param {Object} query - The event query object.
+   * @param {Function} handler - Called with an array of new event objects.
+   * @param {Object} [options] - Optional settings.
+   * @param {number} [options.intervalMs=1000] - How often to poll for new events.
+   * @returns {EventSubscription} The subscription.
+   * @throws {InvalidRequestError} If the query is invalid.
+   */
+  subscribeEvents(query, handler, options = {}) {
+    // Validate the query up front rather than on the first poll.
+    this._buildEventQuery(query);
+    const subscription = new EventSubscription(this, query, options);
+    if (handler) {
+      subscription.on("data", handler);
+    }
+    this.subscriptions.add(subscription);
+    return subscription;
   }
 
   /**
@@ -456,9 +1454,9 @@ class Client {
    * Retrieves the tags associated with a given sender.
    *
    * This method checks if the tags for the specified sender are already cached. If so, it returns a 
-   * resolved promise with the cached tags. Otherwise, it initializes a pending promise for the sender,
-   * sends a request for the sender's tags using `_sendEventSenderTagsRequest`, and returns a promise that
-   * resolves when the tags are received.
+   * resolved promise with the cached tags. Otherwise, it queues a request for the sender's tags like
+   * the other requests, so it is sent once the connection is open, and returns a promise that
+   * resolves when the tags are received. Concurrent calls for the same sender share one request.
    *
    * @param {string} sender - The identifier of the event sender.
    * @returns {Promise<Object>} A promise that resolves with an object representing the tags for the sender.
@@ -467,89 +1465,239 @@ class Client {
     if (this.senderTags && this.senderTags[sender]) {
       return Promise.resolve(this.senderTags[sender]);
     }
-    // If no pending promise for this sender, initialize one and trigger a request.
+    // If no request for this sender is pending, queue one.
     if (!this.pendingSenderTags[sender]) {
-      this.pendingSenderTags[sender] = [];
-      this._sendEventSenderTagsRequest(sender);
+      const requestId = this._getRequestId();
+      const pending = { requestId, promise: this._storePromise(requestId) };
+      const remove = () => {
+        if (this.pendingSenderTags[sender] === pending) {
+          delete this.pendingSenderTags[sender];
+        }
+      };
+      pending.promise.then(remove, remove);
+      this.pendingSenderTags[sender] = pending;
+      this._dispatchRequest(requestId, "senderTags", [sender]);
     }
-    return new Promise((resolve, reject) => {
-      this.pendingSenderTags[sender].push({ resolve, reject });
+    return this.pendingSenderTags[sender].promise;
+  }
+
+  /**
+   * Start recording the protocol session.
+   *
+   * Every Container frame sent and received, and every time the connection
+   * opens or closes, is recorded with the time since the recording started.
+   * Save the recording with `serialize()` and feed it back into a client with a
+   * `ReplayTransport` to reproduce the session offline. Tag values and event
+   * data can be redacted, and frames left out, so recordings from customer
+   * sites can be shared.
+   *
+   * The recording holds the endpoint without its user info and query string,
+   * the close codes and reasons, and the requests and responses as they were
+   * sent, including node names, routings and event query conditions. Tokens
+   * from the `tokenProvider` and the `connection` headers are sent when the
+   * connection opens, not in frames, so they are never recorded.
+   *
+   * Example usage:
+   * client.startRecording({ redact: { tags: true, eventData: ["Text"] } });
+   * ...
+   * fs.writeFileSync("session.cdprec", client.stopRecording().serialize());
+   *
+   * @param {Object} [options] - Optional settings.
+   * @param {Object} [options.redact] - What to redact from received frames.
+   * @param {boolean} [options.redact.tags=false] - Replace the values of node and
+   *   event sender tags with "[redacted]". The tag names and sources are kept.
+   * @param {boolean|Array<string>} [options.redact.eventData=false] - The event data
+   *   fields to replace with "[redacted]", e.g. ["Text"], or true for all of them.
+   * @param {Function} [options.filter] - Called as `filter(direction, container)` with
+   *   "send" or "receive" and the decoded Container of each frame. Return false to
+   *   leave the frame out; leaving out a request also leaves out its reply.
+   * @returns {SessionRecording} The recording, see recording.js. It keeps growing
+   *   until `stopRecording()` is called.
+   */
+  startRecording(options = {}) {
+    const { SessionRecording } = loadModule("recording", () => require('./recording'));
+    this.recording = new SessionRecording({
+      endpoint: this.ws ? this.ws._url : "",
+      redact: options.redact,
+      filter: options.filter
     });
+    if (this.isOpen) {
+      this.recording._record("open");
+    }
+    return this.recording;
+  }
+
+  /**
+   * Stop recording the protocol session.
+   *
+   * @returns {SessionRecording|null} The recording made since `startRecording()`,
+   *   or null if the client was not recording.
+   */
+  stopRecording() {
+    const recording = this.recording;
+    this.recording = null;
+    return recording;
   }
 
 
   // --- Internal methods ---
 
   _connect(url) {
-    const ws = new WS(url);
+    const ws = this.transport.connect(url);
     ws._url = url;
-    ws.binaryType = 'arraybuffer';
     ws.onopen = () => this._onOpen(ws);
-    ws.onmessage = (event) => this._handleMessage(ws, event.data);
+    ws.onmessage = (message) => this._handleMessage(ws, message);
     ws.onerror = (error) => this._onError(ws, error);
-    ws.onclose = () => this._onClose(ws);
+    ws.onclose = (event) => this._onClose(ws, event);
     return ws;
   }
 
   _onOpen(ws) {
-    this.isOpen = true;
+    this.state = ConnectionState.Open;
+    if (this.recording) {
+      this.recording._record("open");
+    }
+    const reconnected = this.reconnectAttempts > 0;
+    this.reconnectAttempts = 0;
+    // Send the requests queued while disconnected. With time sync they wait
+    // for the time difference, since the time ranges in them are adjusted by it.
     if (this.enableTimeSync) {
+      this._holdQueuedRequests = true;
       this._updateTimeDiff();
+    } else {
+      this._sendQueuedRequests();
     }
     this.lastTimeRequest = Date.now() / 1000;
+    this.emit("open");
+    if (reconnected) {
+      this.emit("reconnected");
+    }
   }
 
   _onError(ws, error) {
-    if (!error) {
-      error = new Error("Something went wrong");
+    if (!(error instanceof Error)) {
+      // WebSocket error events are not Error instances.
+      error = new ConnectionClosedError((error && error.message) || "Something went wrong");
     }
-    // Reject all stored promises.
-    for (const key in this.storedPromises) {
-      this.storedPromises[key].reject(error);
-    }
-    this.storedPromises = {};
-    this.queuedRequests = {};
-    
-    // Reject any pending sender tag promises.
-    for (const sender in this.pendingSenderTags) {
-      this.pendingSenderTags[sender].forEach(promiseObj => promiseObj.reject(error));
-      delete this.pendingSenderTags[sender];
+    // Queued requests are kept if the client is going to reconnect.
+    this._rejectPendingRequests(error, this.autoReconnect);
+    // An unhandled "error" event would throw in Node.
+    if (this.listenerCount("error") > 0) {
+      this.emit("error", error);
     }
   }
-  
 
-  _onClose(ws) {
-    this.isOpen = false;
+  _onClose(ws, event = {}) {
+    const wasOpen = this.state === ConnectionState.Open;
+    if (this.recording) {
+      this.recording._record("close", null, { code: event.code, reason: event.reason });
+    }
+    const policy = this.reconnectPolicy;
+    let error = null;
     if (!this.autoReconnect) {
-      this._onError(ws, new Error("Connection was closed"));
-    } else {
-      // Try to reconnect after a delay
-      setTimeout(() => {
-        this.ws = this._connect(ws._url);
-      }, 1000);
+      error = new ConnectionClosedError("Connection was closed");
+    } else if (!policy.shouldReconnect(event.code, event.reason)) {
+      error = new ConnectionClosedError(`Connection was closed with code ${event.code}`);
+    } else if (this.reconnectAttempts >= policy.maxAttempts) {
+      error = new ConnectionClosedError(
+        `Connection was closed, gave up after ${this.reconnectAttempts} reconnect attempts`);
+    }
+
+    this.state = error ? ConnectionState.Closed : ConnectionState.Reconnecting;
+    // Failed reconnect attempts also end up here, but only report the close
+    // of a connection that was actually open.
+    if (wasOpen) {
+      this.emit("close", event.code, event.reason);
+    }
+    if (error) {
+      this._rejectPendingRequests(error, false);
+      return;
+    }
+
+    // Requests sent on the closed socket will never be answered. Queued
+    // requests have not been sent yet, so they are kept for the new socket.
+    this._rejectPendingRequests(new ConnectionClosedError("Connection was closed"), true);
+    const delay = this._getReconnectDelay(this.reconnectAttempts);
+    this.reconnectAttempts++;
+    this._reconnectTimer = setTimeout(() => {
+      this.ws = this._connect(ws._url);
+    }, delay);
+    this.emit("reconnecting", { attempt: this.reconnectAttempts, delayMs: delay });
+  }
+
+  _getReconnectDelay(attempt) {
+    return backoffDelay(this.reconnectPolicy, attempt);
+  }
+
+  /**
+   * Rejects the requests waiting for a response, including sender tag lookups.
+   *
+   * @param {Error} error - The error to reject with.
+   * @param {boolean} keepQueued - Keep the requests that have not been sent yet,
+   *   so they can be sent after reconnecting.
+   */
+  _rejectPendingRequests(error, keepQueued) {
+    for (const key in this.storedPromises) {
+      if (keepQueued && key in this.queuedRequests) {
+        continue;
+      }
+      const { reject } = this.storedPromises[key];
+      delete this.storedPromises[key];
+      reject(error);
+    }
+    if (!keepQueued) {
+      this._clearQueuedRequests();
     }
   }
 
   _cleanupQueuedRequests() {
     for (const key in this.storedPromises) {
-      this.storedPromises[key].reject(new Error("Connection was closed"));
+      this.storedPromises[key].reject(new ConnectionClosedError("Connection was closed", { requestId: Number(key) }));
     }
     this.storedPromises = {};
+    this._clearQueuedRequests();
+  }
+
+  // Drops the queued requests, and the timers that would send retried ones.
+  _clearQueuedRequests() {
     this.queuedRequests = {};
+    this._retryTimers.forEach(timer => clearTimeout(timer));
+    this._retryTimers.clear();
   }
 
   _handleMessage(ws, message) {
-    const data = Container.decode(new Uint8Array(message));
+    const bytes = new Uint8Array(message);
+    if (this.recording) {
+      this.recording._record("receive", bytes);
+    }
+    const data = Container.decode(bytes);
     this._parseMessage(data);
   }
 
+  _send(container) {
+    const buffer = Container.encode(container).finish();
+    if (this.recording) {
+      this.recording._record("send", buffer);
+    }
+    this.ws.send(buffer);
+  }
+
+  _createServerError(error) {
+    const ErrorClass = SERVER_ERROR_CLASSES[error.errorCode] || CDPLoggerError;
+    return new ErrorClass(error.errorMessage, { code: error.errorCode, requestId: error.requestId });
+  }
+
   _parseMessage(data) {
     switch (data.messageType) {
       case Container.Type.eError:
         if (this.storedPromises[data.error.requestId]) {
+          const error = this._createServerError(data.error);
+          if (this._retryRequest(data.error.requestId, error)) {
+            break;
+          }
           const { reject } = this.storedPromises[data.error.requestId];
           delete this.storedPromises[data.error.requestId];
-          reject(new Error(data.error.errorMessage));
+          reject(error);
         }
         break;
 
@@ -564,13 +1712,20 @@ class Client {
 
       case Container.Type.eSignalInfoResponse: {
         const nodes = [];
+        const previousNameToId = this.nameToId;
         this.nameToId = {};
         this.idToName = {};
+        this.nameToType = {};
         for (let i = 0; i < data.signalInfoResponse.name.length; i++) {
           const node = {
             name: data.signalInfoResponse.name[i],
             routing: data.signalInfoResponse.path[i]
           };
+          const type = data.signalInfoResponse.type && data.signalInfoResponse.type[i];
+          if (type !== undefined) {
+            node.type = type;
+            this.nameToType[node.name] = type;
+          }
           if (data.signalInfoResponse.tagMap && data.signalInfoResponse.tagMap[i]) {
             node.tags = this._convertTagMap(data.signalInfoResponse.tagMap[i]);
           }
@@ -578,6 +1733,9 @@ class Client {
           this.idToName[data.signalInfoResponse.id[i]] = data.signalInfoResponse.name[i];
           nodes.push(node);
         }
+        if (!this._sameNodeIds(previousNameToId, this.nameToId)) {
+          this.emit("nodesChanged", nodes);
+        }
         if (this.storedPromises[data.signalInfoResponse.requestId]) {
           const { resolve } = this.storedPromises[data.signalInfoResponse.requestId];
           delete this.storedPromises[data.signalInfoResponse.requestId];
@@ -596,6 +1754,16 @@ class Client {
             startS: data.criterionLimitsResponse.criterionMin,
             endS: data.criterionLimitsResponse.criterionMax
           };
+          // The caches keep the server's time, which a new timeDiff does not move,
+          // and event queries and log timestamps are in it anyway.
+          const timeDiff = this.enableTimeSync ? this.timeDiff : 0;
+          const serverLimits = { startS: limits.startS - timeDiff, endS: limits.endS - timeDiff };
+          if (this.dataCache) {
+            this.dataCache.updateLimits(serverLimits);
+          }
+          if (this.eventCache) {
+            this.eventCache.updateLimits(serverLimits);
+          }
           if (this.storedPromises[data.criterionLimitsResponse.requestId]) {
             const { resolve } = this.storedPromises[data.criterionLimitsResponse.requestId];
             delete this.storedPromises[data.criterionLimitsResponse.requestId];
@@ -610,7 +1778,9 @@ class Client {
           if (this.storedPromises[data.versionResponse.requestId]) {
             const { reject } = this.storedPromises[data.versionResponse.requestId];
             delete this.storedPromises[data.versionResponse.requestId];
-            reject(new Error("CDP version needs to be 4.3 or newer."));
+            reject(new IncompatibleVersionError(data.versionResponse.version, {
+              requestId: data.versionResponse.requestId
+            }));
           }
         } else {
           if (this.storedPromises[data.versionResponse.requestId]) {
@@ -623,22 +1793,42 @@ class Client {
       }
 
       case Container.Type.eSignalDataResponse: {
+        const stored = this.storedPromises[data.signalDataResponse.requestId];
+        if (stored && stored.columns) {
+          delete this.storedPromises[data.signalDataResponse.requestId];
+          try {
+            stored.resolve(this._createColumns(data.signalDataResponse, stored.columns));
+          } catch (error) {
+            stored.reject(error);
+          }
+          break;
+        }
         const dataPoints = [];
         let index = 0;
         for (const row of data.signalDataResponse.row) {
-          if (this.enableTimeSync) {
+          if (this.enableTimeSync && !(stored && stored.serverTime)) {
             data.signalDataResponse.criterion[index] += this.timeDiff;
           }
           const signalNames = [];
           for (const signalId of row.signalId) {
             signalNames.push(this.idToName[signalId]);
           }
-          const value = this._createValue(
-            signalNames,
-            row.minValues,
-            row.maxValues,
-            row.lastValues
-          );
+          let value;
+          try {
+            value = this._createValue(
+              signalNames,
+              row.minValues,
+              row.maxValues,
+              row.lastValues
+            );
+          } catch (error) {
+            if (this.storedPromises[data.signalDataResponse.requestId]) {
+              const { reject } = this.storedPromises[data.signalDataResponse.requestId];
+              delete this.storedPromises[data.signalDataResponse.requestId];
+              reject(error);
+            }
+            return;
+          }
           dataPoints.push({
             timestamp: data.signalDataResponse.criterion[index],
             value
@@ -664,7 +1854,7 @@ class Client {
               evt.tags = this.senderTags[evt.sender];
             } else {
               // Request sender tags asynchronously.
-              this._sendEventSenderTagsRequest(evt.sender);
+              this.getSenderTags(evt.sender);
             }
           });
         }
@@ -693,10 +1883,12 @@ class Client {
         for (const sender in tagsMapping) {
           const tags = this._convertTagMap(tagsMapping[sender]);
           this.senderTags[sender] = tags;
-          // Resolve any pending promises waiting for tags for this sender.
-          if (this.pendingSenderTags[sender]) {
-            this.pendingSenderTags[sender].forEach(promiseObj => promiseObj.resolve(tags));
-            delete this.pendingSenderTags[sender];
+          // Resolve the pending request for this sender's tags.
+          const pending = this.pendingSenderTags[sender];
+          if (pending && this.storedPromises[pending.requestId]) {
+            const { resolve } = this.storedPromises[pending.requestId];
+            delete this.storedPromises[pending.requestId];
+            resolve(tags);
           }
         }
         break;
@@ -725,74 +1917,626 @@ class Client {
   _createValue(signalNames, minValues, maxValues, lastValues) {
     const value = {};
     for (let i = 0; i < signalNames.length; i++) {
-      const signalType = this.nameToType[signalNames[i]] || CDPValueType.eDOUBLE;
+      const name = signalNames[i];
+      const signalType = this.nameToType[name] || CDPValueType.eDOUBLE;
       if (minValues.length === 0 || maxValues.length === 0) {
         // Server does not send min and max when they are equal to last
-        const last = this._valueFromVariant(lastValues[i], signalType);
-        value[signalNames[i]] = {
+        const last = this._valueFromVariant(lastValues[i], signalType, name);
+        value[name] = {
           min: last,
           max: last,
           last: last
         };
       } else {
-        value[signalNames[i]] = {
-          min: this._valueFromVariant(minValues[i], signalType),
-          max: this._valueFromVariant(maxValues[i], signalType),
-          last: this._valueFromVariant(lastValues[i], signalType)
+        value[name] = {
+          min: this._valueFromVariant(minValues[i], signalType, name),
+          max: this._valueFromVariant(maxValues[i], signalType, name),
+          last: this._valueFromVariant(lastValues[i], signalType, name)
         };
       }
     }
     return value;
   }
 
-  _valueFromVariant(variant, type) {
+  /**
+   * Decodes a data point response into columns, see the "columnar" format of
+   * `requestDataPoints()`.
+   *
+   * @param {Object} response - The signal data response.
+   * @param {Object} columns - The settings of the request.
+   * @param {Array<string>} columns.nodeNames - The requested node names.
+   * @param {boolean} columns.changesOnly - Do not carry values forward.
+   * @returns {Object} The columnar data points.
+   */
+  _createColumns(response, { nodeNames, changesOnly }) {
+    const length = response.row.length;
+    const timestamps = new Float64Array(length);
+    const nodes = {};
+    for (const name of nodeNames) {
+      nodes[name] = createColumn(this.nameToType[name] || CDPValueType.eDOUBLE, length);
+    }
+
+    for (let index = 0; index < length; index++) {
+      const row = response.row[index];
+      timestamps[index] = response.criterion[index] + (this.enableTimeSync ? this.timeDiff : 0);
+      const hasMinMax = row.minValues.length > 0 && row.maxValues.length > 0;
+      for (let i = 0; i < row.signalId.length; i++) {
+        const name = this.idToName[row.signalId[i]];
+        if (!nodes[name]) {
+          nodes[name] = createColumn(this.nameToType[name] || CDPValueType.eDOUBLE, length);
+        }
+        const column = nodes[name];
+        const last = this._valueFromVariant(row.lastValues[i], column.type, name);
+        // Server does not send min and max when they are equal to last
+        setColumnValue(column, "last", index, last);
+        setColumnValue(column, "min", index, hasMinMax ? this._valueFromVariant(row.minValues[i], column.type, name) : last);
+        setColumnValue(column, "max", index, hasMinMax ? this._valueFromVariant(row.maxValues[i], column.type, name) : last);
+        column.valid[index >> 3] |= 1 << (index & 7);
+        column.firstIndex = Math.min(column.firstIndex, index);
+      }
+    }
+
+    for (const name in nodes) {
+      delete nodes[name]._codes;
+    }
+    if (!changesOnly) {
+      for (const name in nodes) {
+        const column = nodes[name];
+        for (let index = 1; index < length; index++) {
+          if (!(column.valid[index >> 3] & (1 << (index & 7)))) {
+            column.min[index] = column.min[index - 1];
+            column.max[index] = column.max[index - 1];
+            column.last[index] = column.last[index - 1];
+          }
+        }
+      }
+    }
+    return { length, timestamps, nodes };
+  }
+
+  /**
+   * Serves a data point request from `dataCache`, fetching only the time ranges
+   * of each node that are not cached yet.
+   *
+   * The cache is kept in server time, so a new time difference does not move
+   * the cached rows. Decimated rows are cached on a grid of the resolution
+   * (seconds per data point) anchored at time 0, and the request is widened to
+   * whole grid steps, so the buckets of the missing ranges line up with the
+   * cached ones. Only the values the server sent are cached, and values are
+   * carried forward after combining the nodes, so the rows are the same as
+   * without the cache.
+   */
+  async _requestCachedDataPoints(nodeNames, startS, endS, noOfDataPoints, options) {
+    const cache = this.dataCache;
+    await cache.ready;
+    if (!cache.validated || cache.endS === undefined) {
+      // Checks that the stored data is not from before a logger reset, and
+      // gets the end of the log, up to which fetched ranges are complete.
+      await this.requestLogLimits({ timeoutMs: options.timeoutMs, signal: options.signal });
+    }
+    const timeDiff = this.enableTimeSync ? this.timeDiff : 0;
+    // Rounded so windows of the same width share the resolution despite float errors.
+    const resolution = noOfDataPoints > 0 ? Number(((endS - startS) / noOfDataPoints).toPrecision(9)) : 0;
+    // Times within a thousandth of a step from a grid point are on it, despite float errors.
+    const toGrid = (timeS, round) => {
+      if (!(resolution > 0)) {
+        return timeS;
+      }
+      const steps = timeS / resolution;
+      const nearest = Math.round(steps);
+      return (Math.abs(steps - nearest) < 1e-3 ? nearest : round(steps)) * resolution;
+    };
+    const serverStartS = toGrid(startS - timeDiff, Math.floor);
+    const serverEndS = toGrid(endS - timeDiff, Math.ceil);
+    const byTimestamp = new Map();
+    const addValue = (timestamp, name, value) => {
+      if (!byTimestamp.has(timestamp)) {
+        byTimestamp.set(timestamp, { timestamp, value: {} });
+      }
+      byTimestamp.get(timestamp).value[name] = { ...value };
+    };
+
+    // Group the nodes by the ranges they are missing, to fetch each range once.
+    const missing = new Map();
+    for (const name of nodeNames) {
+      // The last bucket starts a grid step before the end.
+      cache.rows(name, resolution, serverStartS, serverEndS - resolution / 2)
+        .forEach(row => addValue(row.timestamp, name, row.value));
+      for (const [rangeStartS, rangeEndS] of cache.missingRanges(name, resolution, serverStartS, serverEndS)) {
+        if (rangeEndS <= cache.startS) {
+          continue; // The logger has no data before the start of the log.
+        }
+        const range = [toGrid(rangeStartS, Math.floor), toGrid(rangeEndS, Math.ceil)];
+        const key = range.join();
+        if (!missing.has(key)) {
+          missing.set(key, { range, names: [] });
+        }
+        missing.get(key).names.push(name);
+      }
+    }
+
+    await Promise.all(Array.from(missing.values()).map(({ range: [rangeStartS, rangeEndS], names }) => {
+      const points = resolution > 0 ? Math.max(1, Math.round((rangeEndS - rangeStartS) / resolution)) : 0;
+      return this._requestServerDataPoints(names, rangeStartS, rangeEndS, points, 0, true, options)
+        .then(dataPoints => {
+          // Snap the bucket times to the grid, as the server computes them from the range.
+          dataPoints.forEach(point => {
+            point.timestamp = toGrid(point.timestamp, Math.round);
+          });
+          // Data may still be logged after the end of the log, and rows past the
+          // row cap are missing, so only cache what is known to be complete.
+          const lastTimestamp = dataPoints.length > 0 ? dataPoints[dataPoints.length - 1].timestamp : -Infinity;
+          let completeEndS = Math.min(rangeEndS, cache.endS !== undefined ? cache.endS : lastTimestamp);
+          if (dataPoints.length >= MAX_ROWS_PER_QUERY) {
+            completeEndS = Math.min(completeEndS, lastTimestamp);
+          }
+          cache.store(names, resolution, rangeStartS, completeEndS, dataPoints);
+          dataPoints.forEach(point => names.forEach(name => {
+            if (name in point.value) {
+              addValue(point.timestamp, name, point.value[name]);
+            }
+          }));
+        });
+    }));
+
+    const dataPoints = Array.from(byTimestamp.values()).sort((a, b) => a.timestamp - b.timestamp);
+    dataPoints.forEach(point => {
+      point.timestamp += timeDiff;
+    });
+    if (options.changesOnly) {
+      return dataPoints;
+    }
+    return this._carryForwardValues(dataPoints, {});
+  }
+
+  /**
+   * Attaches the tags of their senders to events, requesting the tags of the
+   * senders that are not known yet.
+   *
+   * @param {Array} events - Event objects, updated in place.
+   * @returns {Promise<Array>} The same events.
+   */
+  _attachSenderTags(events) {
+    // Collect the unique sender names from events that lack cached tags.
+    const missingSenders = Array.from(new Set(
+      events
+        .filter(evt => !this.senderTags[evt.sender])
+        .map(evt => evt.sender)
+    ));
+
+    if (missingSenders.length === 0) {
+      return Promise.resolve(events);
+    }
+    // Request tag info for all missing senders.
+    return Promise.all(
+      missingSenders.map(sender => this.getSenderTags(sender))
+    ).then(() => {
+      // Attach tags to events after tag info is available.
+      events.forEach(evt => {
+        evt.tags = this.senderTags[evt.sender];
+      });
+      return events;
+    });
+  }
+
+  /**
+   * Returns whether `eventCache` can serve an event query. Events are logged
+   * in log timestamp order, so only log time ranges can be complete, and
+   * queries with a limit or offset depend on the events outside the range.
+   *
+   * @param {Object} query - The event query object.
+   * @returns {boolean} True if the query can be cached.
+   */
+  _isCacheableEventQuery(query) {
+    return typeof query.timeRangeBegin === "number" && typeof query.timeRangeEnd === "number" &&
+      query.timeRangeEnd > query.timeRangeBegin && !query.limit && !query.offset &&
+      Boolean((query.flags || 0) & Client.EventQueryFlags.UseLogStampForTimeRange);
+  }
+
+  /**
+   * Serves an event request from `eventCache`, fetching only the log time
+   * ranges not cached yet for the conditions of the query.
+   *
+   * @param {Object} query - A cacheable event query object.
+   * @param {Object} options - The options of `requestEvents()`.
+   * @returns {Promise<Array>} The events in the order given by the query flags.
+   */
+  async _requestCachedEvents(query, options) {
+    const startedAt = Date.now();
+    const cache = this.eventCache;
+    const Flags = Client.EventQueryFlags;
+    await cache.ready;
+    if (!cache.validated || cache.endS === undefined) {
+      await this.requestLogLimits({ timeoutMs: options.timeoutMs, signal: options.signal });
+    }
+    const key = JSON.stringify([query.senderConditions, query.dataConditions, query.codeMask]);
+    const beginS = query.timeRangeBegin;
+    const endS = query.timeRangeEnd;
+    // Events are kept by ID, as the ranges share their boundaries.
+    const byId = new Map();
+    cache.events(key, beginS, endS).forEach(record => {
+      const evt = EventMessage.fromObject(record);
+      evt.codeDescription = this.getEventCodeDescription(evt.code);
+      if (this.senderTags[evt.sender]) {
+        evt.tags = this.senderTags[evt.sender];
+      }
+      byId.set(String(evt.id), evt);
+    });
+
+    const requestOptions = { ...options, cache: false };
+    await Promise.all(cache.missingRanges(key, 0, beginS, endS).map(([rangeStartS, rangeEndS]) =>
+      this.requestEvents({ ...query, timeRangeBegin: rangeStartS, timeRangeEnd: rangeEndS,
+        flags: Flags.UseLogStampForTimeRange }, requestOptions)
+        .then(events => {
+          // Events may still be logged after the end of the log, and a capped
+          // response may miss events at its last log timestamp.
+          const completeEndS = events.length >= MAX_ROWS_PER_QUERY
+            ? -Infinity
+            : Math.min(rangeEndS, cache.endS !== undefined ? cache.endS : -Infinity);
+          cache.storeEvents(key, rangeStartS, completeEndS, events);
+          events.forEach(evt => byId.set(String(evt.id), evt));
+        })));
+
+    const events = Array.from(byId.values())
+      .filter(evt => !((query.flags & Flags.TimeRangeBeginExclusive) && evt.logstampSec === beginS) &&
+                     !((query.flags & Flags.TimeRangeEndExclusive) && evt.logstampSec === endS))
+      .sort((a, b) => a.logstampSec - b.logstampSec);
+    if (query.flags & Flags.NewestFirst) {
+      events.reverse();
+    }
+    return this._waitWithinRequest(this._attachSenderTags(events), undefined, startedAt, options);
+  }
+
+  /**
+   * Fills in the nodes missing from delta-encoded data rows.
+   *
+   * API 4.0 servers only send the values that changed since the previous row,
+   * so a node missing from a row still has the `min`, `max` and `last` it had
+   * in the row before. The rows are updated in place.
+   *
+   * @param {Array} dataPoints - Data point rows in ascending timestamp order.
+   * @param {Object} previous - The latest value of each node name seen before
+   *   these rows. Updated with the values seen in these rows, so it can be passed
+   *   again for the next page of the same query.
+   * @returns {Array} The same, now complete, data point rows.
+   */
+  _carryForwardValues(dataPoints, previous) {
+    for (const point of dataPoints) {
+      for (const name in point.value) {
+        previous[name] = point.value[name];
+      }
+      for (const name in previous) {
+        if (!(name in point.value)) {
+          point.value[name] = { ...previous[name] };
+        }
+      }
+    }
+    return dataPoints;
+  }
+
+  /**
+   * Reads the value of a VariantValue according to the node's CDPValueType.
+   *
+   * 64-bit integers are converted to numbers, so values beyond
+   * Number.MAX_SAFE_INTEGER lose precision.
+   *
+   * @param {ICD.Protobuf.IVariantValue} variant - The variant to read.
+   * @param {number} type - The CDPValueType of the node.
+   * @param {string} [name] - The node name, used in error messages.
+   * @returns {number|boolean|string|null} The value, or null if there is no variant.
+   * @throws {CDPLoggerError} If the type is not supported or the variant holds a value of
+   *   a different type than the node was reported to have.
+   */
+  _valueFromVariant(variant, type, name) {
     if (!variant) return null;
-    switch (type) {
-      case CDPValueType.eDOUBLE:
-        return variant.dValue;
-      case CDPValueType.eFLOAT:
-        return variant.fValue;
-      case CDPValueType.eUINT64:
-        return variant.ui64Value;
-      case CDPValueType.eINT64:
-        return variant.i64Value;
-      case CDPValueType.eUINT:
-        return variant.uiValue;
-      case CDPValueType.eINT:
-        return variant.iValue;
-      case CDPValueType.eUSHORT:
-        return variant.usValue;
-      case CDPValueType.eSHORT:
-        return variant.sValue;
-      case CDPValueType.eUCHAR:
-        return variant.ucValue;
-      case CDPValueType.eCHAR:
-        return variant.cValue;
-      case CDPValueType.eBOOL:
-        return variant.bValue;
-      case CDPValueType.eSTRING:
-        return variant.strValue;
-      default:
-        return null;
+    const field = VARIANT_FIELDS[type];
+    const nodeDescription = name !== undefined ? ` of node "${name}"` : "";
+    if (!field) {
+      throw new CDPLoggerError(`Unsupported value type ${CDPValueType[type] || type}${nodeDescription}.`);
     }
+    // Fields holding the default value are not sent, so only a different
+    // field being set means the value has an unexpected type.
+    const setFields = Object.values(VARIANT_FIELDS)
+      .filter(f => Object.prototype.hasOwnProperty.call(variant, f));
+    if (setFields.length > 0 && !setFields.includes(field)) {
+      throw new CDPLoggerError(
+        `Value${nodeDescription} was expected to be of type ${CDPValueType[type]} but has ${setFields.join(", ")} set.`
+      );
+    }
+    // Fall back to the protobuf default when the variant is a plain object.
+    const value = field in variant ? variant[field] : VariantValue.prototype[field];
+    if (value !== null && typeof value === "object" && typeof value.toNumber === "function") {
+      return value.toNumber(); // Long
+    }
+    return value;
   }
 
+  /**
+   * Writes a CSV export page by page. The header is formatted when the first
+   * page arrives, or with an empty page if there are no rows.
+   *
+   * @param {Writable|WritableStream} output - The output of the export.
+   * @param {AsyncIterable<Array>|Array<Array>} pages - The pages of rows.
+   * @param {Object} options - The options of the public export method.
+   * @param {Object} formatters - `header(firstPage)` and `row(item)` returning CSV lines.
+   * @returns {Promise<number>} The number of rows written.
+   */
+  async _writeCSV(output, pages, options, { header, row }) {
+    const csv = createCsvOutput(output, options.end !== false);
+    let count = 0;
+    let text = null;
+    try {
+      for await (const page of pages) {
+        text = (text === null ? header(page) : "") + page.map(row).join("");
+        await csv.write(text);
+        count += page.length;
+      }
+      if (text === null) {
+        await csv.write(header([]));
+      }
+    } catch (error) {
+      csv.release();
+      throw error;
+    }
+    await csv.close();
+    return count;
+  }
+
+  /**
+   * Returns the key under which a request is shared with identical requests in
+   * `_coalescedRequests`, or null if it should not be shared. Requests with a
+   * signal are not shared, so that aborting one does not abort the others.
+   *
+   * @param {Object} options - The options of the public request method.
+   * @param {string} type - The request type.
+   * @param {...*} args - The parameters that identify the request.
+   * @returns {string|null} The key.
+   */
+  _getCoalesceKey(options, type, ...args) {
+    if (options.coalesce === false || options.signal) {
+      return null;
+    }
+    const timeoutMs = options.timeoutMs !== undefined ? options.timeoutMs : this.requestTimeoutMs;
+    return JSON.stringify([type, timeoutMs, ...args]);
+  }
+
+  /**
+   * Returns the promise of a request that an identical request can share, or
+   * null if there is none. A shared request that is still queued is raised to
+   * the priority of the new caller, so it does not wait behind lower ones.
+   *
+   * @param {string|null} coalesceKey - The key from `_getCoalesceKey()`.
+   * @param {Object} options - The options of the public request method.
+   * @returns {Promise|null} The promise of the shared request.
+   */
+  _getSharedRequest(coalesceKey, options) {
+    const shared = this._coalescedRequests.get(coalesceKey);
+    // Only share requests that are still waiting for their response.
+    if (!shared || !this.storedPromises[shared.requestId]) {
+      return null;
+    }
+    const queued = this.queuedRequests[shared.requestId];
+    if (queued && (options.priority || 0) > queued.priority) {
+      queued.priority = options.priority;
+    }
+    return shared.promise;
+  }
+
+  _shareRequest(coalesceKey, requestId, promise) {
+    if (coalesceKey === null) {
+      return promise;
+    }
+    const shared = { requestId, promise };
+    this._coalescedRequests.set(coalesceKey, shared);
+    const remove = () => {
+      if (this._coalescedRequests.get(coalesceKey) === shared) {
+        this._coalescedRequests.delete(coalesceKey);
+      }
+    };
+    promise.then(remove, remove);
+    return promise;
+  }
+
+  /**
+   * Queues a request of a type in `REQUEST_SENDERS` and sends it right away
+   * if the connection is open and `maxConcurrentRequests` allows.
+   *
+   * @param {number} requestId - The request ID.
+   * @param {string} type - The request type.
+   * @param {Array} args - The arguments of the request, passed to the sender.
+   * @param {Object} [options] - The options of the public request method.
+   * @param {number} [options.priority=0] - Requests with a higher priority are sent first.
+   */
+  _dispatchRequest(requestId, type, args, options = {}) {
+    this.queuedRequests[requestId] = { type, args, priority: options.priority || 0, retries: 0 };
+    this._sendQueuedRequests();
+  }
+
+  /**
+   * Sends the queued requests in priority order, as many as
+   * `maxConcurrentRequests` allows. Requests waiting to be retried are skipped
+   * until their delay has passed.
+   */
   _sendQueuedRequests() {
-    for (const requestId in this.queuedRequests) {
-      const req = this.queuedRequests[requestId];
-      if (req === "logged_nodes") {
-        this._sendLoggedNodesRequest(requestId);
-      } else if (req === "log_limits") {
-        this._sendLogLimitsRequest(requestId);
-      } else if (Array.isArray(req) && req[0] === "node_values") {
-        this._reqDataPoints(req[1], req[2], req[3], req[4], req[5], requestId);
-      } else if (req === "api_version") {
-        this._sendApiVersionRequest(requestId);
-      } else if (req && req.type === "events") {
-        this._sendEventsRequest(requestId, req.query);
+    if (!this.isOpen || this._holdQueuedRequests) {
+      return;
+    }
+    const now = Date.now();
+    const requestIds = Object.keys(this.queuedRequests)
+      .map(Number)
+      .filter(requestId => !(this.queuedRequests[requestId].retryAt > now))
+      .sort((a, b) => (this.queuedRequests[b].priority - this.queuedRequests[a].priority) || a - b);
+    for (const requestId of requestIds) {
+      // Sending may settle other requests and send queued ones before we get here.
+      const request = this.queuedRequests[requestId];
+      if (!request) {
+        continue;
+      }
+      if (LIMITED_REQUEST_TYPES.has(request.type) && this._countSentQueries() >= this.maxConcurrentRequests) {
+        continue;
       }
+      delete this.queuedRequests[requestId];
+      this._sentRequests.set(requestId, request);
+      REQUEST_SENDERS[request.type](this, requestId, ...request.args);
     }
-    this.queuedRequests = {};
+  }
+
+  _countSentQueries() {
+    let count = 0;
+    this._sentRequests.forEach(request => {
+      if (LIMITED_REQUEST_TYPES.has(request.type)) {
+        count++;
+      }
+    });
+    return count;
+  }
+
+  _onRequestSettled(requestId) {
+    if (this._sentRequests.delete(requestId)) {
+      this._sendQueuedRequests();
+    }
+  }
+
+  /**
+   * Queues a sent request again to be retried after a backoff delay if the
+   * server rejected it with TooManyRequests and it has retries left.
+   *
+   * @param {number} requestId - The request ID.
+   * @param {CDPLoggerError} error - The error the server responded with.
+   * @returns {boolean} True if the request will be retried.
+   */
+  _retryRequest(requestId, error) {
+    const request = this._sentRequests.get(requestId);
+    if (!(error instanceof TooManyRequestsError) || !request || request.retries >= this.retryPolicy.maxRetries) {
+      return false;
+    }
+    const retryAt = Date.now() + backoffDelay(this.retryPolicy, request.retries);
+    this.queuedRequests[requestId] = { ...request, retries: request.retries + 1, retryAt };
+    this._onRequestSettled(requestId);
+    this._sendQueuedRequestsAt(retryAt);
+    return true;
+  }
+
+  // Timers may fire a little before Date.now() reaches their time, when the
+  // retried request would not be sent yet, so wait until the time has passed.
+  _sendQueuedRequestsAt(time) {
+    const delay = time - Date.now();
+    if (delay > 0) {
+      const timer = setTimeout(() => {
+        this._retryTimers.delete(timer);
+        this._sendQueuedRequestsAt(time);
+      }, delay);
+      this._retryTimers.add(timer);
+    } else {
+      this._sendQueuedRequests();
+    }
+  }
+
+  /**
+   * Creates the promise of a request and stores its callbacks in `storedPromises`
+   * under the request ID, where the response handlers look them up.
+   *
+   * If the request times out or is aborted, the promise is rejected and the
+   * request is removed from `storedPromises` and `queuedRequests`, so it is not
+   * sent if still queued and a late response to it is ignored.
+   *
+   * @param {number} requestId - The request ID.
+   * @param {Object} [options] - Optional settings.
+   * @param {number} [options.timeoutMs] - Reject with a TimeoutError after this
+   *   many milliseconds. Defaults to `requestTimeoutMs`; 0 means no timeout.
+   * @param {AbortSignal} [options.signal] - Reject with an AbortError when aborted.
+   * @returns {Promise} The promise of the request.
+   */
+  _storePromise(requestId, options = {}) {
+    const timeoutMs = options.timeoutMs !== undefined ? options.timeoutMs : this.requestTimeoutMs;
+    const { signal } = options;
+    return new Promise((resolve, reject) => {
+      let timer = null;
+      const cleanup = () => {
+        clearTimeout(timer);
+        if (signal) {
+          signal.removeEventListener("abort", onAbort);
+        }
+        this._onRequestSettled(requestId);
+      };
+      const entry = {
+        resolve: value => {
+          cleanup();
+          resolve(value);
+        },
+        reject: error => {
+          cleanup();
+          reject(error);
+        }
+      };
+      const cancel = error => {
+        if (this.storedPromises[requestId] === entry) {
+          delete this.storedPromises[requestId];
+          delete this.queuedRequests[requestId];
+          entry.reject(error);
+        }
+      };
+      const onAbort = () => cancel(new AbortError("Request was aborted", { requestId }));
+
+      this.storedPromises[requestId] = entry;
+      if (signal) {
+        if (signal.aborted) {
+          onAbort();
+          return;
+        }
+        signal.addEventListener("abort", onAbort);
+      }
+      if (timeoutMs > 0) {
+        timer = setTimeout(() => {
+          cancel(new TimeoutError(`Request timed out after ${timeoutMs} ms`, { requestId }));
+        }, timeoutMs);
+      }
+    });
+  }
+
+  /**
+   * Waits for the rest of a request after its response, such as the sender
+   * tags of the events, within the timeout and AbortSignal of the request.
+   *
+   * @param {Promise} promise - The rest of the request.
+   * @param {number|undefined} requestId - The request ID, for the errors.
+   * @param {number} startedAt - The `Date.now()` time the request was made.
+   * @param {Object} options - The `timeoutMs` and `signal` of the request,
+   *   as for `_storePromise()`.
+   * @returns {Promise} Settles as `promise`, or rejects with a TimeoutError or
+   *   an AbortError first.
+   */
+  _waitWithinRequest(promise, requestId, startedAt, options) {
+    const timeoutMs = options.timeoutMs !== undefined ? options.timeoutMs : this.requestTimeoutMs;
+    const { signal } = options;
+    if (!(timeoutMs > 0) && !signal) {
+      return promise;
+    }
+    return new Promise((resolve, reject) => {
+      let timer = null;
+      const settle = (callback, value) => {
+        clearTimeout(timer);
+        if (signal) {
+          signal.removeEventListener("abort", onAbort);
+        }
+        callback(value);
+      };
+      const onAbort = () => settle(reject, new AbortError("Request was aborted", { requestId }));
+
+      if (signal) {
+        if (signal.aborted) {
+          onAbort();
+          return;
+        }
+        signal.addEventListener("abort", onAbort);
+      }
+      if (timeoutMs > 0) {
+        timer = setTimeout(() => {
+          settle(reject, new TimeoutError(`Request timed out after ${timeoutMs} ms`, { requestId }));
+        }, Math.max(0, startedAt + timeoutMs - Date.now()));
+      }
+      promise.then(value => settle(resolve, value), error => settle(reject, error));
+    });
   }
 
   _getRequestId() {
@@ -801,7 +2545,8 @@ class Client {
   }
 
   _timeRequest() {
-    if (!this.enableTimeSync) return;
+    // While disconnected, time is synced again when the connection opens.
+    if (!this.enableTimeSync || !this.isOpen) return;
     if ((Date.now() / 1000) > this.lastTimeRequest + 10) {
       this._updateTimeDiff();
     }
@@ -817,6 +2562,9 @@ class Client {
         if (this.storedPromises[requestId]) {
           this.storedPromises[requestId].reject(err);
         }
+        // Do not keep holding the queued requests if time sync failed.
+        this._holdQueuedRequests = false;
+        this._sendQueuedRequests();
       });
   }
 
@@ -826,10 +2574,16 @@ class Client {
     }
     const requestId = reqId;
     this.lastTimeRequest = Date.now() / 1000;
-    this._sendTimeRequest(requestId);
-    const promise = new Promise((resolve, reject) => {
-      this.storedPromises[requestId] = { resolve, reject };
-    });
+    const promise = this._storePromise(requestId);
+    try {
+      this._sendTimeRequest(requestId);
+    } catch (error) {
+      // The socket can fail to send while (re)connecting; reject the time
+      // request instead of throwing from the request that triggered it.
+      const entry = this.storedPromises[requestId];
+      delete this.storedPromises[requestId];
+      entry.reject(error);
+    }
     return promise;
   }
 
@@ -837,8 +2591,7 @@ class Client {
     const container = Container.create();
     container.messageType = Container.Type.eTimeRequest;
     container.timeRequest = { requestId };
-    const buffer = Container.encode(container).finish();
-    this.ws.send(buffer);
+    this._send(container);
   }
 
   _setTimeDiff(timestamp, timeSent) {
@@ -854,35 +2607,43 @@ class Client {
       const minRoundTrip = Math.min(...Object.keys(this.roundTripTimes).map(Number));
       this.timeDiff = this.roundTripTimes[minRoundTrip];
       this.roundTripTimes = {};
-      if (!this.haveSentQueuedReq) {
-        this._sendQueuedRequests();
-        this.haveSentQueuedReq = true;
-      }
+      this.emit("timeSynced", this.timeDiff);
+      this._holdQueuedRequests = false;
+      this._sendQueuedRequests();
     }
   }
 
+  _sameNodeIds(a, b) {
+    const names = Object.keys(a);
+    return names.length === Object.keys(b).length && names.every(name => a[name] === b[name]);
+  }
+
   _sendLoggedNodesRequest(requestId) {
     const container = Container.create();
     container.messageType = Container.Type.eSignalInfoRequest;
     container.signalInfoRequest = { requestId };
-    const buffer = Container.encode(container).finish();
-    this.ws.send(buffer);
+    this._send(container);
   }
 
   _sendLogLimitsRequest(requestId) {
     const container = Container.create();
     container.messageType = Container.Type.eCriterionLimitsRequest;
     container.criterionLimitsRequest = { requestId };
-    const buffer = Container.encode(container).finish();
-    this.ws.send(buffer);
+    this._send(container);
   }
 
   _reqDataPoints(nodeNames, startS, endS, noOfDataPoints, limit, requestId) {
     const _getDataPoints = (nodeIds) => {
-      this._sendDataPointsRequest(nodeIds, startS, endS, requestId, noOfDataPoints, limit);
+      // The request may have timed out or been aborted while looking up the IDs.
+      if (this.storedPromises[requestId]) {
+        this._sendDataPointsRequest(nodeIds, startS, endS, requestId, noOfDataPoints, limit);
+      }
     };
 
     const rejectRequest = (error) => {
+      if (error instanceof CDPLoggerError && error.requestId === undefined) {
+        error.requestId = requestId;
+      }
       if (this.storedPromises[requestId]) {
         const { reject } = this.storedPromises[requestId];
         delete this.storedPromises[requestId];
@@ -895,7 +2656,9 @@ class Client {
         .then(nodeIds => _getDataPoints(nodeIds))
         .catch(rejectRequest);
     } else {
-      rejectRequest(new Error("InvalidRequestError on node values request: endS cannot be smaller than startS"));
+      rejectRequest(new InvalidRequestError("InvalidRequestError on node values request: endS cannot be smaller than startS", {
+        requestId
+      }));
     }
   }
 
@@ -904,7 +2667,7 @@ class Client {
       const parseIds = () => {
         for (const name of nodeNames) {
           if (!(name in this.nameToId)) {
-            reject(new Error("Node with name " + name + " does not exist."));
+            reject(new UnknownNodeError(name));
             return;
           }
         }
@@ -922,6 +2685,8 @@ class Client {
   }
 
   _sendDataPointsRequest(nodeIds, startS, endS, requestId, noOfDataPoints, limit) {
+    const serverTime = (this.storedPromises[requestId] && this.storedPromises[requestId].serverTime) || {};
+    const timeDiff = this.enableTimeSync ? this.timeDiff : 0;
     const container = Container.create();
     container.messageType = Container.Type.eSignalDataRequest;
     container.signalDataRequest = {
@@ -929,44 +2694,38 @@ class Client {
       signalId: nodeIds,
       limit,
       numOfDatapoints: noOfDataPoints,
-      criterionMin: this.enableTimeSync ? (startS - this.timeDiff) : startS,
-      criterionMax: this.enableTimeSync ? (endS - this.timeDiff) : endS
+      criterionMin: serverTime.range ? startS : startS - timeDiff,
+      criterionMax: serverTime.range ? endS : endS - timeDiff
     };
-    const buffer = Container.encode(container).finish();
-    this.ws.send(buffer);
+    this._send(container);
   }
 
   _sendApiVersionRequest(requestId) {
     const container = Container.create();
     container.messageType = Container.Type.eVersionRequest;
     container.versionRequest = { requestId };
-    const buffer = Container.encode(container).finish();
-    this.ws.send(buffer);
+    this._send(container);
   }
 
   _sendEventsRequest(requestId, query) {
     const container = Container.create();
     container.messageType = Container.Type.eEventsRequest;
     container.eventsRequest = { requestId, query };
-    const buffer = Container.encode(container).finish();
-    this.ws.send(buffer);
+    this._send(container);
   }
 
   _sendCountEventsRequest(requestId, query) {
     const container = Container.create();
     container.messageType = Container.Type.eCountEventsRequest;
     container.countEventsRequest = { requestId, query };
-    const buffer = Container.encode(container).finish();
-    this.ws.send(buffer);
+    this._send(container);
   }
 
-  _sendEventSenderTagsRequest(sender) {
+  _sendEventSenderTagsRequest(requestId, sender) {
     const container = Container.create();
     container.messageType = Container.Type.eEventSenderTagsRequest;
-    // Use a new requestId so the server can reply with a proper EventSenderTagsResponse.
-    container.eventSenderTagsRequest = { requestId: this._getRequestId(), sender };
-    const buffer = Container.encode(container).finish();
-    this.ws.send(buffer);
+    container.eventSenderTagsRequest = { requestId, sender };
+    this._send(container);
   }
 
   /**
@@ -983,7 +2742,7 @@ class Client {
    *  - dataConditions (object)
    *
    * @param {Object} query - The event query object provided by the user.
-   * @throws {Error} If the query contains invalid property names or incorrect types.
+   * @throws {InvalidRequestError} If the query contains invalid property names or incorrect types.
    */
   _validateEventQuery(query) {
     const allowedKeys = {
@@ -999,19 +2758,19 @@ class Client {
 
     Object.keys(query).forEach(key => {
       if (!allowedKeys.hasOwnProperty(key)) {
-        throw new Error(
+        throw new InvalidRequestError(
           `Invalid property "${key}" in event query. Allowed properties are: ${Object.keys(allowedKeys).join(', ')}.`
         );
       }
       const expectedType = allowedKeys[key];
       if (expectedType === 'number' && typeof query[key] !== 'number') {
-        throw new Error(`Property "${key}" must be a number.`);
+        throw new InvalidRequestError(`Property "${key}" must be a number.`);
       }
       if (expectedType === 'array' && !Array.isArray(query[key])) {
-        throw new Error(`Property "${key}" must be an array.`);
+        throw new InvalidRequestError(`Property "${key}" must be an array.`);
       }
       if (expectedType === 'object' && (typeof query[key] !== 'object' || query[key] === null || Array.isArray(query[key]))) {
-        throw new Error(`Property "${key}" must be an object.`);
+        throw new InvalidRequestError(`Property "${key}" must be an object.`);
       }
     });
   }
@@ -1024,7 +2783,7 @@ class Client {
    *
    * @param {Object} query - The simple plain object query.
    * @returns {DBMessaging.Protobuf.EventQuery} - The structured EventQuery.
-   * @throws {Error} If a condition object is missing required properties.
+   * @throws {InvalidRequestError} If a condition object is missing required properties.
    */
   _buildEventQuery(query) {
     // Validate the query object before building the EventQuery.
@@ -1054,7 +2813,7 @@ class Client {
         conditions: query.senderConditions.map(condition => {
           if (typeof condition === 'object' && condition !== null) {
             if (!('value' in condition)) {
-              throw new Error(
+              throw new InvalidRequestError(
                 `Sender condition object must include a 'value' property. Received: ${JSON.stringify(condition)}`
               );
             }
@@ -1085,7 +2844,7 @@ class Client {
           for (const item of val) {
             if (typeof item === 'object' && item !== null) {
               if (!('value' in item)) {
-                throw new Error(
+                throw new InvalidRequestError(
                   `Data condition for key "${key}" must include a 'value' property. Received: ${JSON.stringify(item)}`
                 );
               }
@@ -1104,7 +2863,7 @@ class Client {
           }
         } else if (typeof val === 'object' && val !== null) {
           if (!('value' in val)) {
-            throw new Error(
+            throw new InvalidRequestError(
               `Data condition for key "${key}" must include a 'value' property. Received: ${JSON.stringify(val)}`
             );
           }
@@ -1130,9 +2889,578 @@ class Client {
   }
 }
 
+/**
+ * An in-memory cache of data point rows for `Client.requestDataPoints()`.
+ *
+ * Rows are kept per node and resolution, together with the time ranges they
+ * cover, so a request only needs to fetch the parts of its window that are not
+ * covered yet. The least recently used series are evicted when the cache holds
+ * more than `maxRows` rows.
+ *
+ * The times are the logger's, not shifted by the time difference of the client.
+ *
+ * With a `storage` adapter the cache is saved under the endpoint, so a new
+ * session only fetches the data that was logged since.
+ */
+class DataPointCache {
+  constructor(options = {}, endpoint = "", storageName = "dataPoints") {
+    this.maxRows = options.maxRows || 100000;
+    this.rowCount = 0;
+    this.startS = undefined;  // The log limits from the latest log limits response
+    this.endS = undefined;
+    // Series by resolution and node name, least recently used first. Each has
+    // the covered time ranges and the rows in them, both in ascending order.
+    this._series = new Map();
+
+    this.storage = options.storage || null;
+    this.storageKey = `cdplogger:${storageName}:${endpoint}`;
+    this._saveTimer = null;
+    // Stored data may be from before a logger reset until the log limits have been checked.
+    this.validated = !this.storage;
+    this.ready = this.storage ? this._load() : Promise.resolve();
+  }
+
+  /**
+   * Returns the parts of a time range that are not covered for a node.
+   *
+   * @param {string} name - The node name.
+   * @param {number} resolution - Seconds per data point, 0 for full resolution.
+   * @param {number} startS - The start of the range.
+   * @param {number} endS - The end of the range.
+   * @returns {Array<Array<number>>} The missing ranges as [startS, endS] pairs.
+   */
+  missingRanges(name, resolution, startS, endS) {
+    const series = this._series.get(this._key(name, resolution));
+    const missing = [];
+    let cursor = startS;
+    for (const [rangeStartS, rangeEndS] of series ? series.ranges : []) {
+      if (rangeEndS < cursor) continue;
+      if (rangeStartS > endS) break;
+      if (rangeStartS > cursor) {
+        missing.push([cursor, rangeStartS]);
+      }
+      cursor = Math.max(cursor, rangeEndS);
+    }
+    if (cursor < endS) {
+      missing.push([cursor, endS]);
+    }
+    return missing;
+  }
+
+  /**
+   * Returns the cached values of a node within a time range.
+   *
+   * @param {string} name - The node name.
+   * @param {number} resolution - Seconds per data point, 0 for full resolution.
+   * @param {number} startS - The start of the range.
+   * @param {number} endS - The end of the range.
+   * @returns {Array} `{ timestamp, value }` pairs, where `value` has `min`, `max` and `last`.
+   */
+  rows(name, resolution, startS, endS) {
+    const key = this._key(name, resolution);
+    const series = this._series.get(key);
+    if (!series) {
+      return [];
+    }
+    // Move the series to the most recently used end.
+    this._series.delete(key);
+    this._series.set(key, series);
+    return series.rows.filter(row => row.timestamp >= startS && row.timestamp <= endS);
+  }
+
+  /**
+   * Stores the rows fetched for a time range, replacing the cached rows in it.
+   *
+   * @param {Array<string>} names - The node names that were fetched.
+   * @param {number} resolution - Seconds per data point, 0 for full resolution.
+   * @param {number} startS - The start of the fetched range.
+   * @param {number} endS - The end of the range the rows are complete for.
+   * @param {Array} dataPoints - The fetched rows, with only the values the server sent.
+   */
+  store(names, resolution, startS, endS, dataPoints) {
+    if (!(endS >= startS)) {
+      return;
+    }
+    for (const name of names) {
+      const key = this._key(name, resolution);
+      const series = this._series.get(key) || { ranges: [], rows: [] };
+      this._series.delete(key);
+      this._series.set(key, series);
+
+      const before = series.rows.filter(row => row.timestamp < startS);
+      const after = series.rows.filter(row => row.timestamp > endS);
+      const added = dataPoints
+        .filter(point => name in point.value && point.timestamp >= startS && point.timestamp <= endS)
+        .map(point => ({ timestamp: point.timestamp, value: point.value[name] }));
+      this.rowCount += before.length + added.length + after.length - series.rows.length;
+      series.rows = before.concat(added, after);
+      series.ranges = this._addRange(series.ranges, startS, endS);
+    }
+    this._evict();
+    this._scheduleSave();
+  }
+
+  /**
+   * Drops everything older than the start of the log, which the logger has
+   * already removed from its ring buffer.
+   *
+   * @param {Object} limits - The log limits, as returned by `requestLogLimits()`.
+   */
+  updateLimits(limits) {
+    // The log of a logger that was reset starts over, so the limits move backwards.
+    if (this.endS !== undefined && (limits.startS < this.startS || limits.endS < this.endS)) {
+      this.clear();
+    }
+    this.startS = limits.startS;
+    this.endS = limits.endS;
+    this.validated = true;
+    for (const [key, series] of this._series) {
+      // Keep the decimated row of the bucket the start of the log is in.
+      const [resolution] = JSON.parse(key);
+      const rows = series.rows.filter(row => row.timestamp >= limits.startS || row.timestamp > limits.startS - resolution);
+      this.rowCount -= series.rows.length - rows.length;
+      series.rows = rows;
+      series.ranges = series.ranges
+        .filter(([, rangeEndS]) => rangeEndS >= limits.startS)
+        .map(([rangeStartS, rangeEndS]) => [Math.max(rangeStartS, limits.startS), rangeEndS]);
+      if (series.ranges.length === 0) {
+        this._series.delete(key);
+      }
+    }
+    this._scheduleSave();
+  }
+
+  /**
+   * Removes everything from the cache.
+   */
+  clear() {
+    this._series.clear();
+    this.rowCount = 0;
+    this._scheduleSave();
+  }
+
+  /**
+   * Saves the cache to the storage adapter right away. Changes are otherwise
+   * saved with a delay of a second.
+   *
+   * @returns {Promise} Resolves when saved.
+   */
+  save() {
+    clearTimeout(this._saveTimer);
+    this._saveTimer = null;
+    if (!this.storage) {
+      return Promise.resolve();
+    }
+    return this.storage.set(this.storageKey, {
+      version: 1,
+      startS: this.startS,
+      endS: this.endS,
+      series: Array.from(this._series)
+    });
+  }
+
+  _load() {
+    return this.storage.get(this.storageKey)
+      .then(data => {
+        if (!data || data.version !== 1) {
+          return;
+        }
+        this._series = new Map(data.series);
+        this._series.forEach(series => {
+          this.rowCount += series.rows.length;
+        });
+        this.startS = data.startS;
+        this.endS = data.endS;
+        this._evict();
+      })
+      .catch(() => {}); // Start empty if the storage can not be read.
+  }
+
+  _scheduleSave() {
+    if (this.storage && !this._saveTimer) {
+      this._saveTimer = setTimeout(() => this.save().catch(() => {}), 1000);
+    }
+  }
+
+  _key(name, resolution) {
+    return JSON.stringify([resolution, name]);
+  }
+
+  _addRange(ranges, startS, endS) {
+    const merged = [];
+    for (const range of ranges) {
+      if (range[1] < startS || range[0] > endS) {
+        merged.push(range);
+      } else {
+        startS = Math.min(startS, range[0]);
+        endS = Math.max(endS, range[1]);
+      }
+    }
+    merged.push([startS, endS]);
+    return merged.sort((a, b) => a[0] - b[0]);
+  }
+
+  _evict() {
+    for (const [key, series] of this._series) {
+      if (this.rowCount <= this.maxRows) break;
+      this._series.delete(key);
+      this.rowCount -= series.rows.length;
+    }
+  }
+}
+
+/**
+ * An in-memory cache of the events returned by `Client.requestEvents()`.
+ *
+ * It is a `DataPointCache` with a series per query, whose rows are the events
+ * by their log timestamp, so it covers, evicts, checks for logger resets and
+ * saves its events like the data point cache. The events are kept as plain
+ * objects with the IDs as strings, so that they can be stored as JSON.
+ */
+class EventCache extends DataPointCache {
+  constructor(options = {}, endpoint = "") {
+    super({ maxRows: options.maxEvents, storage: options.storage }, endpoint, "events");
+  }
+
+  /**
+   * Returns the cached events of a query within a log time range.
+   *
+   * @param {string} key - The conditions of the query.
+   * @param {number} startS - The start of the range.
+   * @param {number} endS - The end of the range.
+   * @returns {Array} The events as plain objects.
+   */
+  events(key, startS, endS) {
+    return this.rows(key, 0, startS, endS).map(row => row.value);
+  }
+
+  /**
+   * Stores the events fetched for a log time range, replacing the cached events in it.
+   *
+   * @param {string} key - The conditions of the query.
+   * @param {number} startS - The start of the fetched range.
+   * @param {number} endS - The end of the range the events are complete for.
+   * @param {Array} events - The fetched events.
+   */
+  storeEvents(key, startS, endS, events) {
+    this.store([key], 0, startS, endS, events.map(evt => ({
+      timestamp: evt.logstampSec,
+      value: { [key]: EventMessage.toObject(evt, { longs: String }) }
+    })));
+  }
+}
+
+/**
+ * The default transport, connecting to the logger with a WebSocket.
+ *
+ * A transport carries the Container frames between a `Client` and the logger,
+ * and can be replaced with the `transport` option of the client. It is an object
+ * with a `connect(url)` method, which the client calls for every connection
+ * attempt, including reconnects. `connect()` returns a connection object with:
+ * - `send(bytes)`: Send a frame, given as a Uint8Array.
+ * - `close(code, reason)`: Close the connection. Both arguments are optional.
+ *
+ * The client then sets these handlers on the connection, which the transport calls:
+ * - `onopen()`: When the connection is open and frames can be sent.
+ * - `onmessage(bytes)`: With each received frame, as an ArrayBuffer or Uint8Array.
+ * - `onerror(error)`: When the connection fails. `onclose` must follow.
+ * - `onclose({ code, reason })`: Once, when the connection is closed, with the
+ *   WebSocket close code and reason or equivalent.
+ *
+ * Example usage, with a client certificate and a bearer token:
+ * const transport = new WebSocketTransport({
+ *   connection: { ca, cert, key, protocols: ["cdplogger"] },
+ *   tokenProvider: () => auth.getAccessToken()
+ * });
+ * const client = new cdplogger.Client("wss://logger:17000", { transport });
+ */
+class WebSocketTransport {
+  /**
+   * @param {Object} [options] - Optional settings.
+   * @param {Object} [options.connection] - Connection settings. In Node.js all of them
+   *   except `protocols` are passed on as the options of the `ws` constructor, e.g.
+   *   `ca`, `cert`, `key`, `passphrase`, `rejectUnauthorized`, `headers` or `agent`.
+   *   Browsers do not allow setting any of those.
+   * @param {string|Array<string>} [options.connection.protocols] - The WebSocket subprotocols.
+   * @param {Function} [options.tokenProvider] - Called before every connection attempt
+   *   to get a bearer token, and may return a promise. In Node.js the token is sent in
+   *   an `Authorization: Bearer <token>` header. Browsers cannot set headers on a
+   *   WebSocket, so there it is added to the URL as the `access_token` query parameter.
+   *   If it throws or rejects, the connection attempt fails with the error.
+   * @param {Function} [options.createWebSocket] - Creates the WebSocket, called as
+   *   `createWebSocket(url, token)`, e.g. to use a WebSocket tunnelled through SSH.
+   *   Replaces the default, so `connection` is not used with it.
+   */
+  constructor(options = {}) {
+    this.connection = options.connection || {};
+    this.tokenProvider = options.tokenProvider || null;
+    this.createWebSocket = options.createWebSocket || ((url, token) => this._createWebSocket(url, token));
+  }
+
+  /**
+   * Open a connection.
+   *
+   * @param {string} url - The WebSocket URL.
+   * @returns {Object} The connection.
+   */
+  connect(url) {
+    const connection = {
+      socket: null,
+      closed: false,
+      send: bytes => connection.socket.send(bytes),
+      close: (code, reason) => {
+        connection.closed = true;
+        if (connection.socket) {
+          connection.socket.close(code, reason);
+        }
+      },
+      onopen: null,
+      onmessage: null,
+      onerror: null,
+      onclose: null
+    };
+    if (!this.tokenProvider) {
+      this._open(connection, url);
+      return connection;
+    }
+    Promise.resolve()
+      .then(() => this.tokenProvider())
+      .then(token => this._open(connection, url, token))
+      .catch(error => {
+        connection.onerror && connection.onerror(error);
+        connection.onclose && connection.onclose({ code: 1006, reason: error.message });
+      });
+    return connection;
+  }
+
+  _open(connection, url, token) {
+    if (connection.closed) {
+      connection.onclose && connection.onclose({ code: 1000, reason: "" });
+      return;
+    }
+    const socket = this.createWebSocket(url, token);
+    socket.binaryType = "arraybuffer";
+    socket.onopen = () => connection.onopen && connection.onopen();
+    socket.onmessage = event => connection.onmessage && connection.onmessage(event.data);
+    socket.onerror = error => connection.onerror && connection.onerror(error);
+    socket.onclose = event => connection.onclose && connection.onclose({ code: event.code, reason: event.reason });
+    connection.socket = socket;
+  }
+
+  _createWebSocket(url, token) {
+    const { protocols, ...options } = this.connection;
+    if (typeof window !== 'undefined') {
+      if (token !== undefined) {
+        const tokenUrl = new URL(url);
+        tokenUrl.searchParams.set("access_token", token);
+        url = tokenUrl.toString();
+      }
+      return new WS(url, protocols);
+    }
+    if (token !== undefined) {
+      options.headers = { ...options.headers, Authorization: `Bearer ${token}` };
+    }
+    return new WS(url, protocols, options);
+  }
+}
+
+/**
+ * Base class for live subscriptions that poll the logger for newly logged rows.
+ *
+ * Events:
+ * - `data` (Array): The new rows, oldest first.
+ * - `error` (Error): A poll failed. Polling continues.
+ */
+class PollingSubscription extends EventEmitter {
+  constructor(client, options) {
+    super();
+    this.client = client;
+    this.intervalMs = options.intervalMs || 1000;
+    this.active = true;
+    // Start on the next tick so listeners can be attached first.
+    this._timer = setTimeout(() => this._poll(), 0);
+  }
+
+  /**
+   * Stop polling. No events are emitted after this is called.
+   */
+  unsubscribe() {
+    this.active = false;
+    clearTimeout(this._timer);
+    this.client.subscriptions.delete(this);
+  }
+
+  /**
+   * Fetch and deliver the rows logged since the last poll.
+   *
+   * @returns {Promise<boolean>} Resolves with true if more rows are waiting,
+   *   so the next poll should happen right away.
+   */
+  _fetch() {
+    throw new Error("_fetch() must be implemented by the subscription");
+  }
+
+  _deliver(rows) {
+    if (this.active && rows.length > 0) {
+      this.emit("data", rows);
+    }
+  }
+
+  _schedule(delayMs) {
+    if (this.active) {
+      this._timer = setTimeout(() => this._poll(), delayMs);
+    }
+  }
+
+  _poll() {
+    if (!this.active) return;
+    if (!this.client.isOpen) {
+      // Wait for the client to reconnect.
+      this._schedule(this.intervalMs);
+      return;
+    }
+    this._fetch()
+      .then(more => this._schedule(more ? 0 : this.intervalMs))
+      .catch(error => {
+        // Errors caused by the connection dropping are expected while reconnecting.
+        if (this.active && !(error instanceof ConnectionClosedError) && this.listenerCount("error") > 0) {
+          this.emit("error", error);
+        }
+        this._schedule(this.intervalMs);
+      });
+  }
+}
+
+/**
+ * A live subscription to newly logged values, created by `Client.subscribeDataPoints()`.
+ * Emits rows in the same format as `requestDataPoints()`.
+ */
+class DataPointSubscription extends PollingSubscription {
+  constructor(client, nodeNames, options) {
+    super(client, options);
+    this.nodeNames = nodeNames;
+    this.resolution = options.resolution || 0;
+    this.lastTimestamp = options.startS !== undefined ? options.startS : null;
+    this._previous = {};  // Last value of each node, see Client._carryForwardValues()
+  }
+
+  _fetch() {
+    return this.client.requestLogLimits()
+      .then(limits => {
+        if (this.lastTimestamp === null) {
+          this.lastTimestamp = limits.endS;
+        }
+        if (!(limits.endS > this.lastTimestamp)) {
+          return [];
+        }
+        const noOfDataPoints = this.resolution > 0
+          ? Math.max(1, Math.ceil((limits.endS - this.lastTimestamp) / this.resolution))
+          : 0;
+        return this.client.requestDataPoints(
+          this.nodeNames, this.lastTimestamp, limits.endS, noOfDataPoints, 0, { changesOnly: true, cache: false });
+      })
+      .then(rows => {
+        this.client._carryForwardValues(rows, this._previous);
+        const newRows = rows.filter(row => row.timestamp > this.lastTimestamp);
+        if (newRows.length > 0) {
+          this.lastTimestamp = newRows[newRows.length - 1].timestamp;
+        }
+        this._deliver(newRows);
+        return rows.length >= MAX_ROWS_PER_QUERY;
+      });
+  }
+}
+
+/**
+ * A live subscription to newly logged events, created by `Client.subscribeEvents()`.
+ * Emits events in the same format as `requestEvents()`, including sender tags.
+ */
+class EventSubscription extends PollingSubscription {
+  constructor(client, query, options) {
+    super(client, options);
+    this.query = query;
+    this.lastLogstamp = query.timeRangeBegin !== undefined ? query.timeRangeBegin : null;
+    this.lastIds = new Set();  // IDs of the delivered events logged at lastLogstamp
+  }
+
+  _fetch() {
+    const Flags = Client.EventQueryFlags;
+    const flags = (this.query.flags || 0) & ~Flags.NewestFirst;
+    if (this.lastLogstamp === null) {
+      // Start after the newest matching event logged so far, and the events
+      // logged at the same time stamp before it.
+      const newestQuery = {
+        ...this.query,
+        limit: 1,
+        offset: 0,
+        flags: Flags.NewestFirst | Flags.UseLogStampForTimeRange
+      };
+      return this.client.requestEvents(newestQuery).then(events => {
+        if (events.length === 0) {
+          this.lastLogstamp = 0;
+          return false;
+        }
+        const { limit, ...query } = this.query;
+        const stamp = events[0].logstampSec;
+        return this.client.requestEvents({
+          ...query,
+          timeRangeBegin: stamp,
+          timeRangeEnd: stamp,
+          offset: 0,
+          flags: (flags & ~(Flags.TimeRangeBeginExclusive | Flags.TimeRangeEndExclusive)) | Flags.UseLogStampForTimeRange
+        }).then(logged => {
+          this.lastLogstamp = stamp;
+          this.lastIds = new Set(logged.map(evt => String(evt.id)));
+          return false;
+        });
+      });
+    }
+
+    // Continue inclusively from the last time stamp, skipping the events
+    // already delivered at that time stamp, like iterateEvents() does. Until
+    // an event is delivered, the begin of the subscribed query is kept as is.
+    const query = {
+      ...this.query,
+      timeRangeBegin: this.lastLogstamp,
+      offset: this.lastIds.size,
+      flags: (this.lastIds.size > 0 ? flags & ~Flags.TimeRangeBeginExclusive : flags)
+        | Flags.UseLogStampForTimeRange
+    };
+    return this.client.requestEvents(query).then(events => {
+      const newEvents = events.filter(evt =>
+        !(evt.logstampSec === this.lastLogstamp && this.lastIds.has(String(evt.id))));
+      for (const evt of newEvents) {
+        if (evt.logstampSec !== this.lastLogstamp) {
+          this.lastLogstamp = evt.logstampSec;
+          this.lastIds = new Set();
+        }
+        this.lastIds.add(String(evt.id));
+      }
+      this._deliver(newEvents);
+      return query.limit !== undefined && events.length >= query.limit;
+    });
+  }
+}
+
 // Export the module
 const cdplogger = {};
 cdplogger.Client = Client;
+cdplogger.CDPValueType = CDPValueType;
+cdplogger.CDPLoggerError = CDPLoggerError;
+cdplogger.ConnectionClosedError = ConnectionClosedError;
+cdplogger.TimeoutError = TimeoutError;
+cdplogger.AbortError = AbortError;
+cdplogger.InvalidRequestError = InvalidRequestError;
+cdplogger.TooManyRequestsError = TooManyRequestsError;
+cdplogger.UnknownNodeError = UnknownNodeError;
+cdplogger.IncompatibleVersionError = IncompatibleVersionError;
+cdplogger.WebSocketTransport = WebSocketTransport;
+cdplogger.CsvFormat = CsvFormat;
+cdplogger.createCsvOutput = createCsvOutput;
+// Protocol constants for protocol.js. Not enumerable, as they are not public API.
+Object.defineProperty(cdplogger, "_protocol", {
+  value: Object.freeze({ MAX_ROWS_PER_QUERY, VARIANT_FIELDS })
+});
 
 // For Node.js
 if (typeof module !== 'undefined' && module.exports) {
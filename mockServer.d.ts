@@ -0,0 +1,56 @@
+// Type declarations for mockServer.js.
+
+import { EventEmitter } from "events";
+import type { CDPEvent, CDPValue, CDPValueType, Client, Tags } from "./client";
+import type { MemoryTransport } from "./transports";
+
+export declare const ErrorCode: typeof Client.ErrorCode;
+
+/** The data a MockLogServer answers requests from. */
+export interface Dataset {
+  version: string;
+  nodes: Array<{ name: string; path: string; type: CDPValueType; id?: number; tags?: Tags }>;
+  rows: Array<{ timestamp: number; values: Record<string, CDPValue> }>;
+  events: Array<Omit<CDPEvent, "codeDescription" | "tags">>;
+  senderTags: Record<string, Tags>;
+  limits?: { startS: number; endS: number };
+}
+
+export declare function createDataset(options?: {
+  seed?: number;
+  startS?: number;
+  durationS?: number;
+  intervalS?: number;
+  eventIntervalS?: number;
+}): Dataset;
+
+/** A fault applied to matching requests, see `MockLogServer.injectFault()`. */
+export interface Fault {
+  /** The Container type of the requests to affect, e.g. "eSignalDataRequest". */
+  type?: string | number;
+  match?: (request: any) => boolean;
+  times?: number;
+  delayMs?: number;
+  drop?: boolean;
+  error?: { code: number; message?: string };
+  close?: boolean | { code: number; reason?: string };
+}
+
+/** A mock CDP Logger that answers requests from a dataset. */
+export declare class MockLogServer extends EventEmitter {
+  constructor(options?: { dataset?: Dataset; clockOffsetS?: number });
+  dataset: Dataset;
+  clockOffsetS: number;
+  /** The decoded Containers of all received requests. */
+  requests: any[];
+  faults: Fault[];
+  /** The address to pass to the Client, once listening. */
+  readonly url: string;
+  listen(port?: number, host?: string): Promise<string>;
+  createTransport(): MemoryTransport;
+  close(): Promise<void>;
+  closeConnections(code?: number, reason?: string): void;
+  injectFault(fault: Fault): Fault;
+  removeFault(fault: Fault): void;
+  clearFaults(): void;
+}
@@ -0,0 +1,588 @@
+// An in-process mock CDP Logger / LogServer for tests.
+//
+// The server speaks the same Container protobuf protocol over WebSocket as a
+// real logger and answers requests from a seeded dataset, so that tests run
+// the real Client against real WebSocket framing. Clients can also connect
+// in-memory, without a network. Faults such as delays, dropped requests, errors
+// and closed connections can be injected.
+//
+// Node.js only:  const { MockLogServer } = require('cdplogger-client/mockServer');
+
+const { WebSocketServer } = require('ws');
+const { EventEmitter } = require('events');
+const root = require('./generated/containerPb.js');
+const { Client } = require('./client');
+const { MemoryTransport } = require('./transports');
+const { MAX_ROWS_PER_QUERY, VARIANT_FIELDS } = require('./protocol');
+
+const Container = root.DBMessaging.Protobuf.Container;
+const CDPValueType = root.ICD.Protobuf.CDPValueType;
+const Type = Container.Type;
+const { ErrorCode, EventQueryFlags, MatchType } = Client;
+
+// The container field of the request of each request type.
+const REQUEST_FIELDS = Object.freeze({
+  [Type.eSignalInfoRequest]: "signalInfoRequest",
+  [Type.eSignalDataRequest]: "signalDataRequest",
+  [Type.eCriterionLimitsRequest]: "criterionLimitsRequest",
+  [Type.eVersionRequest]: "versionRequest",
+  [Type.eTimeRequest]: "timeRequest",
+  [Type.eEventSenderTagsRequest]: "eventSenderTagsRequest",
+  [Type.eCountEventsRequest]: "countEventsRequest",
+  [Type.eEventsRequest]: "eventsRequest"
+});
+
+// A small seeded pseudo random number generator (mulberry32), so that
+// generated datasets are the same on every run.
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Generate a dataset for MockLogServer.
+ *
+ * The dataset has the nodes `Output` (a noisy sine, eDOUBLE, tagged with a
+ * Unit), `CPULoad` (eDOUBLE), `Counter` (eINT64), `Running` (eBOOL) and `State`
+ * (eSTRING), logged every `intervalS` seconds. `Running` and `State` are only
+ * logged when they change. Events from a few senders are logged every minute
+ * on average. The same seed always gives the same dataset.
+ *
+ * @param {Object} [options] - Optional settings.
+ * @param {number} [options.seed=1] - The seed of the random values.
+ * @param {number} [options.startS=1700000000] - The time of the first row.
+ * @param {number} [options.durationS=3600] - The time span of the rows and events.
+ * @param {number} [options.intervalS=1] - The time between rows.
+ * @param {number} [options.eventIntervalS=60] - The average time between events.
+ * @returns {Object} The dataset, see `MockLogServer`.
+ */
+function createDataset(options = {}) {
+  const random = createRandom(options.seed !== undefined ? options.seed : 1);
+  const startS = options.startS !== undefined ? options.startS : 1700000000;
+  const durationS = options.durationS !== undefined ? options.durationS : 3600;
+  const intervalS = options.intervalS || 1;
+  const eventIntervalS = options.eventIntervalS || 60;
+
+  const nodes = [
+    { name: "Output", path: "App.Sine.Output", type: CDPValueType.eDOUBLE,
+      tags: { Unit: { value: "V", source: "App.Sine" } } },
+    { name: "CPULoad", path: "App.CPULoad", type: CDPValueType.eDOUBLE,
+      tags: { Unit: { value: "%", source: "App" } } },
+    { name: "Counter", path: "App.Counter", type: CDPValueType.eINT64 },
+    { name: "Running", path: "App.Running", type: CDPValueType.eBOOL },
+    { name: "State", path: "App.State", type: CDPValueType.eSTRING,
+      tags: { Description: { value: "Operating state", source: "App" } } }
+  ];
+  const states = ["Idle", "Starting", "Running", "Stopping"];
+  const rows = [];
+  let running = false;
+  let state = states[0];
+  for (let index = 0; index * intervalS <= durationS; index++) {
+    const timestamp = startS + index * intervalS;
+    const values = {
+      Output: Math.sin(2 * Math.PI * timestamp / 60) + (random() - 0.5) / 10,
+      CPULoad: 20 + random() * 10,
+      Counter: index
+    };
+    if (index === 0 || random() < 0.02) {
+      running = index === 0 ? running : !running;
+      values.Running = running;
+    }
+    if (index === 0 || random() < 0.02) {
+      state = index === 0 ? state : states[Math.floor(random() * states.length)];
+      values.State = state;
+    }
+    rows.push({ timestamp, values });
+  }
+
+  const senders = ["App", "App.Sine", "App.Watchdog"];
+  const texts = ["Component was suspended", "Value out of range", "Watchdog timeout", "Configuration reloaded"];
+  const events = [];
+  let timestampSec = startS;
+  for (let id = 1; ; id++) {
+    timestampSec += random() * 2 * eventIntervalS;
+    if (timestampSec > startS + durationS) {
+      break;
+    }
+    const code = random() < 0.5 ? 0 : 0x1;
+    events.push({
+      id,
+      sender: senders[Math.floor(random() * senders.length)],
+      data: { Text: texts[Math.floor(random() * texts.length)], Level: code ? "ERROR" : "INFO" },
+      timestampSec,
+      logstampSec: timestampSec + 0.001,
+      code,
+      status: code ? 1 : 0
+    });
+  }
+  const senderTags = {
+    App: { Description: { value: "Application", source: "App" } },
+    "App.Watchdog": { Timeout: { value: "5 s", source: "Config" } }
+  };
+  return { version: "4.0", nodes, rows, events, senderTags };
+}
+
+function matchesPattern(text, condition) {
+  if (condition.type === MatchType.Exact) {
+    return text === condition.value;
+  }
+  const pattern = (condition.value || "").replace(/[.+^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*").replace(/\?/g, ".");
+  return new RegExp(`^${pattern}$`).test(text);
+}
+
+// Adapts the server end of a MemoryTransport connection to the parts of the
+// `ws` socket API used by the server.
+class MemorySocket extends EventEmitter {
+  constructor(connection) {
+    super();
+    this.OPEN = 1;
+    this.readyState = this.OPEN;
+    this.connection = connection;
+    connection.onmessage = bytes => this.emit("message", bytes);
+    connection.onclose = () => {
+      this.readyState = 3;
+      this.emit("close");
+    };
+  }
+
+  send(bytes) {
+    this.connection.send(bytes);
+  }
+
+  close(code, reason) {
+    this.readyState = 2;
+    this.connection.close(code, reason);
+  }
+
+  terminate() {
+    this.close(1006, "");
+  }
+}
+
+/**
+ * A mock CDP Logger that answers requests from a dataset.
+ *
+ * The dataset is an object with:
+ *   - `version` (string): The API version, e.g. "4.0".
+ *   - `nodes` (Array): The logged nodes as `{ name, path, type, tags }`, where `type`
+ *       is a CDPValueType and `tags` maps tag names to `{ value, source }`. The ID of
+ *       a node is its `id`, or its index.
+ *   - `rows` (Array): The logged rows as `{ timestamp, values }` ordered by timestamp,
+ *       where `values` has the value of each node logged at that time by node name.
+ *   - `events` (Array): The logged events in the format of `requestEvents()`, without
+ *       `codeDescription` and `tags`.
+ *   - `senderTags` (Object): The tags of event senders by sender name.
+ *   - `limits` (Object): Optional `{ startS, endS }` reported as the log limits. By
+ *       default the limits are the times of the first and last row.
+ *
+ * Every received request is recorded in `requests` and emitted as a `request`
+ * event with the decoded Container, before faults are applied.
+ *
+ * Clients connect over WebSocket once the server is listening, or in-memory
+ * through a transport made by `createTransport()`.
+ *
+ * Example usage:
+ * const server = new MockLogServer();
+ * const url = await server.listen();
+ * const client = new cdplogger.Client(url, false);
+ * server.injectFault({ type: "eSignalDataRequest", times: 1, error: { code: 3 } });
+ * ...
+ * client.disconnect();
+ * await server.close();
+ */
+class MockLogServer extends EventEmitter {
+  /**
+   * @param {Object} [options] - Optional settings.
+   * @param {Object} [options.dataset] - The dataset, see above. Defaults to `createDataset()`.
+   * @param {number} [options.clockOffsetS=0] - How far the server's clock is ahead of the
+   *   local clock, reported in time responses.
+   */
+  constructor(options = {}) {
+    super();
+    this.dataset = options.dataset || createDataset();
+    this.clockOffsetS = options.clockOffsetS || 0;
+    this.requests = [];
+    this.faults = [];
+    this.server = null;
+    this.sockets = new Set();
+  }
+
+  /**
+   * Start listening for connections.
+   *
+   * @param {number} [port=0] - The port, 0 for any free port.
+   * @param {string} [host="127.0.0.1"] - The address to listen on.
+   * @returns {Promise<string>} Resolves with the address to pass to the Client,
+   *   e.g. "127.0.0.1:41234".
+   */
+  listen(port = 0, host = "127.0.0.1") {
+    return new Promise((resolve, reject) => {
+      this.server = new WebSocketServer({ port, host });
+      this.server.once("error", reject);
+      this.server.once("listening", () => {
+        this.server.off("error", reject);
+        resolve(this.url);
+      });
+      this.server.on("connection", socket => this._onConnection(socket));
+    });
+  }
+
+  /**
+   * Create a transport connecting clients to this server in-memory, for the
+   * `transport` option of the Client. The server does not need to be listening.
+   *
+   * @returns {MemoryTransport} The transport.
+   */
+  createTransport() {
+    return new MemoryTransport(connection => this._onConnection(new MemorySocket(connection)));
+  }
+
+  /**
+   * The address of the server, e.g. "127.0.0.1:41234", once listening.
+   */
+  get url() {
+    const address = this.server.address();
+    return `${address.address}:${address.port}`;
+  }
+
+  /**
+   * Close all connections and stop listening.
+   *
+   * @returns {Promise<void>} Resolves when the server is closed.
+   */
+  close() {
+    for (const socket of this.sockets) {
+      socket.terminate();
+    }
+    return new Promise(resolve => (this.server ? this.server.close(() => resolve()) : resolve()));
+  }
+
+  /**
+   * Close all client connections.
+   *
+   * @param {number} [code] - The WebSocket close code. Without a code the connections
+   *   are dropped abruptly, without a close handshake, like when the network fails.
+   * @param {string} [reason] - The close reason.
+   */
+  closeConnections(code, reason) {
+    for (const socket of this.sockets) {
+      if (code === undefined) {
+        socket.terminate();
+      } else {
+        socket.close(code, reason);
+      }
+    }
+  }
+
+  /**
+   * Inject a fault applied to matching requests. When several faults match a
+   * request, the one injected first is applied.
+   *
+   * @param {Object} fault - The fault.
+   * @param {string|number} [fault.type] - The Container type of the requests to affect,
+   *   e.g. "eSignalDataRequest". All requests by default.
+   * @param {Function} [fault.match] - Only affect requests for which `match(request)`
+   *   returns true. It is called with the request message, e.g. the SignalDataRequest.
+   * @param {number} [fault.times=Infinity] - The number of requests to affect.
+   * @param {number} [fault.delayMs] - Delay the response by this long.
+   * @param {boolean} [fault.drop] - Do not respond at all.
+   * @param {Object} [fault.error] - Respond with an eError `{ code, message }` instead,
+   *   where `code` is one of `ErrorCode`.
+   * @param {boolean|Object} [fault.close] - Close the connection instead of responding:
+   *   true drops it abruptly, `{ code, reason }` closes it with a close frame.
+   * @returns {Object} The fault, which can be passed to `removeFault()`.
+   */
+  injectFault(fault) {
+    const entry = {
+      ...fault,
+      type: typeof fault.type === "string" ? Type[fault.type] : fault.type,
+      times: fault.times !== undefined ? fault.times : Infinity
+    };
+    this.faults.push(entry);
+    return entry;
+  }
+
+  /**
+   * Remove a fault added with `injectFault()`.
+   *
+   * @param {Object} fault - The fault returned by `injectFault()`.
+   */
+  removeFault(fault) {
+    this.faults = this.faults.filter(entry => entry !== fault);
+  }
+
+  /**
+   * Remove all faults.
+   */
+  clearFaults() {
+    this.faults = [];
+  }
+
+  _onConnection(socket) {
+    this.sockets.add(socket);
+    socket.on("close", () => this.sockets.delete(socket));
+    socket.on("message", message => this._onMessage(socket, message));
+  }
+
+  _onMessage(socket, message) {
+    let container;
+    try {
+      container = Container.decode(new Uint8Array(message));
+    } catch (error) {
+      socket.close(1002, "Invalid message");
+      return;
+    }
+    this.requests.push(container);
+    this.emit("request", container);
+
+    const request = container[REQUEST_FIELDS[container.messageType]] || {};
+    const fault = this._takeFault(container.messageType, request);
+    if (fault && fault.close) {
+      if (fault.close === true) {
+        socket.terminate();
+      } else {
+        socket.close(fault.close.code, fault.close.reason);
+      }
+      return;
+    }
+    if (fault && fault.drop) {
+      return;
+    }
+    const response = fault && fault.error
+      ? this._error(request.requestId, fault.error.code, fault.error.message || "Injected error")
+      : this._respond(container.messageType, request);
+    const send = () => {
+      if (socket.readyState === socket.OPEN) {
+        socket.send(Container.encode(response).finish());
+      }
+    };
+    if (fault && fault.delayMs) {
+      setTimeout(send, fault.delayMs);
+    } else {
+      send();
+    }
+  }
+
+  _takeFault(type, request) {
+    const fault = this.faults.find(entry =>
+      (entry.type === undefined || entry.type === type) && (!entry.match || entry.match(request)));
+    if (fault) {
+      fault.times--;
+      if (fault.times <= 0) {
+        this.removeFault(fault);
+      }
+    }
+    return fault;
+  }
+
+  _respond(type, request) {
+    switch (type) {
+      case Type.eVersionRequest:
+        return Container.create({
+          messageType: Type.eVersionResponse,
+          versionResponse: { requestId: request.requestId, version: this.dataset.version || "4.0" }
+        });
+
+      case Type.eTimeRequest:
+        return Container.create({
+          messageType: Type.eTimeResponse,
+          timeResponse: {
+            requestId: request.requestId,
+            timestamp: Math.round((Date.now() / 1000 + this.clockOffsetS) * 1e9)
+          }
+        });
+
+      case Type.eSignalInfoRequest:
+        return this._signalInfo(request);
+
+      case Type.eCriterionLimitsRequest: {
+        const limits = this._limits();
+        return Container.create({
+          messageType: Type.eCriterionLimitsResponse,
+          criterionLimitsResponse: { requestId: request.requestId, criterionMin: limits.startS, criterionMax: limits.endS }
+        });
+      }
+
+      case Type.eSignalDataRequest:
+        return this._signalData(request);
+
+      case Type.eEventsRequest:
+        return Container.create({
+          messageType: Type.eEventsResponse,
+          eventsResponse: { requestId: request.requestId, events: this._queryEvents(request.query || {}, true) }
+        });
+
+      case Type.eCountEventsRequest:
+        return Container.create({
+          messageType: Type.eCountEventsResponse,
+          countEventsResponse: { requestId: request.requestId, count: this._queryEvents(request.query || {}, false).length }
+        });
+
+      case Type.eEventSenderTagsRequest: {
+        // The request does not name a sender, so the tags of all senders are
+        // sent, with an empty tag map for senders without tags.
+        const tags = this.dataset.senderTags || {};
+        const senderTags = {};
+        for (const sender of new Set((this.dataset.events || []).map(evt => evt.sender).concat(Object.keys(tags)))) {
+          senderTags[sender] = { tags: tags[sender] || {} };
+        }
+        return Container.create({
+          messageType: Type.eEventSenderTagsResponse,
+          eventSenderTagsResponse: { requestId: request.requestId, senderTags }
+        });
+      }
+
+      default:
+        return this._error(request.requestId, ErrorCode.UnsupportedContainerType,
+          `Unsupported container type ${type}`);
+    }
+  }
+
+  _error(requestId, code, message) {
+    return Container.create({
+      messageType: Type.eError,
+      error: { requestId, errorCode: code, errorMessage: message }
+    });
+  }
+
+  _nodes() {
+    return this.dataset.nodes.map((node, index) => ({ ...node, id: node.id !== undefined ? node.id : index }));
+  }
+
+  _limits() {
+    if (this.dataset.limits) {
+      return this.dataset.limits;
+    }
+    const rows = this.dataset.rows || [];
+    return rows.length > 0
+      ? { startS: rows[0].timestamp, endS: rows[rows.length - 1].timestamp }
+      : { startS: 0, endS: 0 };
+  }
+
+  _signalInfo(request) {
+    const nodes = this._nodes();
+    return Container.create({
+      messageType: Type.eSignalInfoResponse,
+      signalInfoResponse: {
+        requestId: request.requestId,
+        name: nodes.map(node => node.name),
+        id: nodes.map(node => node.id),
+        type: nodes.map(node => (node.type !== undefined ? node.type : CDPValueType.eDOUBLE)),
+        path: nodes.map(node => node.path || node.name),
+        tagMap: nodes.map(node => ({ tags: node.tags || {} }))
+      }
+    });
+  }
+
+  _signalData(request) {
+    const nodesById = new Map(this._nodes().map(node => [node.id, node]));
+    const nodes = [];
+    for (const id of request.signalId) {
+      if (!nodesById.has(id)) {
+        return this._error(request.requestId, ErrorCode.InvalidRequest, `Unknown signal ID ${id}`);
+      }
+      nodes.push(nodesById.get(id));
+    }
+    const startS = request.criterionMin;
+    const endS = request.criterionMax;
+    const rows = (this.dataset.rows || []).filter(row =>
+      row.timestamp >= startS && row.timestamp <= endS && nodes.some(node => node.name in row.values));
+
+    // Full resolution rows, or one row per non-empty bucket of the time range
+    // with the min, max and last values of the rows in it.
+    let buckets;
+    if (request.numOfDatapoints > 0 && endS > startS) {
+      const bucketS = (endS - startS) / request.numOfDatapoints;
+      buckets = [];
+      for (const row of rows) {
+        const bucketStart = startS + Math.min(Math.floor((row.timestamp - startS) / bucketS),
+          request.numOfDatapoints - 1) * bucketS;
+        if (buckets.length === 0 || buckets[buckets.length - 1].timestamp !== bucketStart) {
+          buckets.push({ timestamp: bucketStart, rows: [] });
+        }
+        buckets[buckets.length - 1].rows.push(row);
+      }
+    } else {
+      buckets = rows.map(row => ({ timestamp: row.timestamp, rows: [row] }));
+    }
+    const limit = Math.min(request.limit || MAX_ROWS_PER_QUERY, MAX_ROWS_PER_QUERY);
+    buckets = buckets.slice(0, limit);
+
+    return Container.create({
+      messageType: Type.eSignalDataResponse,
+      signalDataResponse: {
+        requestId: request.requestId,
+        criterion: buckets.map(bucket => bucket.timestamp),
+        row: buckets.map(bucket => {
+          const row = { signalId: [], minValues: [], maxValues: [], lastValues: [] };
+          for (const node of nodes) {
+            const values = bucket.rows.filter(r => node.name in r.values).map(r => r.values[node.name]);
+            if (values.length === 0) {
+              continue;
+            }
+            const ordered = values.slice().sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+            row.signalId.push(node.id);
+            row.minValues.push(this._variant(node, ordered[0]));
+            row.maxValues.push(this._variant(node, ordered[ordered.length - 1]));
+            row.lastValues.push(this._variant(node, values[values.length - 1]));
+          }
+          return row;
+        })
+      }
+    });
+  }
+
+  _variant(node, value) {
+    return { [VARIANT_FIELDS[node.type] || VARIANT_FIELDS[CDPValueType.eDOUBLE]]: value };
+  }
+
+  _queryEvents(query, page) {
+    const flags = query.flags || 0;
+    const stampField = (flags & EventQueryFlags.UseLogStampForTimeRange) ? "logstampSec" : "timestampSec";
+    const senderConditions = query.senderConditions ? query.senderConditions.conditions : [];
+    const dataConditions = query.dataConditions || {};
+    // The query fields are optional, so unset fields are not own properties.
+    const has = field => Object.prototype.hasOwnProperty.call(query, field);
+    let events = (this.dataset.events || []).filter(evt => {
+      const stamp = evt[stampField];
+      if (has("timeRangeBegin") &&
+          ((flags & EventQueryFlags.TimeRangeBeginExclusive) ? stamp <= query.timeRangeBegin : stamp < query.timeRangeBegin)) {
+        return false;
+      }
+      if (has("timeRangeEnd") &&
+          ((flags & EventQueryFlags.TimeRangeEndExclusive) ? stamp >= query.timeRangeEnd : stamp > query.timeRangeEnd)) {
+        return false;
+      }
+      if (query.codeMask && !(evt.code & query.codeMask)) {
+        return false;
+      }
+      if (senderConditions.length > 0 && !senderConditions.some(condition => matchesPattern(evt.sender, condition))) {
+        return false;
+      }
+      return Object.keys(dataConditions).every(key =>
+        evt.data && key in evt.data &&
+        dataConditions[key].conditions.some(condition => matchesPattern(evt.data[key], condition)));
+    });
+    if (!page) {
+      return events;
+    }
+    events = events.slice().sort((a, b) => a[stampField] - b[stampField] || a.id - b.id);
+    if (flags & EventQueryFlags.NewestFirst) {
+      events.reverse();
+    }
+    const offset = query.offset || 0;
+    return events.slice(offset, query.limit ? offset + query.limit : undefined);
+  }
+}
+
+module.exports = {
+  MockLogServer,
+  createDataset,
+  ErrorCode
+};
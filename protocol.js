@@ -0,0 +1,10 @@
+// Protocol constants shared by the Node.js modules of the package, such as
+// mockServer.js. Not part of the public API. They are defined in client.js,
+// which browsers load on its own, so the client and these modules always agree.
+
+const { MAX_ROWS_PER_QUERY, VARIANT_FIELDS } = require('./client')._protocol;
+
+module.exports = {
+  MAX_ROWS_PER_QUERY,
+  VARIANT_FIELDS
+};
@@ -0,0 +1,20 @@
+// Type declarations for pyramid.js.
+
+import type { CDPValue, Client, DataPoint, RequestOptions } from "./client";
+
+export interface DataPointPyramidOptions {
+  tileSize?: number;
+  maxTiles?: number;
+}
+
+/** A level-of-detail pyramid of data point tiles, made by `Client.createDataPointPyramid()`. */
+export declare class DataPointPyramid<Values extends Record<string, CDPValue> = Record<string, CDPValue>> {
+  constructor(client: Client, nodeNames: Array<keyof Values & string>, options?: DataPointPyramidOptions);
+  readonly client: Client;
+  nodeNames: Array<keyof Values & string>;
+  tileSize: number;
+  maxTiles: number;
+  request(startS: number, endS: number, pixels: number, options?: RequestOptions): Promise<Array<DataPoint<Values>>>;
+  getLevel(startS: number, endS: number, pixels: number): number;
+  clear(): void;
+}
@@ -0,0 +1,194 @@
+// Level-of-detail pyramids of data point tiles, for charts that zoom over long
+// time spans. Client.createDataPointPyramid() loads this module in Node.js.
+//
+// Node.js:  const { DataPointPyramid } = require('cdplogger-client/pyramid');
+// Browser:  include client.js and this file; the class is then available as
+//           cdplogger.pyramid.DataPointPyramid.
+
+(function () {
+  let cdplogger;          // The client library, for the error classes
+
+  if (typeof window === 'undefined') {
+    // ---- Node / CommonJS ----
+    cdplogger = require('./client');
+  } else {
+    // ---- Browser ----
+    cdplogger = window.cdplogger;      // injected by <script src="client.js">
+  }
+
+  const { AbortError, InvalidRequestError, TimeoutError } = cdplogger;
+
+  /**
+   * A level-of-detail pyramid of data point tiles, created by
+   * `Client.createDataPointPyramid()` or `new DataPointPyramid(client, nodeNames, options)`.
+   *
+   * Each level has a resolution of a power of two seconds per data point and is
+   * split into tiles of `tileSize` data points, starting at multiples of the tile
+   * width. As the same time range always maps to the same tiles, zooming and
+   * panning get consistent min/max envelopes, and fetched tiles are reused. The
+   * least recently used tiles are evicted when there are more than `maxTiles`.
+   */
+  class DataPointPyramid {
+    constructor(client, nodeNames, options = {}) {
+      this.client = client;
+      this.nodeNames = nodeNames;
+      this.tileSize = options.tileSize || 256;
+      this.maxTiles = options.maxTiles || 1000;
+      // Promises of the tile rows by level and index, least recently used first.
+      this._tiles = new Map();
+    }
+
+    /**
+     * Request the data points of a time range, at the coarsest level that has
+     * at least `pixels` data points in the range.
+     *
+     * @param {number} startS - The start time (in seconds since epoch).
+     * @param {number} endS - The end time (in seconds since epoch).
+     * @param {number} pixels - The number of data points needed, e.g. the width of the chart.
+     * @param {Object} [options] - Optional settings.
+     * @param {number} [options.timeoutMs] - Reject with a TimeoutError if the data points
+     *   have not arrived in time, see `requestDataPoints()`.
+     * @param {AbortSignal} [options.signal] - Reject with an AbortError when aborted, see
+     *   `requestDataPoints()`.
+     * @param {number} [options.priority=0] - The priority of the requests, see `requestDataPoints()`.
+     * @returns {Promise<Array>} Rows in the format of `requestDataPoints()`, where
+     *   each row has the `min`, `max` and `last` of a time span of the level's resolution.
+     */
+    async request(startS, endS, pixels, options = {}) {
+      if (!(endS > startS) || !(pixels > 0)) {
+        throw new InvalidRequestError("endS must be greater than startS and pixels greater than 0");
+      }
+      const level = this.getLevel(startS, endS, pixels);
+      const tileWidth = this.tileSize * Math.pow(2, level);
+      const limits = await this.client.requestLogLimits(
+        { timeoutMs: options.timeoutMs, signal: options.signal, priority: options.priority });
+      this._dropTilesBefore(limits.startS);
+
+      // Tiles are shared with other requests, so they are fetched without the
+      // timeout and signal of this request, which only apply to waiting for them.
+      const tiles = [];
+      const lastIndex = Math.max(Math.floor(startS / tileWidth), Math.ceil(endS / tileWidth) - 1);
+      for (let index = Math.floor(startS / tileWidth); index <= lastIndex; index++) {
+        tiles.push(this._getTile(level, index, tileWidth, limits, { priority: options.priority }));
+      }
+
+      const dataPoints = [];
+      for (const rows of await this._wait(Promise.all(tiles), options)) {
+        for (const row of rows) {
+          const lastTimestamp = dataPoints.length > 0 ? dataPoints[dataPoints.length - 1].timestamp : -Infinity;
+          if (row.timestamp >= startS && row.timestamp <= endS && row.timestamp > lastTimestamp) {
+            dataPoints.push(row);
+          }
+        }
+      }
+      // Copy the rows, so changes by the caller do not end up in the cached tiles.
+      return dataPoints.map(row => {
+        const value = {};
+        for (const name in row.value) {
+          value[name] = { ...row.value[name] };
+        }
+        return { timestamp: row.timestamp, value };
+      });
+    }
+
+    /**
+     * Returns the level used for a request: the resolution of the level is
+     * `2^level` seconds per data point.
+     *
+     * @param {number} startS - The start time (in seconds).
+     * @param {number} endS - The end time (in seconds).
+     * @param {number} pixels - The number of data points needed.
+     * @returns {number} The level.
+     */
+    getLevel(startS, endS, pixels) {
+      return Math.floor(Math.log2((endS - startS) / pixels));
+    }
+
+    /**
+     * Removes all tiles, e.g. after the logged data has changed.
+     */
+    clear() {
+      this._tiles.clear();
+    }
+
+    _getTile(level, index, tileWidth, limits, options) {
+      const key = `${level}:${index}`;
+      const tile = this._tiles.get(key);
+      if (tile) {
+        // Move the tile to the most recently used end.
+        this._tiles.delete(key);
+        this._tiles.set(key, tile);
+        return tile.rows;
+      }
+
+      const tileStartS = index * tileWidth;
+      const tileEndS = tileStartS + tileWidth;
+      const rows = this.client.requestDataPoints(
+        this.nodeNames, tileStartS, tileEndS, this.tileSize, 0, { ...options, cache: false });
+      // Tiles reaching past the end of the log still get new data, so they are not kept.
+      if (tileEndS <= limits.endS) {
+        const newTile = { endS: tileEndS, rows };
+        this._tiles.set(key, newTile);
+        rows.catch(() => {
+          if (this._tiles.get(key) === newTile) {
+            this._tiles.delete(key);
+          }
+        });
+        for (const oldKey of this._tiles.keys()) {
+          if (this._tiles.size <= this.maxTiles) break;
+          this._tiles.delete(oldKey);
+        }
+      }
+      return rows;
+    }
+
+    _wait(promise, { timeoutMs, signal }) {
+      if (!signal && !(timeoutMs > 0)) {
+        return promise;
+      }
+      return new Promise((resolve, reject) => {
+        let timer = null;
+        const settle = (callback, value) => {
+          clearTimeout(timer);
+          if (signal) {
+            signal.removeEventListener("abort", onAbort);
+          }
+          callback(value);
+        };
+        const onAbort = () => settle(reject, new AbortError("Request was aborted"));
+        if (signal) {
+          if (signal.aborted) {
+            onAbort();
+            return;
+          }
+          signal.addEventListener("abort", onAbort);
+        }
+        if (timeoutMs > 0) {
+          timer = setTimeout(() => settle(reject, new TimeoutError(`Request timed out after ${timeoutMs} ms`)), timeoutMs);
+        }
+        promise.then(value => settle(resolve, value), error => settle(reject, error));
+      });
+    }
+
+    _dropTilesBefore(startS) {
+      for (const [key, tile] of this._tiles) {
+        if (tile.endS < startS) {
+          this._tiles.delete(key);
+        }
+      }
+    }
+  }
+
+  const pyramid = {
+    DataPointPyramid
+  };
+
+  // For Node.js
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = pyramid;
+  }
+  // For Browser
+  else if (typeof window !== 'undefined') {
+    window.cdplogger.pyramid = pyramid;
+  }
+})();
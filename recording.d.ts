@@ -0,0 +1,50 @@
+// Type declarations for recording.js.
+
+import type { Transport, TransportConnection } from "./client";
+
+/** The options of `Client.startRecording()`. */
+export interface RecordingOptions {
+  /** What to redact from received frames. */
+  redact?: { tags?: boolean; eventData?: boolean | string[] };
+  /**
+   * Return false to leave a frame out of the recording. The container is the decoded
+   * protobuf Container, with the message in e.g. its `eventsRequest` field.
+   */
+  filter?: (direction: "send" | "receive", container: { messageType: number; [field: string]: any }) => boolean;
+}
+
+/** A recorded frame of a session recording. */
+export interface RecordedFrame {
+  timeMs: number;
+  direction: "send" | "receive" | "open" | "close";
+  /** The base64 encoded Container, for "send" and "receive" frames. */
+  data?: string;
+  code?: number;
+  reason?: string;
+}
+
+/** A recording of a protocol session, made by `Client.startRecording()`. */
+export declare class SessionRecording {
+  constructor(options?: RecordingOptions & {
+    /** Without its user info and query string, which may hold credentials. */
+    endpoint?: string;
+    startedAt?: string;
+    frames?: RecordedFrame[];
+  });
+  static parse(text: string): SessionRecording;
+  endpoint: string;
+  startedAt: string;
+  frames: RecordedFrame[];
+  serialize(): string;
+}
+
+/** A transport that replays a recorded session into a client. */
+export declare class ReplayTransport implements Transport {
+  constructor(recording: SessionRecording | string);
+  recording: SessionRecording;
+  /** The decoded Containers the client sent beyond those in the recording. */
+  unexpected: object[];
+  /** True when all recorded frames have been replayed. */
+  readonly done: boolean;
+  connect(url: string): TransportConnection;
+}
@@ -0,0 +1,382 @@
+// Recording of protocol sessions and their replay into a client, for
+// reproducing issues offline. Client.startRecording() loads this module in Node.js.
+//
+// Node.js:  const { SessionRecording, ReplayTransport } = require('cdplogger-client/recording');
+// Browser:  include client.js and this file; the classes are then available
+//           as cdplogger.recording.
+
+(function () {
+  let root;               // protobuf definitions
+  let cdplogger;          // The client library, for the error classes
+
+  if (typeof window === 'undefined') {
+    // ---- Node / CommonJS ----
+    root = require('./generated/containerPb.js');
+    cdplogger = require('./client');
+  } else {
+    // ---- Browser ----
+    root = window.root;                // injected by <script src="containerPb.js">
+    cdplogger = window.cdplogger;      // injected by <script src="client.js">
+  }
+
+  const Container = root.DBMessaging.Protobuf.Container;
+  const { CDPLoggerError } = cdplogger;
+
+  // The Container field holding the message of each Container type.
+  const CONTAINER_FIELDS = Object.freeze({
+    [Container.Type.eSignalInfoRequest]: "signalInfoRequest",
+    [Container.Type.eSignalInfoResponse]: "signalInfoResponse",
+    [Container.Type.eSignalDataRequest]: "signalDataRequest",
+    [Container.Type.eSignalDataResponse]: "signalDataResponse",
+    [Container.Type.eCriterionLimitsRequest]: "criterionLimitsRequest",
+    [Container.Type.eCriterionLimitsResponse]: "criterionLimitsResponse",
+    [Container.Type.eVersionRequest]: "versionRequest",
+    [Container.Type.eVersionResponse]: "versionResponse",
+    [Container.Type.eError]: "error",
+    [Container.Type.eTimeRequest]: "timeRequest",
+    [Container.Type.eTimeResponse]: "timeResponse",
+    [Container.Type.eEventSenderTagsRequest]: "eventSenderTagsRequest",
+    [Container.Type.eEventSenderTagsResponse]: "eventSenderTagsResponse",
+    [Container.Type.eCountEventsRequest]: "countEventsRequest",
+    [Container.Type.eCountEventsResponse]: "countEventsResponse",
+    [Container.Type.eEventsRequest]: "eventsRequest",
+    [Container.Type.eEventsResponse]: "eventsResponse"
+  });
+
+  const REDACTED = "[redacted]";
+
+  function containerRequestId(container) {
+    const message = container[CONTAINER_FIELDS[container.messageType]];
+    return message ? message.requestId : undefined;
+  }
+
+  function toBase64(bytes) {
+    if (typeof Buffer !== "undefined") {
+      return Buffer.from(bytes).toString("base64");
+    }
+    let binary = "";
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary);
+  }
+
+  function fromBase64(text) {
+    if (typeof Buffer !== "undefined") {
+      return new Uint8Array(Buffer.from(text, "base64"));
+    }
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+  }
+
+  // Removes the user info and query string, which may hold credentials, from a URL.
+  function withoutCredentials(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return url;
+    }
+    if (!parsed.username && !parsed.password && !parsed.search) {
+      return url;
+    }
+    parsed.username = "";
+    parsed.password = "";
+    parsed.search = "";
+    return parsed.toString();
+  }
+
+  /**
+   * A recording of a protocol session, made by `Client.startRecording()`.
+   *
+   * `frames` holds the recorded frames in order, as objects with:
+   * - `timeMs` (number): The time since the recording started.
+   * - `direction` (string): "send" or "receive" for Container frames, "open" and
+   *   "close" for the connection opening and closing.
+   * - `data` (string): The base64 encoded Container frame.
+   * - `code`, `reason`: The close code and reason of "close" frames.
+   *
+   * The portable file format written by `serialize()` is JSON lines: a header line
+   * with the `format`, `version`, `endpoint` and `startedAt` time, followed by one
+   * line per frame.
+   */
+  class SessionRecording {
+    /**
+     * @param {Object} [options] - Optional settings.
+     * @param {string} [options.endpoint=""] - The URL of the recorded logger. Its user
+     *   info and query string are left out, as they may hold credentials.
+     * @param {string} [options.startedAt] - When the recording started, as an ISO time.
+     * @param {Object} [options.redact] - What to redact, see `Client.startRecording()`.
+     * @param {Function} [options.filter] - Which frames to record, see `Client.startRecording()`.
+     * @param {Array<Object>} [options.frames=[]] - The recorded frames.
+     */
+    constructor(options = {}) {
+      this.endpoint = withoutCredentials(options.endpoint || "");
+      this.startedAt = options.startedAt || new Date().toISOString();
+      this.redact = options.redact || {};
+      this.filter = options.filter || null;
+      this.frames = options.frames || [];
+      this._startMs = Date.now();
+      this._droppedIds = new Set();  // IDs of the requests left out by the filter
+    }
+
+    /**
+     * Parse a recording written by `serialize()`.
+     *
+     * @param {string} text - The recording file contents.
+     * @returns {SessionRecording} The recording.
+     * @throws {CDPLoggerError} If the text is not a recording.
+     */
+    static parse(text) {
+      const lines = text.split("\n").filter(line => line.trim() !== "");
+      const header = lines.length > 0 ? JSON.parse(lines[0]) : {};
+      if (header.format !== "cdplogger-recording" || header.version !== 1) {
+        throw new CDPLoggerError("Not a cdplogger session recording");
+      }
+      return new SessionRecording({
+        endpoint: header.endpoint,
+        startedAt: header.startedAt,
+        frames: lines.slice(1).map(line => JSON.parse(line))
+      });
+    }
+
+    /**
+     * @returns {string} The recording in the portable file format.
+     */
+    serialize() {
+      const header = { format: "cdplogger-recording", version: 1, endpoint: this.endpoint, startedAt: this.startedAt };
+      return [header].concat(this.frames).map(line => JSON.stringify(line)).join("\n") + "\n";
+    }
+
+    _record(direction, bytes, details) {
+      if (bytes && this.filter) {
+        const container = Container.decode(bytes);
+        const requestId = containerRequestId(container);
+        // The replies to requests that were left out are left out too, as a
+        // replay would not know to wait for their requests.
+        const dropped = direction === "receive" && requestId !== undefined && this._droppedIds.delete(requestId);
+        if (dropped || !this.filter(direction, container)) {
+          if (direction === "send" && requestId !== undefined) {
+            this._droppedIds.add(requestId);
+          }
+          return;
+        }
+      }
+      const frame = { timeMs: Date.now() - this._startMs, direction };
+      if (bytes) {
+        frame.data = toBase64(direction === "receive" ? this._redact(bytes) : bytes);
+      }
+      this.frames.push(Object.assign(frame, details));
+    }
+
+    _redact(bytes) {
+      const { tags, eventData } = this.redact;
+      if (!tags && !eventData) {
+        return bytes;
+      }
+      const container = Container.decode(bytes);
+      const redactTagMap = tagMap => {
+        for (const name in tagMap.tags) {
+          tagMap.tags[name].value = REDACTED;
+        }
+      };
+      if (tags && container.signalInfoResponse) {
+        container.signalInfoResponse.tagMap.forEach(redactTagMap);
+      }
+      if (tags && container.eventSenderTagsResponse) {
+        Object.values(container.eventSenderTagsResponse.senderTags).forEach(redactTagMap);
+      }
+      if (eventData && container.eventsResponse) {
+        for (const evt of container.eventsResponse.events) {
+          for (const key in evt.data) {
+            if (eventData === true || eventData.includes(key)) {
+              evt.data[key] = REDACTED;
+            }
+          }
+        }
+      }
+      return Container.encode(container).finish();
+    }
+  }
+
+  /**
+   * A transport that replays a recorded session into a `Client`, for the
+   * `transport` option of the client.
+   *
+   * The received frames are fed to the client in the recorded order, and each
+   * reply is held back until the client has sent the matching request, so the
+   * client parses exactly the recorded sequence of messages. Requests are matched
+   * in order by type, and if the client numbers its requests differently than the
+   * recorded client did, e.g. because the recording was started mid-session, the
+   * request IDs of the replies are changed to the ones the client used.
+   *
+   * Time requests are the exception: how many the client sends depends on the
+   * round trip times it measures, so each one is answered with the next recorded
+   * time response, shifted by the time since it was recorded. Every connection
+   * the client makes replays the next recorded connection. The recorded timing
+   * is not reproduced.
+   *
+   * Example usage:
+   * const replay = new ReplayTransport(fs.readFileSync("session.cdprec", "utf8"));
+   * const client = new cdplogger.Client(replay.recording.endpoint, false, { transport: replay });
+   *
+   * @property {Array<Object>} unexpected - The decoded Containers the client sent
+   *   beyond those in the recording. Their replies never arrive.
+   */
+  class ReplayTransport {
+    /**
+     * @param {SessionRecording|string} recording - The recording, or its serialized text.
+     */
+    constructor(recording) {
+      this.recording = typeof recording === "string" ? SessionRecording.parse(recording) : recording;
+      this.unexpected = [];
+      const startedMs = Date.parse(this.recording.startedAt);
+      const frames = this.recording.frames.map(frame => {
+        const bytes = frame.data ? fromBase64(frame.data) : null;
+        return { ...frame, recordedMs: startedMs + frame.timeMs, bytes, container: bytes ? Container.decode(bytes) : null };
+      });
+      const isTimeSync = frame => frame.container !== null &&
+        (frame.container.messageType === Container.Type.eTimeRequest ||
+         frame.container.messageType === Container.Type.eTimeResponse);
+      this._timeResponses = frames.filter(frame => frame.direction === "receive" && isTimeSync(frame));
+      this._unmatchedSends = frames.filter(frame => frame.direction === "send" && !isTimeSync(frame));
+      this._recordedIds = new Set(this._unmatchedSends.map(frame => containerRequestId(frame.container)));
+      this._clientIds = new Map();    // Recorded request ID -> the ID the client used
+      this._frames = frames.filter(frame => frame.direction !== "send" && !isTimeSync(frame));
+      this._cursor = 0;
+      this._connection = null;
+      this._scheduled = false;
+    }
+
+    /**
+     * True when all recorded frames have been replayed.
+     */
+    get done() {
+      return this._cursor >= this._frames.length;
+    }
+
+    /**
+     * Open a connection replaying the next recorded connection.
+     *
+     * @param {string} url - The URL the client connects to.
+     * @returns {Object} The connection, see `WebSocketTransport`.
+     */
+    connect(url) {
+      const transport = this;
+      this._connection = {
+        _url: url,
+        opened: false,
+        closed: false,
+        send(bytes) {
+          transport._onSend(this, bytes);
+        },
+        close(code = 1000, reason = "") {
+          transport._onClientClose(this, code, reason);
+        }
+      };
+      this._schedule();
+      return this._connection;
+    }
+
+    _onSend(connection, bytes) {
+      const container = Container.decode(new Uint8Array(bytes));
+      if (container.messageType === Container.Type.eTimeRequest && this._timeResponses.length > 0) {
+        const frame = this._timeResponses.length > 1 ? this._timeResponses.shift() : this._timeResponses[0];
+        const response = Container.decode(frame.bytes);
+        response.timeResponse.requestId = container.timeRequest.requestId;
+        response.timeResponse.timestamp = Number(response.timeResponse.timestamp) + (Date.now() - frame.recordedMs) * 1e6;
+        setTimeout(() => this._deliver(connection, Container.encode(response).finish()), 0);
+        return;
+      }
+      // Match the request with the first recorded request of the same type.
+      const index = this._unmatchedSends.findIndex(frame => frame.container.messageType === container.messageType);
+      if (index < 0) {
+        this.unexpected.push(container);
+        return;
+      }
+      const [recorded] = this._unmatchedSends.splice(index, 1);
+      this._clientIds.set(containerRequestId(recorded.container), containerRequestId(container));
+      this._schedule();
+    }
+
+    _onClientClose(connection, code, reason) {
+      if (connection.closed) {
+        return;
+      }
+      connection.closed = true;
+      // Skip the rest of the recorded connection.
+      while (this._cursor < this._frames.length && this._frames[this._cursor].direction !== "open") {
+        this._cursor++;
+        if (this._frames[this._cursor - 1].direction === "close") {
+          break;
+        }
+      }
+      setTimeout(() => connection.onclose && connection.onclose({ code, reason }), 0);
+    }
+
+    _deliver(connection, bytes) {
+      if (!connection.closed && connection.onmessage) {
+        connection.onmessage(bytes);
+      }
+    }
+
+    // Replay frames one per task, like network events arrive.
+    _schedule() {
+      if (!this._scheduled) {
+        this._scheduled = true;
+        setTimeout(() => {
+          this._scheduled = false;
+          if (this._replayNext()) {
+            this._schedule();
+          }
+        }, 0);
+      }
+    }
+
+    // Replays the next frame if it is due, and returns true if one was replayed.
+    _replayNext() {
+      const connection = this._connection;
+      if (!connection || connection.closed || this.done) {
+        return false;
+      }
+      const frame = this._frames[this._cursor];
+      if (frame.direction === "open") {
+        if (connection.opened) {
+          return false;  // Belongs to the next connection
+        }
+        this._cursor++;
+        connection.opened = true;
+        connection.onopen && connection.onopen();
+      } else if (frame.direction === "close") {
+        this._cursor++;
+        connection.closed = true;
+        connection.onclose && connection.onclose({ code: frame.code, reason: frame.reason });
+      } else {
+        const requestId = containerRequestId(frame.container);
+        if (this._recordedIds.has(requestId) && !this._clientIds.has(requestId)) {
+          return false;  // Wait for the client to send the request
+        }
+        this._cursor++;
+        let bytes = frame.bytes;
+        if (this._clientIds.has(requestId) && this._clientIds.get(requestId) !== requestId) {
+          const container = Container.decode(bytes);
+          container[CONTAINER_FIELDS[container.messageType]].requestId = this._clientIds.get(requestId);
+          bytes = Container.encode(container).finish();
+        }
+        this._deliver(connection, bytes);
+      }
+      return true;
+    }
+  }
+
+  const recording = {
+    SessionRecording,
+    ReplayTransport
+  };
+
+  // For Node.js
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = recording;
+  }
+  // For Browser
+  else if (typeof window !== 'undefined') {
+    window.cdplogger.recording = recording;
+  }
+})();
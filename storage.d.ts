@@ -0,0 +1,21 @@
+// Type declarations for storage.js.
+
+import type { StorageAdapter } from "./client";
+
+/** A storage adapter keeping data in the browser's IndexedDB. */
+export declare class IndexedDBStorage implements StorageAdapter {
+  constructor(databaseName?: string);
+  databaseName: string;
+  get(key: string): Promise<any>;
+  set(key: string, value: any): Promise<void>;
+  delete(key: string): Promise<void>;
+}
+
+/** A storage adapter keeping data in JSON files in a directory, for Node.js. */
+export declare class FileStorage implements StorageAdapter {
+  constructor(directory: string);
+  directory: string;
+  get(key: string): Promise<any>;
+  set(key: string, value: any): Promise<void>;
+  delete(key: string): Promise<void>;
+}
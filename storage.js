@@ -0,0 +1,119 @@
+// Storage adapters for keeping the data point and event caches of a client
+// between sessions, see the `dataCache` and `eventCache` client options.
+//
+// Node.js:  const { FileStorage } = require('cdplogger-client/storage');
+// Browser:  include client.js and this file; the adapters are then available
+//           as cdplogger.storage. FileStorage needs Node.js.
+
+(function () {
+  /**
+   * A storage adapter that keeps data in the browser's IndexedDB, for
+   * `Client` options like `dataCache.storage`.
+   *
+   * A storage adapter has the async methods `get(key)`, `set(key, value)` and
+   * `delete(key)`, where values are objects that can be converted to JSON.
+   */
+  class IndexedDBStorage {
+    /**
+     * @param {string} [databaseName="cdplogger"] - The name of the IndexedDB database.
+     */
+    constructor(databaseName = "cdplogger") {
+      this.databaseName = databaseName;
+      this._db = null;
+    }
+
+    get(key) {
+      return this._request("readonly", store => store.get(key));
+    }
+
+    set(key, value) {
+      return this._request("readwrite", store => store.put(value, key)).then(() => undefined);
+    }
+
+    delete(key) {
+      return this._request("readwrite", store => store.delete(key)).then(() => undefined);
+    }
+
+    _open() {
+      if (!this._db) {
+        this._db = new Promise((resolve, reject) => {
+          const request = indexedDB.open(this.databaseName, 1);
+          request.onupgradeneeded = () => request.result.createObjectStore("cache");
+          request.onsuccess = () => resolve(request.result);
+          request.onerror = () => reject(request.error);
+        });
+      }
+      return this._db;
+    }
+
+    _request(mode, makeRequest) {
+      return this._open().then(db => new Promise((resolve, reject) => {
+        const request = makeRequest(db.transaction("cache", mode).objectStore("cache"));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      }));
+    }
+  }
+
+  /**
+   * A storage adapter that keeps data in JSON files in a directory, for Node.js.
+   * See `IndexedDBStorage` for the adapter methods.
+   */
+  class FileStorage {
+    /**
+     * @param {string} directory - The directory for the files. Created if missing.
+     */
+    constructor(directory) {
+      this.directory = directory;
+      this._fs = require('fs').promises;
+      this._path = require('path');
+    }
+
+    get(key) {
+      return this._fs.readFile(this._file(key), "utf8")
+        .then(text => JSON.parse(text))
+        .catch(error => {
+          if (error.code === "ENOENT") {
+            return undefined;
+          }
+          throw error;
+        });
+    }
+
+    set(key, value) {
+      const file = this._file(key);
+      const tempFile = `${file}.${process.pid}.tmp`;
+      // Write to a temporary file first, so a crash does not leave half a file.
+      return this._fs.mkdir(this.directory, { recursive: true })
+        .then(() => this._fs.writeFile(tempFile, JSON.stringify(value)))
+        .then(() => this._fs.rename(tempFile, file));
+    }
+
+    delete(key) {
+      return this._fs.unlink(this._file(key)).catch(error => {
+        if (error.code !== "ENOENT") {
+          throw error;
+        }
+      });
+    }
+
+    _file(key) {
+      const hash = require('crypto').createHash('sha1').update(key).digest('hex');
+      return this._path.join(this.directory, `${hash}.json`);
+    }
+  }
+
+  const storage = {
+    IndexedDBStorage,
+    FileStorage
+  };
+
+  // For Node.js
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = storage;
+  }
+  // For Browser
+  else if (typeof window !== 'undefined') {
+    window.cdplogger.storage = storage;
+  }
+})();
@@ -0,0 +1,110 @@
+const { main, parseTime } = require('../bin/cdplogger');
+
+describe('CliTester', () => {
+  let client;
+  let stdout;
+  let stderr;
+  let io;
+  beforeEach(() => {
+    client = {
+      requestApiVersion: jest.fn(() => Promise.resolve("4.0")),
+      requestLoggedNodes: jest.fn(() => Promise.resolve([
+        { name: "Output", routing: "App.Sine.Output", type: 1, tags: { Unit: { value: "V", source: "Config" } } },
+        { name: "State", routing: "App.State", type: 12, tags: {} }
+      ])),
+      requestDataPoints: jest.fn(() => Promise.resolve([
+        { timestamp: 1000, value: { Output: { min: 0.5, max: 1.5, last: 1 } } },
+        { timestamp: 1001, value: { Output: { min: 2, max: 2, last: 2 } } }
+      ])),
+      iterateEvents: jest.fn(async function* () {
+        yield [{ id: 7, sender: "App", code: 1, codeDescription: "AlarmSet", status: 1,
+          timestampSec: 1000, logstampSec: 1000.5, data: { Text: "Too hot, stop" }, tags: {} }];
+      }),
+      countEvents: jest.fn(() => Promise.resolve(12)),
+      disconnect: jest.fn()
+    };
+    stdout = { text: "", write(chunk) { this.text += chunk; return true; } };
+    stderr = { text: "", write(chunk) { this.text += chunk; } };
+    io = { stdout, stderr, createClient: jest.fn(() => client) };
+  });
+
+  test('test_parse_time', () => {
+    const now = 1700000000;
+    expect(parseTime("now", now)).toBe(now);
+    expect(parseTime("-1h", now)).toBe(now - 3600);
+    expect(parseTime("-90m", now)).toBe(now - 5400);
+    expect(parseTime("-2d", now)).toBe(now - 172800);
+    expect(parseTime("1531313250.5", now)).toBe(1531313250.5);
+    expect(parseTime("2018-07-11T12:47:30Z", now)).toBe(1531313250);
+    expect(() => parseTime("yesterday", now)).toThrow(/Invalid time "yesterday"/);
+  });
+
+  test('test_nodes_table_shows_tags', async () => {
+    expect(await main(["--url", "10.0.0.5:17000", "nodes"], io)).toBe(0);
+    expect(io.createClient).toHaveBeenCalledWith("10.0.0.5:17000", { autoReconnect: false, requestTimeoutMs: 30000 });
+    expect(stdout.text).toBe(
+      "name    routing          type     tags.Unit\n" +
+      "Output  App.Sine.Output  eDOUBLE  V\n" +
+      "State   App.State        eSTRING\n");
+    expect(client.disconnect).toHaveBeenCalled();
+  });
+
+  test('test_data_csv_with_points_and_relative_times', async () => {
+    const now = Date.now() / 1000;
+    expect(await main(["data", "Output", "--from", "-1h", "--points", "2", "--columns", "min,last",
+      "--format", "csv", "--timestamps", "epoch"], io)).toBe(0);
+    const [nodeNames, startS, endS, noOfDataPoints, limit] = client.requestDataPoints.mock.calls[0];
+    expect(nodeNames).toEqual(["Output"]);
+    expect(startS).toBeCloseTo(now - 3600, -1);
+    expect(endS).toBeCloseTo(now, -1);
+    expect(noOfDataPoints).toBe(2);
+    expect(limit).toBe(0);
+    expect(stdout.text).toBe("timestamp,Output.min,Output.last\r\n1000,0.5,1\r\n1001,2,2\r\n");
+  });
+
+  test('test_events_ndjson_with_filters', async () => {
+    expect(await main(["events", "--sender", "App*", "--data", "Text=Too*", "--code-mask", "0x1",
+      "--from", "2018-07-11T12:47:30Z", "--limit", "10", "--newest-first", "--format", "ndjson"], io)).toBe(0);
+    expect(client.iterateEvents).toHaveBeenCalledWith({
+      timeRangeBegin: 1531313250,
+      senderConditions: ["App*"],
+      dataConditions: { Text: ["Too*"] },
+      codeMask: 1,
+      flags: 1,
+      limit: 10
+    });
+    expect(JSON.parse(stdout.text)).toEqual({
+      id: "7", sender: "App", code: 1, codeDescription: "AlarmSet", status: 1,
+      timestamp: "1970-01-01T00:16:40.000Z", logstamp: "1970-01-01T00:16:40.500Z",
+      data: { Text: "Too hot, stop" }, tags: {}
+    });
+  });
+
+  test('test_events_csv_uses_library_layout', async () => {
+    // The columns and quoting of exportEventsCSV().
+    expect(await main(["events", "--format", "csv"], io)).toBe(0);
+    expect(stdout.text).toBe(
+      "id,sender,code,codeDescription,status,timestamp,logstamp,data.Text\r\n" +
+      '7,App,1,AlarmSet,1,1970-01-01T00:16:40.000Z,1970-01-01T00:16:40.500Z,"Too hot, stop"\r\n');
+  });
+
+  test('test_count_events_json', async () => {
+    expect(await main(["count-events", "--format", "json"], io)).toBe(0);
+    expect(JSON.parse(stdout.text)).toEqual([{ count: 12 }]);
+  });
+
+  test('test_failed_request_exits_with_error', async () => {
+    client.requestApiVersion = jest.fn(() => Promise.reject(new Error("Connection was closed")));
+    expect(await main(["version"], io)).toBe(1);
+    expect(stderr.text).toBe("cdplogger: Connection was closed\n");
+    expect(client.disconnect).toHaveBeenCalled();
+  });
+
+  test('test_invalid_command_line_exits_with_usage', async () => {
+    expect(await main(["frobnicate"], io)).toBe(2);
+    expect(stderr.text).toContain('Unknown command "frobnicate"');
+    expect(await main(["nodes", "--format", "xml"], io)).toBe(2);
+    expect(await main(["nodes", "--bogus"], io)).toBe(2);
+    expect(io.createClient).not.toHaveBeenCalled();
+  });
+});
@@ -2,6 +2,13 @@
 global.WebSocket = require('ws');
 const cdplogger = require('../client');
 const fakeData = require('./fakeData');
+const { Container } = require('../generated/containerPb.js').DBMessaging.Protobuf;
+const Arrow = require('apache-arrow');
+const cdpArrow = require('../arrow');
+const cdpStorage = require('../storage');
+const { MemoryTransport, WebSocketTransport } = require('../transports');
+const { Writable } = require('stream');
+const { WritableStream } = require('stream/web');
 
 describe('ClientTester', () => {
   let client;
@@ -28,6 +35,7 @@ describe('ClientTester', () => {
   });
 
   afterEach(() => {
+    jest.useRealTimers();
     client = null;
   });
 
@@ -377,7 +385,7 @@ describe('ClientTester', () => {
     client._sendEventSenderTagsRequest = jest.fn();
     const sender = "TestSender";
     const tagPromise = client.getSenderTags(sender);
-    expect(client._sendEventSenderTagsRequest).toHaveBeenCalledWith(sender);
+    expect(client._sendEventSenderTagsRequest).toHaveBeenCalledWith(expect.any(Number), sender);
     const response = fakeData.createEventSenderTagsResponse(sender, { tags: { Tag1: { value: "Value1", source: "Source1" } } });
     client._parseMessage(response);
     tagPromise.then(tags => {
@@ -439,7 +447,7 @@ describe('ClientTester', () => {
     localClient.pendingSenderTags = {};
   
     // Override _sendEventSenderTagsRequest to simulate an asynchronous immediate tag response.
-    localClient._sendEventSenderTagsRequest = sender => {
+    localClient._sendEventSenderTagsRequest = (requestId, sender) => {
       setImmediate(() => {
         const tagResponse = fakeData.createEventSenderTagsResponse(
           sender,
@@ -461,4 +469,1693 @@ describe('ClientTester', () => {
       })
       .catch(err => done(err));
   });
+
+  test('test_iterate_data_points_pages_until_end', async () => {
+    client.isOpen = true;
+    const timestamps = [10, 11, 12, 13, 14, 15, 16];
+    const sentRequests = [];
+    client._sendDataPointsRequest = (nodeIds, startS, endS, requestId, noOfDataPoints, limit) => {
+      sentRequests.push({ startS, limit });
+      const page = timestamps.filter(t => t >= startS && t <= endS).slice(0, limit);
+      setImmediate(() => client._parseMessage(fakeData.createDataPointPageResponse(requestId, page)));
+    };
+    const batches = [];
+    for await (const batch of client.iterateDataPoints(["Output"], 10, 16, { limit: 3 })) {
+      batches.push(batch.map(point => point.timestamp));
+    }
+    expect(batches).toEqual([[10, 11, 12], [13, 14, 15], [16]]);
+    expect(sentRequests).toEqual([
+      { startS: 10, limit: 3 },
+      { startS: 12, limit: 4 },
+      { startS: 15, limit: 4 }
+    ]);
+  });
+
+  test('test_iterate_data_points_stops_on_short_page', async () => {
+    client.isOpen = true;
+    client._sendDataPointsRequest = jest.fn((nodeIds, startS, endS, requestId) => {
+      setImmediate(() => client._parseMessage(fakeData.createDataPointPageResponse(requestId, [20, 21])));
+    });
+    const batches = [];
+    for await (const batch of client.iterateDataPoints(["Output"], 20, 100)) {
+      batches.push(batch);
+    }
+    expect(batches).toHaveLength(1);
+    expect(batches[0][1].value["Output"].last).toBe(21);
+    expect(client._sendDataPointsRequest).toHaveBeenCalledTimes(1);
+    expect(client._sendDataPointsRequest.mock.calls[0][5]).toBe(50000);
+  });
+
+  test('test_iterate_data_points_pages_on_server_time', async () => {
+    client.isOpen = true;
+    client.enableTimeSync = true;
+    client.lastTimeRequest = Date.now() / 1000;
+    client.timeDiff = -60.25;
+    // The server's time stamps, and the values of the rows.
+    const timestamps = [70, 71, 72, 73, 74, 75, 76];
+    client.ws.send = buffer => {
+      const request = Container.decode(buffer).signalDataRequest;
+      const page = timestamps.filter(t => t >= request.criterionMin && t <= request.criterionMax).slice(0, request.limit);
+      setImmediate(() => client._parseMessage(fakeData.createDataPointPageResponse(request.requestId, page)));
+    };
+    const values = [];
+    for await (const batch of client.iterateDataPoints(["Output"], 9.75, 15.75, { limit: 3 })) {
+      expect(batch[0].timestamp).toBeCloseTo(batch[0].value["Output"].last + client.timeDiff, 6);
+      values.push(...batch.map(point => point.value["Output"].last));
+      // A new time difference between the pages must not repeat or skip rows.
+      client.timeDiff += 0.5;
+    }
+    expect(values).toEqual(timestamps);
+  });
+
+  test('test_data_points_request_carries_forward_unchanged_values', async () => {
+    client.reqId = 0;
+    client.isOpen = true;
+    client._sendDataPointsRequest = jest.fn();
+    const promise = client.requestDataPoints(["Output", "CPULoad"], 100, 103, 0, 0);
+    client._parseMessage(fakeData.createSparseDataPointResponse(1));
+    const dataPoints = await promise;
+    expect(dataPoints).toHaveLength(4);
+    expect(dataPoints[1].value["Output"]).toEqual({ min: 2.0, max: 2.0, last: 2.0 });
+    expect(dataPoints[1].value["CPULoad"]).toEqual({ min: 10.0, max: 10.5, last: 10.2 });
+    expect(dataPoints[2].value["Output"]).toEqual({ min: 2.0, max: 2.0, last: 2.0 });
+    expect(dataPoints[2].value["CPULoad"]).toEqual({ min: 11.0, max: 11.5, last: 11.2 });
+    expect(dataPoints[3].value).toEqual({
+      Output: { min: 2.0, max: 2.0, last: 2.0 },
+      CPULoad: { min: 11.0, max: 11.5, last: 11.2 }
+    });
+  });
+
+  test('test_data_points_request_changes_only', async () => {
+    client.reqId = 0;
+    client.isOpen = true;
+    client._sendDataPointsRequest = jest.fn();
+    const promise = client.requestDataPoints(["Output", "CPULoad"], 100, 103, 0, 0, { changesOnly: true });
+    client._parseMessage(fakeData.createSparseDataPointResponse(1));
+    const dataPoints = await promise;
+    expect(Object.keys(dataPoints[1].value)).toEqual(["Output"]);
+    expect(Object.keys(dataPoints[2].value)).toEqual(["CPULoad"]);
+    expect(dataPoints[3].value).toEqual({});
+  });
+
+  test('test_iterate_data_points_carries_values_across_pages', async () => {
+    client.isOpen = true;
+    let page = 0;
+    client._sendDataPointsRequest = (nodeIds, startS, endS, requestId) => {
+      const response = page++ === 0
+        ? fakeData.createSparseDataPointResponse(requestId)
+        : fakeData.createSparseDataPointNextPageResponse(requestId);
+      setImmediate(() => client._parseMessage(response));
+    };
+    const rows = [];
+    for await (const batch of client.iterateDataPoints(["Output", "CPULoad"], 100, 104, { limit: 4 })) {
+      rows.push(...batch);
+    }
+    expect(rows.map(point => point.timestamp)).toEqual([100, 101, 102, 103, 104]);
+    expect(rows[4].value).toEqual({
+      Output: { min: 2.0, max: 2.0, last: 2.0 },
+      CPULoad: { min: 12.0, max: 12.0, last: 12.0 }
+    });
+  });
+
+  test('test_logged_nodes_request_records_value_types', async () => {
+    client.reqId = 0;
+    client.isOpen = true;
+    client._sendLoggedNodesRequest = jest.fn();
+    const promise = client.requestLoggedNodes();
+    client._parseMessage(fakeData.createTypedLoggedNodesResponse(1));
+    const nodes = await promise;
+    expect(nodes[1].type).toBe(cdplogger.CDPValueType.eBOOL);
+    expect(nodes[3].type).toBe(cdplogger.CDPValueType.eSTRING);
+    expect(client.nameToType["Counter"]).toBe(cdplogger.CDPValueType.eINT64);
+  });
+
+  test('test_data_points_request_decodes_typed_values', async () => {
+    client.reqId = 0;
+    client.isOpen = true;
+    client._sendLoggedNodesRequest = jest.fn();
+    client._sendDataPointsRequest = jest.fn();
+    client.requestLoggedNodes();
+    client._parseMessage(fakeData.createTypedLoggedNodesResponse(1));
+    const promise = client.requestDataPoints(["Output", "Running", "Counter", "State"], 0, 1, 0, 0);
+    await new Promise(resolve => setImmediate(resolve));
+    client._parseMessage(fakeData.createTypedDataPointResponse(2));
+    const dataPoints = await promise;
+    const value = dataPoints[0].value;
+    expect(value["Output"].last).toBe(0.5);
+    expect(value["Running"].last).toBe(false);
+    expect(value["Counter"]).toEqual({ min: -42, max: -42, last: -42 });
+    expect(value["State"].last).toBe("Idle");
+  });
+
+  test('test_data_points_request_decodes_long_values', () => {
+    const Long = require('protobufjs/minimal').util.Long;
+    const value = client._valueFromVariant({ i64Value: Long.fromNumber(-7) }, cdplogger.CDPValueType.eINT64);
+    expect(value).toBe(-7);
+  });
+
+  test('test_data_points_request_rejects_unexpected_variant_type', async () => {
+    client.reqId = 0;
+    client.isOpen = true;
+    client.nameToType = { "Output": cdplogger.CDPValueType.eBOOL };
+    client._sendDataPointsRequest = jest.fn();
+    const promise = client.requestDataPoints(["Output", "CPULoad"], 1531313250.0, 1531461231.0, 500, 0);
+    client._parseMessage(fakeData.createDataPointResponse());
+    await expect(promise).rejects.toThrow(/Output.*eBOOL.*dValue/);
+  });
+
+  test('test_data_points_request_rejects_unsupported_type', () => {
+    expect(() => client._valueFromVariant({}, fakeData.CDPValueType.eUSERTYPE, "Custom"))
+      .toThrow('Unsupported value type eUSERTYPE of node "Custom".');
+  });
+
+  test('test_subscribe_data_points_emits_only_new_rows', async () => {
+    jest.useFakeTimers();
+    const subscribedClient = client;
+    subscribedClient.isOpen = true;
+    const limits = [{ startS: 0, endS: 10 }, { startS: 0, endS: 12 }, { startS: 0, endS: 12 }];
+    subscribedClient.requestLogLimits = jest.fn(() => Promise.resolve(limits.shift() || { startS: 0, endS: 12 }));
+    subscribedClient._sendDataPointsRequest = jest.fn((nodeIds, startS, endS, requestId) => {
+      const page = [10, 11, 12].filter(t => t >= startS && t <= endS);
+      setImmediate(() => subscribedClient._parseMessage(fakeData.createDataPointPageResponse(requestId, page)));
+    });
+    const subscription = subscribedClient.subscribeDataPoints(["Output"], { intervalMs: 5 });
+    const received = [];
+    subscription.on("data", rows => received.push(...rows.map(row => row.timestamp)));
+    try {
+      await jest.advanceTimersByTimeAsync(20);
+      expect(received).toEqual([11, 12]);
+      expect(subscribedClient._sendDataPointsRequest).toHaveBeenCalledTimes(1);
+      expect(subscribedClient._sendDataPointsRequest.mock.calls[0][1]).toBe(10);
+    } finally {
+      subscription.unsubscribe();
+    }
+    expect(subscribedClient.subscriptions.size).toBe(0);
+  });
+
+  test('test_subscribe_data_points_pauses_while_closed', async () => {
+    jest.useFakeTimers();
+    client.isOpen = false;
+    client.requestLogLimits = jest.fn(() => Promise.resolve({ startS: 0, endS: 10 }));
+    const subscription = client.subscribeDataPoints(["Output"], { intervalMs: 5 });
+    try {
+      await jest.advanceTimersByTimeAsync(20);
+      expect(client.requestLogLimits).not.toHaveBeenCalled();
+      client.isOpen = true;
+      await jest.advanceTimersByTimeAsync(5);
+      expect(client.requestLogLimits).toHaveBeenCalledTimes(1);
+    } finally {
+      subscription.unsubscribe();
+    }
+  });
+
+  test('test_disconnect_stops_subscriptions', async () => {
+    jest.useFakeTimers();
+    client.isOpen = true;
+    client.requestLogLimits = jest.fn(() => Promise.resolve({ startS: 0, endS: 10 }));
+    const subscription = client.subscribeDataPoints(["Output"], { intervalMs: 5 });
+    try {
+      client.disconnect();
+      await jest.advanceTimersByTimeAsync(20);
+      expect(subscription.active).toBe(false);
+      expect(client.requestLogLimits).not.toHaveBeenCalled();
+    } finally {
+      subscription.unsubscribe();
+    }
+  });
+
+  test('test_close_with_auto_reconnect_rejects_sent_requests', async () => {
+    jest.useFakeTimers();
+    client.isOpen = true;
+    client._sendLogLimitsRequest = jest.fn();
+    const sent = client.requestLogLimits();
+    client.isOpen = false;
+    const queued = client.requestLogLimits({ coalesce: false });
+    client._onClose(client.ws);
+    await expect(sent).rejects.toThrow("Connection was closed");
+    expect(client.storedPromises[2]).toBeDefined();
+    expect(client.queuedRequests[2]).toMatchObject({ type: "logLimits", args: [] });
+    jest.clearAllTimers();
+    jest.useRealTimers();
+    queued.catch(() => {});
+  });
+
+  test('test_subscribe_events_delivers_each_event_once', async () => {
+    jest.useFakeTimers();
+    client.isOpen = true;
+    const { NewestFirst, UseLogStampForTimeRange } = cdplogger.Client.EventQueryFlags;
+    // Events 1 and 2 are logged at 1000, and 3 at 1001 before subscribing.
+    const log = fakeData.createEventLog(3);
+    const queries = [];
+    client.requestEvents = jest.fn(query => {
+      queries.push(query);
+      return Promise.resolve(fakeData.queryEventLog(log, query));
+    });
+    const delivered = [];
+    const subscription = client.subscribeEvents(
+      { senderConditions: ["LogSender"] },
+      events => delivered.push(...events.map(evt => evt.id)),
+      { intervalMs: 5 }
+    );
+    try {
+      await jest.advanceTimersByTimeAsync(20);
+      // Event 4 is logged late at the time stamp of event 3.
+      log.push(...fakeData.createEventLog(5).slice(3));
+      await jest.advanceTimersByTimeAsync(40);
+      expect(delivered).toEqual([4, 5]);
+      expect(queries[0]).toEqual({
+        senderConditions: ["LogSender"], limit: 1, offset: 0, flags: NewestFirst | UseLogStampForTimeRange
+      });
+      expect(queries[2]).toEqual({
+        senderConditions: ["LogSender"], timeRangeBegin: 1001, offset: 1, flags: UseLogStampForTimeRange
+      });
+    } finally {
+      subscription.unsubscribe();
+    }
+  });
+
+  test('test_subscribe_events_continues_pages_cut_by_limit', async () => {
+    jest.useFakeTimers();
+    client.isOpen = true;
+    const log = fakeData.createEventLog(2);
+    client.requestEvents = jest.fn(query => Promise.resolve(fakeData.queryEventLog(log, query)));
+    const delivered = [];
+    const subscription = client.subscribeEvents(
+      { timeRangeBegin: 999, limit: 1 },
+      events => delivered.push(...events.map(evt => evt.id)),
+      { intervalMs: 5 }
+    );
+    try {
+      await jest.advanceTimersByTimeAsync(20);
+      // Logged late at the time stamp of events 1 and 2.
+      log.push({ ...log[1], id: 3 });
+      await jest.advanceTimersByTimeAsync(40);
+      expect(delivered).toEqual([1, 2, 3]);
+    } finally {
+      subscription.unsubscribe();
+    }
+  });
+
+  test('test_subscribe_events_includes_sender_tags', async () => {
+    jest.useFakeTimers();
+    const subscribedClient = client;
+    subscribedClient.isOpen = true;
+    subscribedClient._sendEventsRequest = (requestId, query) => {
+      const events = query.timeRangeBegin === 50
+        ? [{ sender: "TagSender", data: { Text: "New" }, timestampSec: 60, id: 7, code: 0, status: 0, logstampSec: 60 }]
+        : [];
+      setImmediate(() => subscribedClient._parseMessage({
+        messageType: fakeData.Container.Type.eEventsResponse,
+        eventsResponse: { requestId, events }
+      }));
+    };
+    subscribedClient._sendEventSenderTagsRequest = (requestId, sender) => {
+      setImmediate(() => subscribedClient._parseMessage(fakeData.createEventSenderTagsResponse(
+        sender, { tags: { Unit: { value: "bar", source: "Studio" } } })));
+    };
+    const delivered = [];
+    const subscription = subscribedClient.subscribeEvents(
+      { timeRangeBegin: 50 }, events => delivered.push(...events), { intervalMs: 5 });
+    try {
+      await jest.advanceTimersByTimeAsync(40);
+      expect(delivered).toHaveLength(1);
+      expect(delivered[0].tags).toEqual({ Unit: { value: "bar", source: "Studio" } });
+    } finally {
+      subscription.unsubscribe();
+    }
+  });
+
+  test('test_subscribe_events_validates_query', () => {
+    expect(() => client.subscribeEvents({ unknownKey: 1 }, () => {})).toThrow(/Invalid property "unknownKey"/);
+    expect(client.subscriptions.size).toBe(0);
+  });
+
+  test('test_iterate_events_time_paging_oldest_first', async () => {
+    const log = fakeData.createEventLog(9);
+    const queries = [];
+    client.requestEvents = jest.fn(query => {
+      queries.push(query);
+      return Promise.resolve(fakeData.queryEventLog(log, query));
+    });
+    const ids = [];
+    for await (const events of client.iterateEvents({ flags: 0 }, { pageSize: 3 })) {
+      ids.push(events.map(evt => evt.id));
+    }
+    expect(ids).toEqual([[1, 2, 3], [4, 5, 6], [7, 8, 9]]);
+    // The second page continues at the time stamp shared by events 3 and 4.
+    expect(queries[1]).toMatchObject({ timeRangeBegin: 1001, offset: 1, limit: 3 });
+  });
+
+  test('test_iterate_events_time_paging_newest_first', async () => {
+    const { NewestFirst, UseLogStampForTimeRange } = cdplogger.Client.EventQueryFlags;
+    const log = fakeData.createEventLog(8);
+    client.requestEvents = jest.fn(query => Promise.resolve(fakeData.queryEventLog(log, query)));
+    const ids = [];
+    const query = { flags: NewestFirst | UseLogStampForTimeRange, limit: 7 };
+    for await (const events of client.iterateEvents(query, { pageSize: 3 })) {
+      ids.push(...events.map(evt => evt.id));
+    }
+    expect(ids).toEqual([8, 7, 6, 5, 4, 3, 2]);
+  });
+
+  test('test_iterate_events_offset_paging_with_progress', async () => {
+    const log = fakeData.createEventLog(5);
+    client.requestEvents = jest.fn(query => Promise.resolve(fakeData.queryEventLog(log, query)));
+    client.countEvents = jest.fn(() => Promise.resolve(log.length));
+    const progress = [];
+    const ids = [];
+    const iterator = client.iterateEvents({ offset: 1 }, {
+      pageSize: 2,
+      paging: "offset",
+      onProgress: (fetched, total) => progress.push([fetched, total])
+    });
+    for await (const events of iterator) {
+      ids.push(...events.map(evt => evt.id));
+    }
+    expect(ids).toEqual([2, 3, 4, 5]);
+    expect(progress).toEqual([[2, 4], [4, 4]]);
+    expect(client.countEvents).toHaveBeenCalledWith({}, expect.any(Object));
+    expect(client.requestEvents.mock.calls.map(call => call[0].offset)).toEqual([1, 3, 5]);
+  });
+
+  test('test_iterate_events_rejects_invalid_paging', async () => {
+    await expect(client.iterateEvents({}, { paging: "pages" }).next()).rejects.toThrow(/Invalid paging/);
+  });
+
+  test('test_error_response_has_code_and_request_id', async () => {
+    client.reqId = 0;
+    client.isOpen = true;
+    client._sendLogLimitsRequest = jest.fn();
+    const promise = client.requestLogLimits();
+    client._parseMessage(fakeData.createErrorResponse());
+    const error = await promise.catch(err => err);
+    expect(error).toBeInstanceOf(cdplogger.CDPLoggerError);
+    expect(error).not.toBeInstanceOf(cdplogger.TooManyRequestsError);
+    expect(error.code).toBe(1234567);
+    expect(error.requestId).toBe(1);
+  });
+
+  test('test_too_many_requests_error', async () => {
+    client.reqId = 0;
+    client.isOpen = true;
+    client.retryPolicy = { ...client.retryPolicy, maxRetries: 0 };
+    client._sendDataPointsRequest = jest.fn();
+    const promise = client.requestDataPoints(["Output"], 0, 10, 0, 0);
+    client._parseMessage(fakeData.createTooManyRequestsErrorResponse(1));
+    const error = await promise.catch(err => err);
+    expect(error).toBeInstanceOf(cdplogger.TooManyRequestsError);
+    expect(error.name).toBe("TooManyRequestsError");
+    expect(error.code).toBe(cdplogger.Client.ErrorCode.TooManyRequests);
+    expect(error.message).toBe("Too many pending requests");
+  });
+
+  test('test_unknown_node_error', async () => {
+    client.reqId = 0;
+    client.isOpen = true;
+    client._sendLoggedNodesRequest = jest.fn();
+    const promise = client.requestDataPoints(["Missing"], 0, 10, 0, 0);
+    client._parseMessage(fakeData.createLoggedNodesResponse(2));
+    const error = await promise.catch(err => err);
+    expect(error).toBeInstanceOf(cdplogger.UnknownNodeError);
+    expect(error.nodeName).toBe("Missing");
+    expect(error.requestId).toBe(1);
+  });
+
+  test('test_invalid_time_range_error', async () => {
+    client.isOpen = true;
+    const error = await client.requestDataPoints(["Output"], 10, 0, 0, 0).catch(err => err);
+    expect(error).toBeInstanceOf(cdplogger.InvalidRequestError);
+  });
+
+  test('test_incompatible_version_error', async () => {
+    client.reqId = 0;
+    client.isOpen = true;
+    client._sendApiVersionRequest = jest.fn();
+    const promise = client.requestApiVersion();
+    client._parseMessage(fakeData.createApiVersionErrorResponse());
+    const error = await promise.catch(err => err);
+    expect(error).toBeInstanceOf(cdplogger.IncompatibleVersionError);
+    expect(error.version).toBe("1.0");
+  });
+
+  test('test_disconnect_rejects_with_connection_closed_error', async () => {
+    client.isOpen = true;
+    client._sendLogLimitsRequest = jest.fn();
+    const promise = client.requestLogLimits();
+    client.disconnect();
+    await expect(promise).rejects.toBeInstanceOf(cdplogger.ConnectionClosedError);
+  });
+
+  test('test_invalid_event_query_error', () => {
+    expect(() => client._buildEventQuery({ limit: "10" })).toThrow(cdplogger.InvalidRequestError);
+  });
+
+  test('test_request_timeout_rejects_and_ignores_late_response', async () => {
+    client.reqId = 0;
+    client.isOpen = true;
+    client._sendLogLimitsRequest = jest.fn();
+    const promise = client.requestLogLimits({ timeoutMs: 10 });
+    const error = await promise.catch(err => err);
+    expect(error).toBeInstanceOf(cdplogger.TimeoutError);
+    expect(error.requestId).toBe(1);
+    expect(client.storedPromises[1]).toBeUndefined();
+    // A late response for the request is ignored.
+    expect(() => client._parseMessage(fakeData.createLogLimitsResponse())).not.toThrow();
+  });
+
+  test('test_request_abort_removes_queued_request', async () => {
+    client.reqId = 0;
+    client.isOpen = false;
+    const controller = new AbortController();
+    const promise = client.requestDataPoints(["Output"], 0, 10, 0, 0, { signal: controller.signal });
+    expect(client.queuedRequests[1]).toBeDefined();
+    controller.abort();
+    await expect(promise).rejects.toBeInstanceOf(cdplogger.AbortError);
+    expect(client.queuedRequests[1]).toBeUndefined();
+    expect(client.storedPromises[1]).toBeUndefined();
+  });
+
+  test('test_request_with_aborted_signal_is_not_sent', async () => {
+    client.isOpen = true;
+    client._sendEventsRequest = jest.fn();
+    const controller = new AbortController();
+    controller.abort();
+    await expect(client.requestEvents({}, { signal: controller.signal })).rejects.toBeInstanceOf(cdplogger.AbortError);
+    expect(client._sendEventsRequest).not.toHaveBeenCalled();
+  });
+
+  test('test_time_request_is_skipped_while_disconnected_and_rejected_when_send_fails', async () => {
+    client.reqId = 0;
+    client.enableTimeSync = true;
+    client.lastTimeRequest = 0;
+    client.isOpen = false;
+    client.requestLogLimits();
+    expect(Object.keys(client.storedPromises)).toEqual(["1"]);
+
+    client.isOpen = true;
+    client.storedPromises = {};
+    client.queuedRequests = {};
+    client.ws.send = () => { throw new cdplogger.ConnectionClosedError("Connection was closed"); };
+    expect(() => client._timeRequest()).not.toThrow();
+    await new Promise(resolve => setImmediate(resolve));
+    expect(client.storedPromises).toEqual({});
+  });
+
+  test('test_events_timeout_and_abort_cover_sender_tags', async () => {
+    client.isOpen = true;
+    client._sendEventsRequest = jest.fn(requestId =>
+      setImmediate(() => client._parseMessage(fakeData.createRealisticEventsResponse(requestId))));
+    // The sender tags are never answered.
+    client._sendEventSenderTagsRequest = jest.fn();
+    await expect(client.requestEvents({}, { timeoutMs: 20 })).rejects.toBeInstanceOf(cdplogger.TimeoutError);
+    const controller = new AbortController();
+    const events = client.requestEvents({}, { signal: controller.signal });
+    await new Promise(resolve => setTimeout(resolve, 10));
+    controller.abort();
+    await expect(events).rejects.toBeInstanceOf(cdplogger.AbortError);
+  });
+
+  test('test_request_answered_in_time_resolves', async () => {
+    client.reqId = 0;
+    client.isOpen = true;
+    client._sendApiVersionRequest = jest.fn();
+    const controller = new AbortController();
+    const promise = client.requestApiVersion({ timeoutMs: 1000, signal: controller.signal });
+    client._parseMessage(fakeData.createApiVersionResponse());
+    await expect(promise).resolves.toBe("3.0");
+    // Aborting after the response has no effect.
+    controller.abort();
+  });
+
+  test('test_client_default_request_timeout', async () => {
+    const timeoutClient = new cdplogger.Client('127.0.0.1:17000', { autoReconnect: false, requestTimeoutMs: 10 });
+    timeoutClient.setEnableTimeSync(false);
+    expect(timeoutClient.autoReconnect).toBe(false);
+    timeoutClient.isOpen = true;
+    timeoutClient._sendCountEventsRequest = jest.fn();
+    await expect(timeoutClient.countEvents({})).rejects.toBeInstanceOf(cdplogger.TimeoutError);
+    // A per-request setting overrides the default.
+    const promise = timeoutClient.countEvents({}, { timeoutMs: 0 });
+    await new Promise(resolve => setTimeout(resolve, 20));
+    expect(Object.keys(timeoutClient.storedPromises)).toHaveLength(1);
+    timeoutClient.disconnect();
+    await expect(promise).rejects.toBeInstanceOf(cdplogger.ConnectionClosedError);
+  });
+
+  test('test_reconnect_delay_grows_exponentially_up_to_max', () => {
+    jest.useFakeTimers();
+    client.reconnectPolicy = { ...client.reconnectPolicy, initialDelayMs: 100, multiplier: 2, maxDelayMs: 300, jitter: 0 };
+    client._connect = jest.fn(url => ({ _url: url, close: jest.fn(), send: jest.fn() }));
+    const delays = [];
+    for (let i = 0; i < 4; i++) {
+      client._onClose(client.ws, { code: 1006 });
+      const start = Date.now();
+      while (client._connect.mock.calls.length === i) {
+        jest.advanceTimersByTime(10);
+      }
+      delays.push(Date.now() - start);
+    }
+    expect(delays).toEqual([100, 200, 300, 300]);
+    expect(client.reconnectAttempts).toBe(4);
+    client._onOpen(client.ws);
+    expect(client.reconnectAttempts).toBe(0);
+    jest.useRealTimers();
+  });
+
+  test('test_reconnect_delay_jitter_stays_within_bounds', () => {
+    client.reconnectPolicy = { ...client.reconnectPolicy, initialDelayMs: 1000, jitter: 0.5 };
+    for (let i = 0; i < 20; i++) {
+      const delay = client._getReconnectDelay(0);
+      expect(delay).toBeGreaterThanOrEqual(500);
+      expect(delay).toBeLessThanOrEqual(1500);
+    }
+  });
+
+  test('test_reconnect_gives_up_after_max_attempts', async () => {
+    jest.useFakeTimers();
+    client.reconnectPolicy = { ...client.reconnectPolicy, maxAttempts: 2, jitter: 0 };
+    const queued = client.requestLogLimits();
+    client._onClose(client.ws, { code: 1006 });
+    jest.runOnlyPendingTimers();
+    client._onClose(client.ws, { code: 1006 });
+    jest.runOnlyPendingTimers();
+    client._onClose(client.ws, { code: 1006 });
+    await expect(queued).rejects.toThrow(cdplogger.ConnectionClosedError);
+    await expect(queued).rejects.toThrow("gave up after 2 reconnect attempts");
+    expect(client.queuedRequests).toEqual({});
+    expect(jest.getTimerCount()).toBe(0);
+    jest.useRealTimers();
+  });
+
+  test('test_should_reconnect_hook_receives_close_code', async () => {
+    jest.useFakeTimers();
+    const shouldReconnect = jest.fn(code => code !== 1008);
+    client.reconnectPolicy = { ...client.reconnectPolicy, shouldReconnect };
+    const queued = client.requestLogLimits();
+    client._onClose(client.ws, { code: 1008, reason: "Policy violation" });
+    expect(shouldReconnect).toHaveBeenCalledWith(1008, "Policy violation");
+    await expect(queued).rejects.toThrow("Connection was closed with code 1008");
+    expect(jest.getTimerCount()).toBe(0);
+    jest.useRealTimers();
+  });
+
+  test('test_reconnect_sends_queued_requests', () => {
+    jest.useFakeTimers();
+    client._sendLogLimitsRequest = jest.fn();
+    client._onClose(client.ws, { code: 1006 });
+    const queued = client.requestLogLimits();
+    jest.runOnlyPendingTimers();
+    client._onOpen(client.ws);
+    expect(client._sendLogLimitsRequest).toHaveBeenCalledWith(1);
+    expect(client.queuedRequests).toEqual({});
+    jest.useRealTimers();
+    queued.catch(() => {});
+  });
+
+  test('test_reconnect_options_from_constructor', () => {
+    const reconnectClient = new cdplogger.Client('127.0.0.1:17000', { reconnect: { maxAttempts: 3 } });
+    expect(reconnectClient.reconnectPolicy.maxAttempts).toBe(3);
+    expect(reconnectClient.reconnectPolicy.initialDelayMs).toBe(1000);
+    expect(reconnectClient.autoReconnect).toBe(true);
+  });
+
+  test('test_connection_lifecycle_events', () => {
+    jest.useFakeTimers();
+    client.reconnectPolicy = { ...client.reconnectPolicy, initialDelayMs: 100, jitter: 0 };
+    const events = [];
+    ["open", "close", "reconnecting", "reconnected"].forEach(type =>
+      client.on(type, (...args) => events.push([type, client.state, ...args])));
+    expect(client.state).toBe(cdplogger.Client.ConnectionState.Connecting);
+    client._onOpen(client.ws);
+    expect(client.isOpen).toBe(true);
+    client._onClose(client.ws, { code: 1006, reason: "" });
+    expect(client.isOpen).toBe(false);
+    jest.advanceTimersByTime(100);
+    // A failed attempt is not reported as a close.
+    client._onClose(client.ws, { code: 1006, reason: "" });
+    jest.advanceTimersByTime(200);
+    client._onOpen(client.ws);
+    expect(events).toEqual([
+      ["open", "open"],
+      ["close", "reconnecting", 1006, ""],
+      ["reconnecting", "reconnecting", { attempt: 1, delayMs: 100 }],
+      ["reconnecting", "reconnecting", { attempt: 2, delayMs: 200 }],
+      ["open", "open"],
+      ["reconnected", "open"]
+    ]);
+    jest.useRealTimers();
+  });
+
+  test('test_close_without_reconnect_sets_closed_state', () => {
+    client.autoReconnect = false;
+    const onClose = jest.fn();
+    client.on("close", onClose);
+    client._onOpen(client.ws);
+    client._onClose(client.ws, { code: 1000, reason: "Bye" });
+    expect(client.state).toBe(cdplogger.Client.ConnectionState.Closed);
+    expect(onClose).toHaveBeenCalledWith(1000, "Bye");
+  });
+
+  test('test_disconnect_emits_close', () => {
+    client.isOpen = true;
+    const onClose = jest.fn();
+    client.on("close", onClose);
+    client.disconnect();
+    expect(client.state).toBe(cdplogger.Client.ConnectionState.Closed);
+    expect(onClose).toHaveBeenCalledTimes(1);
+  });
+
+  test('test_error_event_emitted_only_with_listeners', () => {
+    expect(() => client._onError(client.ws, { message: "Boom" })).not.toThrow();
+    const onError = jest.fn();
+    client.on("error", onError);
+    client._onError(client.ws, { message: "Boom" });
+    expect(onError).toHaveBeenCalledWith(expect.any(cdplogger.ConnectionClosedError));
+    expect(onError.mock.calls[0][0].message).toBe("Boom");
+  });
+
+  test('test_time_synced_event', () => {
+    client.setEnableTimeSync(true);
+    client._updateTimeDiff = jest.fn();
+    const onTimeSynced = jest.fn();
+    client.on("timeSynced", onTimeSynced);
+    client.timeReceived = 100;
+    client._setTimeDiff(99.9e9, 99.9);
+    client._setTimeDiff(99.8e9, 99.8);
+    expect(onTimeSynced).not.toHaveBeenCalled();
+    client._setTimeDiff(99.7e9, 99.7);
+    expect(onTimeSynced).toHaveBeenCalledWith(client.timeDiff);
+  });
+
+  test('test_nodes_changed_event', () => {
+    const onNodesChanged = jest.fn();
+    client.on("nodesChanged", onNodesChanged);
+    client._parseMessage(fakeData.createLoggedNodesResponse(1));
+    expect(onNodesChanged).toHaveBeenCalledTimes(1);
+    expect(onNodesChanged.mock.calls[0][0].map(node => node.name))
+      .toEqual(["Output", "CPULoad", "MemUsed", "CDPSignal"]);
+    client._parseMessage(fakeData.createLoggedNodesResponse(2));
+    expect(onNodesChanged).toHaveBeenCalledTimes(1);
+    client._parseMessage(fakeData.createTypedLoggedNodesResponse(3));
+    expect(onNodesChanged).toHaveBeenCalledTimes(2);
+  });
+
+  test('test_queued_requests_of_every_type_are_sent_on_open', () => {
+    client._sendApiVersionRequest = jest.fn();
+    client._sendLoggedNodesRequest = jest.fn();
+    client._sendLogLimitsRequest = jest.fn();
+    client._sendDataPointsRequest = jest.fn();
+    client._sendEventsRequest = jest.fn();
+    client._sendCountEventsRequest = jest.fn();
+    client._sendEventSenderTagsRequest = jest.fn();
+    const promises = [
+      client.requestApiVersion(),
+      client.requestLoggedNodes(),
+      client.requestLogLimits(),
+      client.requestDataPoints(["Output"], 0, 10, 5, 0),
+      client.requestEvents({ limit: 10 }),
+      client.countEvents({ senderConditions: ["App"] }),
+      client.getSenderTags("App.Watchdog")
+    ];
+    expect(Object.keys(client.queuedRequests)).toHaveLength(7);
+    client._onOpen(client.ws);
+    expect(client._sendApiVersionRequest).toHaveBeenCalledWith(1);
+    expect(client._sendLoggedNodesRequest).toHaveBeenCalledWith(2);
+    expect(client._sendLogLimitsRequest).toHaveBeenCalledWith(3);
+    expect(client._sendEventsRequest).toHaveBeenCalledWith(5, client._buildEventQuery({ limit: 10 }));
+    expect(client._sendCountEventsRequest).toHaveBeenCalledWith(6, client._buildEventQuery({ senderConditions: ["App"] }));
+    expect(client._sendEventSenderTagsRequest).toHaveBeenCalledWith(7, "App.Watchdog");
+    expect(client.queuedRequests).toEqual({});
+    promises.forEach(promise => promise.catch(() => {}));
+    return Promise.resolve().then(() => {
+      expect(client._sendDataPointsRequest).toHaveBeenCalledWith([0], 0, 10, 4, 5, 0);
+    });
+  });
+
+  test('test_queued_count_events_resolves', async () => {
+    const promise = client.countEvents({});
+    client._sendCountEventsRequest = jest.fn(requestId => client._parseMessage({
+      messageType: fakeData.Container.Type.eCountEventsResponse,
+      countEventsResponse: { requestId, count: 42 }
+    }));
+    client._onOpen(client.ws);
+    await expect(promise).resolves.toBe(42);
+  });
+
+  test('test_queued_requests_wait_for_time_sync', () => {
+    client.setEnableTimeSync(true);
+    client._sendTimeRequest = jest.fn();
+    client._sendLogLimitsRequest = jest.fn();
+    const promise = client.requestLogLimits();
+    client._onOpen(client.ws);
+    expect(client._sendLogLimitsRequest).not.toHaveBeenCalled();
+    client.roundTripTimes = { 0.1: 0, 0.2: 0 };
+    client.timeReceived = Date.now() / 1000;
+    client._setTimeDiff(client.timeReceived * 1e9, client.timeReceived - 0.3);
+    expect(client._sendLogLimitsRequest).toHaveBeenCalledTimes(1);
+    promise.catch(() => {});
+  });
+
+  test('test_queued_requests_are_sent_on_every_connect', () => {
+    jest.useFakeTimers();
+    client._sendLogLimitsRequest = jest.fn();
+    const first = client.requestLogLimits();
+    client._onOpen(client.ws);
+    client._onClose(client.ws, { code: 1006 });
+    const second = client.requestLogLimits();
+    jest.runOnlyPendingTimers();
+    client._onOpen(client.ws);
+    expect(client._sendLogLimitsRequest.mock.calls).toEqual([[1], [2]]);
+    jest.useRealTimers();
+    [first, second].forEach(promise => promise.catch(() => {}));
+  });
+
+  test('test_max_concurrent_requests_limits_sent_queries', () => {
+    client.isOpen = true;
+    client.maxConcurrentRequests = 2;
+    client._sendCountEventsRequest = jest.fn();
+    client._sendLogLimitsRequest = jest.fn();
+    const promises = [client.countEvents({}), client.countEvents({}), client.countEvents({})];
+    expect(client._sendCountEventsRequest.mock.calls.map(call => call[0])).toEqual([1, 2]);
+    expect(client.queuedRequests[3]).toBeDefined();
+    // Requests that are not queries are not limited.
+    promises.push(client.requestLogLimits());
+    expect(client._sendLogLimitsRequest).toHaveBeenCalledWith(4);
+    client._parseMessage({
+      messageType: fakeData.Container.Type.eCountEventsResponse,
+      countEventsResponse: { requestId: 1, count: 5 }
+    });
+    expect(client._sendCountEventsRequest.mock.calls.map(call => call[0])).toEqual([1, 2, 3]);
+    promises.forEach(promise => promise.catch(() => {}));
+    return expect(promises[0]).resolves.toBe(5);
+  });
+
+  test('test_queued_queries_are_sent_by_priority', () => {
+    client.isOpen = true;
+    client.maxConcurrentRequests = 1;
+    client._sendEventsRequest = jest.fn();
+    const promises = [
+      client.requestEvents({}),
+      client.requestEvents({}, { priority: -1 }),
+      client.requestEvents({}),
+      client.requestEvents({}, { priority: 10 })
+    ];
+    for (let i = 0; i < 4; i++) {
+      const sent = client._sendEventsRequest.mock.calls.map(call => call[0]);
+      client.storedPromises[sent[sent.length - 1]].resolve([]);
+    }
+    expect(client._sendEventsRequest.mock.calls.map(call => call[0])).toEqual([1, 4, 3, 2]);
+    return Promise.all(promises);
+  });
+
+  test('test_too_many_requests_error_is_retried', async () => {
+    jest.useFakeTimers();
+    client.isOpen = true;
+    client.retryPolicy = { ...client.retryPolicy, initialDelayMs: 100, jitter: 0 };
+    client._sendDataPointsRequest = jest.fn();
+    const promise = client.requestDataPoints(["Output"], 0, 10, 0, 0);
+    await Promise.resolve();
+    expect(client._sendDataPointsRequest).toHaveBeenCalledTimes(1);
+    client._parseMessage(fakeData.createTooManyRequestsErrorResponse(1));
+    expect(client.queuedRequests[1]).toBeDefined();
+    jest.advanceTimersByTime(99);
+    await Promise.resolve();
+    expect(client._sendDataPointsRequest).toHaveBeenCalledTimes(1);
+    jest.advanceTimersByTime(1);
+    await Promise.resolve();
+    expect(client._sendDataPointsRequest).toHaveBeenCalledTimes(2);
+    expect(client._sendDataPointsRequest.mock.calls[1][3]).toBe(1);
+    client._parseMessage(fakeData.createDataPointResponse());
+    await expect(promise).resolves.toHaveLength(2);
+    jest.useRealTimers();
+  });
+
+  test('test_too_many_requests_retry_survives_early_timer', async () => {
+    jest.useFakeTimers();
+    client.isOpen = true;
+    client.retryPolicy = { ...client.retryPolicy, initialDelayMs: 100, jitter: 0 };
+    client._sendApiVersionRequest = jest.fn();
+    const promise = client.requestApiVersion();
+    client._parseMessage(fakeData.createTooManyRequestsErrorResponse(1));
+    // The retry timer fires a millisecond before Date.now() reaches its time.
+    jest.setSystemTime(Date.now() - 1);
+    jest.advanceTimersByTime(100);
+    expect(client._sendApiVersionRequest).toHaveBeenCalledTimes(1);
+    jest.advanceTimersByTime(1);
+    expect(client._sendApiVersionRequest).toHaveBeenCalledTimes(2);
+    jest.useRealTimers();
+    promise.catch(() => {});
+    client.disconnect();
+  });
+
+  test('test_too_many_requests_error_rejects_after_max_retries', async () => {
+    jest.useFakeTimers();
+    client.isOpen = true;
+    client.retryPolicy = { ...client.retryPolicy, maxRetries: 2, initialDelayMs: 100, jitter: 0 };
+    client._sendCountEventsRequest = jest.fn();
+    const promise = client.countEvents({});
+    client._parseMessage(fakeData.createTooManyRequestsErrorResponse(1));
+    jest.advanceTimersByTime(100);
+    client._parseMessage(fakeData.createTooManyRequestsErrorResponse(1));
+    jest.advanceTimersByTime(200);
+    client._parseMessage(fakeData.createTooManyRequestsErrorResponse(1));
+    await expect(promise).rejects.toBeInstanceOf(cdplogger.TooManyRequestsError);
+    expect(client._sendCountEventsRequest).toHaveBeenCalledTimes(3);
+    jest.useRealTimers();
+  });
+
+  test('test_disconnect_cancels_pending_retry', async () => {
+    jest.useFakeTimers();
+    client.isOpen = true;
+    client.retryPolicy = { ...client.retryPolicy, initialDelayMs: 60000, jitter: 0 };
+    client._sendApiVersionRequest = jest.fn();
+    const promise = client.requestApiVersion();
+    client._parseMessage(fakeData.createTooManyRequestsErrorResponse(1));
+    expect(jest.getTimerCount()).toBe(1);  // The retry
+    client.disconnect();
+    await expect(promise).rejects.toBeInstanceOf(cdplogger.ConnectionClosedError);
+    expect(jest.getTimerCount()).toBe(0);
+    jest.useRealTimers();
+  });
+
+  test('test_identical_requests_share_one_request', async () => {
+    client.isOpen = true;
+    client._sendLogLimitsRequest = jest.fn();
+    client._sendLoggedNodesRequest = jest.fn();
+    const limits = [client.requestLogLimits(), client.requestLogLimits()];
+    const nodes = [client.requestLoggedNodes(), client.requestLoggedNodes()];
+    expect(client._sendLogLimitsRequest).toHaveBeenCalledTimes(1);
+    expect(client._sendLoggedNodesRequest).toHaveBeenCalledTimes(1);
+    expect(limits[0]).toBe(limits[1]);
+    client._parseMessage(fakeData.createLogLimitsResponse());
+    client._parseMessage(fakeData.createLoggedNodesResponse(2));
+    const [first, second] = await Promise.all(nodes);
+    expect(first).toBe(second);
+    await expect(limits[1]).resolves.toEqual({ startS: 1529497537.61, endS: 1531389483.02 });
+    // Once answered, the next call sends a new request.
+    client.requestLogLimits().catch(() => {});
+    expect(client._sendLogLimitsRequest).toHaveBeenCalledTimes(2);
+  });
+
+  test('test_identical_data_point_requests_share_one_request', async () => {
+    client.isOpen = true;
+    client._sendDataPointsRequest = jest.fn();
+    const first = client.requestDataPoints(["Output", "CPULoad"], 1529497537, 1531389483, 2, 0);
+    const second = client.requestDataPoints(["Output", "CPULoad"], 1529497537, 1531389483, 2, 0);
+    const other = client.requestDataPoints(["Output", "CPULoad"], 1529497537, 1531389483, 3, 0);
+    const sparse = client.requestDataPoints(["Output", "CPULoad"], 1529497537, 1531389483, 2, 0, { changesOnly: true });
+    await Promise.resolve();
+    expect(client._sendDataPointsRequest).toHaveBeenCalledTimes(3);
+    expect(first).toBe(second);
+    [other, sparse].forEach(promise => promise.catch(() => {}));
+    client._parseMessage(fakeData.createDataPointResponse());
+    expect(await first).toBe(await second);
+  });
+
+  test('test_shared_queued_request_takes_the_higher_priority', async () => {
+    client.isOpen = true;
+    client.maxConcurrentRequests = 1;
+    client._sendEventsRequest = jest.fn();
+    client._sendDataPointsRequest = jest.fn();
+    const events = client.requestEvents({});
+    const queued = [
+      client.requestEvents({}),
+      client.requestDataPoints(["Output"], 0, 10, 2, 0)
+    ];
+    const shared = client.requestDataPoints(["Output"], 0, 10, 2, 0, { priority: 5 });
+    expect(shared).toBe(queued[1]);
+    expect(client.queuedRequests[3].priority).toBe(5);
+    client.storedPromises[1].resolve([]);
+    await Promise.resolve();  // The node IDs are looked up before sending
+    expect(client._sendDataPointsRequest).toHaveBeenCalledTimes(1);
+    expect(client._sendEventsRequest).toHaveBeenCalledTimes(1);
+    client.disconnect();
+    await Promise.all([events, ...queued].map(promise => promise.catch(() => {})));
+  });
+
+  test('test_coalesce_opt_out', () => {
+    client.isOpen = true;
+    client._sendLogLimitsRequest = jest.fn();
+    const controller = new AbortController();
+    const promises = [
+      client.requestLogLimits(),
+      client.requestLogLimits({ coalesce: false }),
+      client.requestLogLimits({ signal: controller.signal }),
+      client.requestLogLimits({ timeoutMs: 1000 })
+    ];
+    expect(client._sendLogLimitsRequest).toHaveBeenCalledTimes(4);
+    controller.abort();
+    client.disconnect();
+    promises.forEach(promise => promise.catch(() => {}));
+  });
+
+  test('test_data_cache_fetches_only_missing_ranges', async () => {
+    const cachingClient = new cdplogger.Client('127.0.0.1:17000', { dataCache: true });
+    cachingClient.setEnableTimeSync(false);
+    cachingClient.isOpen = true;
+    cachingClient.nameToId = { "Output": 0 };
+    cachingClient.idToName = { 0: "Output" };
+    cachingClient._sendDataPointsRequest = jest.fn((nodeIds, startS, endS, requestId) => {
+      const timestamps = [];
+      for (let t = Math.ceil(startS); t <= endS; t++) {
+        timestamps.push(t);
+      }
+      setImmediate(() => cachingClient._parseMessage(fakeData.createDataPointPageResponse(requestId, timestamps)));
+    });
+    cachingClient._sendLogLimitsRequest = jest.fn(requestId => setImmediate(() => cachingClient._parseMessage({
+      messageType: fakeData.Container.Type.eCriterionLimitsResponse,
+      criterionLimitsResponse: { requestId, criterionMin: 0, criterionMax: 100 }
+    })));
+    const first = await cachingClient.requestDataPoints(["Output"], 10, 20, 0, 0);
+    expect(first.map(row => row.timestamp)).toEqual([10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20]);
+    const second = await cachingClient.requestDataPoints(["Output"], 15, 30, 0, 0);
+    expect(cachingClient._sendDataPointsRequest).toHaveBeenCalledTimes(2);
+    expect(cachingClient._sendDataPointsRequest.mock.calls[1].slice(1, 3)).toEqual([20, 30]);
+    expect(second.map(row => row.timestamp)).toEqual([15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30]);
+    expect(second[0].value["Output"]).toEqual({ min: 15, max: 15, last: 15 });
+    // Fully cached windows are served without requests.
+    await cachingClient.requestDataPoints(["Output"], 12, 28, 0, 0);
+    expect(cachingClient._sendDataPointsRequest).toHaveBeenCalledTimes(2);
+    // Requests with a limit or with the cache turned off are not cached.
+    await cachingClient.requestDataPoints(["Output"], 12, 28, 0, 5);
+    await cachingClient.requestDataPoints(["Output"], 12, 28, 0, 0, { cache: false });
+    expect(cachingClient._sendDataPointsRequest).toHaveBeenCalledTimes(4);
+  });
+
+  test('test_data_cache_does_not_cache_past_log_end', async () => {
+    const cachingClient = new cdplogger.Client('127.0.0.1:17000', { dataCache: true });
+    cachingClient.setEnableTimeSync(false);
+    cachingClient.isOpen = true;
+    cachingClient.nameToId = { "Output": 0 };
+    cachingClient.idToName = { 0: "Output" };
+    let endS = 15;
+    cachingClient._sendLogLimitsRequest = jest.fn(requestId => setImmediate(() => cachingClient._parseMessage({
+      messageType: fakeData.Container.Type.eCriterionLimitsResponse,
+      criterionLimitsResponse: { requestId, criterionMin: 0, criterionMax: endS }
+    })));
+    cachingClient._sendDataPointsRequest = jest.fn((nodeIds, startS, rangeEndS, requestId) => {
+      const timestamps = [];
+      for (let t = Math.ceil(startS); t <= Math.min(rangeEndS, endS); t++) {
+        timestamps.push(t);
+      }
+      setImmediate(() => cachingClient._parseMessage(fakeData.createDataPointPageResponse(requestId, timestamps)));
+    });
+    // The log limits are requested before the first fetch is cached.
+    await cachingClient.requestDataPoints(["Output"], 10, 20, 0, 0);
+    expect(cachingClient._sendLogLimitsRequest).toHaveBeenCalledTimes(1);
+    expect(cachingClient.dataCache.missingRanges("Output", 0, 10, 20)).toEqual([[15, 20]]);
+    // Data logged since in the requested range is fetched.
+    endS = 20;
+    await cachingClient.requestLogLimits();
+    const dataPoints = await cachingClient.requestDataPoints(["Output"], 10, 20, 0, 0);
+    expect(cachingClient._sendDataPointsRequest.mock.calls[1].slice(1, 3)).toEqual([15, 20]);
+    expect(dataPoints.map(row => row.timestamp)).toEqual([10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20]);
+  });
+
+  test('test_data_cache_keeps_only_sent_values', async () => {
+    const cachingClient = new cdplogger.Client('127.0.0.1:17000', { dataCache: true });
+    cachingClient.setEnableTimeSync(false);
+    cachingClient.isOpen = true;
+    cachingClient.nameToId = { "Output": 0, "CPULoad": 1 };
+    cachingClient.idToName = { 0: "Output", 1: "CPULoad" };
+    cachingClient._sendLogLimitsRequest = jest.fn(requestId => setImmediate(() => cachingClient._parseMessage({
+      messageType: fakeData.Container.Type.eCriterionLimitsResponse,
+      criterionLimitsResponse: { requestId, criterionMin: 0, criterionMax: 200 }
+    })));
+    cachingClient._sendDataPointsRequest = jest.fn((nodeIds, startS, endS, requestId) =>
+      setImmediate(() => cachingClient._parseMessage(fakeData.createSparseDataPointResponse(requestId))));
+    const both = await cachingClient.requestDataPoints(["Output", "CPULoad"], 100, 103, 0, 0);
+    expect(both[1].value["CPULoad"].last).toBe(10.2);  // Carried forward
+    expect(cachingClient.dataCache.rows("CPULoad", 0, 100, 103).map(row => row.timestamp)).toEqual([100, 102]);
+    const changes = await cachingClient.requestDataPoints(["CPULoad"], 100, 103, 0, 0, { changesOnly: true });
+    expect(changes.map(row => row.timestamp)).toEqual([100, 102]);
+    expect(cachingClient._sendDataPointsRequest).toHaveBeenCalledTimes(1);
+  });
+
+  test('test_data_cache_keeps_server_time_and_a_fixed_grid', async () => {
+    const cachingClient = new cdplogger.Client('127.0.0.1:17000', { dataCache: true });
+    cachingClient._timeRequest = jest.fn();
+    cachingClient.timeDiff = 60;
+    cachingClient.isOpen = true;
+    cachingClient.nameToId = { "Output": 0 };
+    cachingClient.idToName = { 0: "Output" };
+    cachingClient._sendLogLimitsRequest = jest.fn(requestId => setImmediate(() => cachingClient._parseMessage({
+      messageType: fakeData.Container.Type.eCriterionLimitsResponse,
+      criterionLimitsResponse: { requestId, criterionMin: 0, criterionMax: 1000 }
+    })));
+    cachingClient._sendDataPointsRequest = jest.fn((nodeIds, startS, endS, requestId, noOfDataPoints) => {
+      const step = (endS - startS) / noOfDataPoints;
+      const timestamps = Array.from({ length: noOfDataPoints }, (_, i) => startS + i * step);
+      setImmediate(() => cachingClient._parseMessage(fakeData.createDataPointPageResponse(requestId, timestamps)));
+    });
+    // The window is widened to the grid of its resolution in server time.
+    const first = await cachingClient.requestDataPoints(["Output"], 160.2, 260.2, 10, 0);
+    expect(cachingClient._sendDataPointsRequest.mock.calls[0].slice(1, 3)).toEqual([100, 210]);
+    expect(first.map(row => row.timestamp)).toEqual([160, 170, 180, 190, 200, 210, 220, 230, 240, 250, 260]);
+    expect(cachingClient.dataCache.rows("Output", 10, 100, 200).map(row => row.timestamp))
+      .toEqual([100, 110, 120, 130, 140, 150, 160, 170, 180, 190, 200]);
+    // Only the last bucket of the panned window is fetched.
+    await cachingClient.requestDataPoints(["Output"], 170.2, 270.2, 10, 0);
+    expect(cachingClient._sendDataPointsRequest).toHaveBeenCalledTimes(2);
+    expect(cachingClient._sendDataPointsRequest.mock.calls[1].slice(1, 5)).toEqual([210, 220, 2, 1]);
+    // A new time difference moves the cached rows with the window.
+    cachingClient.timeDiff += 0.4;
+    const shifted = await cachingClient.requestDataPoints(["Output"], 160.6, 260.6, 10, 0);
+    expect(cachingClient._sendDataPointsRequest).toHaveBeenCalledTimes(2);
+    expect(shifted[0].timestamp).toBeCloseTo(160.4, 6);
+    expect(shifted[0].value["Output"].last).toBe(100);
+  });
+
+  test('test_data_cache_drops_data_before_log_start', () => {
+    const cachingClient = new cdplogger.Client('127.0.0.1:17000', { dataCache: true });
+    const cache = cachingClient.dataCache;
+    const rows = [10, 15, 20].map(timestamp => ({ timestamp, value: { Output: { min: 1, max: 1, last: 1 } } }));
+    cache.store(["Output"], 0, 10, 20, rows);
+    expect(cache.missingRanges("Output", 0, 10, 30)).toEqual([[20, 30]]);
+    cachingClient._parseMessage({
+      messageType: fakeData.Container.Type.eCriterionLimitsResponse,
+      criterionLimitsResponse: { requestId: 99, criterionMin: 12, criterionMax: 25 }
+    });
+    expect(cache.missingRanges("Output", 0, 10, 30)).toEqual([[10, 12], [20, 30]]);
+    expect(cache.rows("Output", 0, 0, 30).map(row => row.timestamp)).toEqual([15, 20]);
+    expect(cache.rowCount).toBe(2);
+    expect(cache.endS).toBe(25);
+  });
+
+  test('test_data_cache_evicts_least_recently_used', () => {
+    const cachingClient = new cdplogger.Client('127.0.0.1:17000', { dataCache: { maxRows: 4 } });
+    const cache = cachingClient.dataCache;
+    const rows = [1, 2].map(timestamp => ({
+      timestamp,
+      value: { A: { min: 1, max: 1, last: 1 }, B: { min: 2, max: 2, last: 2 }, C: { min: 3, max: 3, last: 3 } }
+    }));
+    cache.store(["A"], 0, 1, 2, rows);
+    cache.store(["B"], 0, 1, 2, rows);
+    cache.rows("A", 0, 1, 2);
+    cache.store(["C"], 0, 1, 2, rows);
+    expect(cache.rowCount).toBe(4);
+    expect(cache.missingRanges("A", 0, 1, 2)).toEqual([]);
+    expect(cache.missingRanges("B", 0, 1, 2)).toEqual([[1, 2]]);
+    expect(cache.missingRanges("C", 0, 1, 2)).toEqual([]);
+  });
+
+  test('test_data_cache_is_restored_from_storage_by_endpoint', async () => {
+    const saved = new Map();
+    const storage = {
+      get: key => Promise.resolve(saved.get(key)),
+      set: (key, value) => Promise.resolve(saved.set(key, JSON.parse(JSON.stringify(value)))),
+      delete: key => Promise.resolve(saved.delete(key))
+    };
+    const rows = [10, 15, 20].map(timestamp => ({ timestamp, value: { Output: { min: 1, max: 1, last: 1 } } }));
+    const firstClient = new cdplogger.Client('127.0.0.1:17000', { dataCache: { storage } });
+    await firstClient.dataCache.ready;
+    firstClient.dataCache.updateLimits({ startS: 0, endS: 100 });
+    firstClient.dataCache.store(["Output"], 0, 10, 20, rows);
+    await firstClient.dataCache.save();
+
+    const otherEndpoint = new cdplogger.Client('127.0.0.1:17001', { dataCache: { storage } });
+    await otherEndpoint.dataCache.ready;
+    expect(otherEndpoint.dataCache.rowCount).toBe(0);
+
+    const secondClient = new cdplogger.Client('127.0.0.1:17000', { dataCache: { storage } });
+    secondClient.setEnableTimeSync(false);
+    secondClient.isOpen = true;
+    secondClient._sendLogLimitsRequest = jest.fn(requestId => setImmediate(() => secondClient._parseMessage({
+      messageType: fakeData.Container.Type.eCriterionLimitsResponse,
+      criterionLimitsResponse: { requestId, criterionMin: 0, criterionMax: 110 }
+    })));
+    secondClient._sendDataPointsRequest = jest.fn();
+    const dataPoints = await secondClient.requestDataPoints(["Output"], 10, 20, 0, 0);
+    expect(secondClient._sendLogLimitsRequest).toHaveBeenCalledTimes(1);
+    expect(secondClient._sendDataPointsRequest).not.toHaveBeenCalled();
+    expect(dataPoints.map(row => row.timestamp)).toEqual([10, 15, 20]);
+    secondClient.dataCache.save();
+  });
+
+  test('test_data_cache_is_cleared_after_logger_reset', async () => {
+    const stored = {
+      version: 1,
+      startS: 0,
+      endS: 100,
+      series: [[JSON.stringify([0, "Output"]), { ranges: [[10, 20]], rows: [{ timestamp: 10, value: { min: 1, max: 1, last: 1 } }] }]]
+    };
+    const storage = { get: () => Promise.resolve(stored), set: jest.fn(() => Promise.resolve()), delete: jest.fn() };
+    const cachingClient = new cdplogger.Client('127.0.0.1:17000', { dataCache: { storage } });
+    await cachingClient.dataCache.ready;
+    expect(cachingClient.dataCache.rowCount).toBe(1);
+    expect(cachingClient.dataCache.validated).toBe(false);
+    cachingClient.dataCache.updateLimits({ startS: 0, endS: 50 });
+    expect(cachingClient.dataCache.rowCount).toBe(0);
+    expect(cachingClient.dataCache.missingRanges("Output", 0, 10, 20)).toEqual([[10, 20]]);
+    await cachingClient.dataCache.save();
+    expect(storage.set).toHaveBeenCalledWith("cdplogger:dataPoints:ws://127.0.0.1:17000",
+      { version: 1, startS: 0, endS: 50, series: [] });
+  });
+
+  test('test_file_storage', async () => {
+    const os = require('os');
+    const path = require('path');
+    const fs = require('fs');
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'cdplogger-'));
+    const storage = new cdpStorage.FileStorage(path.join(directory, 'cache'));
+    await expect(storage.get("key")).resolves.toBeUndefined();
+    await storage.set("key", { rows: [1, 2] });
+    await expect(storage.get("key")).resolves.toEqual({ rows: [1, 2] });
+    await storage.delete("key");
+    await storage.delete("key");
+    await expect(storage.get("key")).resolves.toBeUndefined();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('test_data_point_pyramid_stitches_aligned_tiles', async () => {
+    client.isOpen = true;
+    client._sendLogLimitsRequest = jest.fn(requestId => setImmediate(() => client._parseMessage({
+      messageType: fakeData.Container.Type.eCriterionLimitsResponse,
+      criterionLimitsResponse: { requestId, criterionMin: 0, criterionMax: 1000 }
+    })));
+    // Responds with one row in the middle of each data point span.
+    client._sendDataPointsRequest = jest.fn((nodeIds, startS, endS, requestId, noOfDataPoints) => {
+      const step = (endS - startS) / noOfDataPoints;
+      const timestamps = Array.from({ length: noOfDataPoints }, (_, i) => startS + (i + 0.5) * step);
+      setImmediate(() => client._parseMessage(fakeData.createDataPointPageResponse(requestId, timestamps)));
+    });
+    const pyramid = client.createDataPointPyramid(["Output"], { tileSize: 8 });
+    expect(pyramid.getLevel(100, 200, 50)).toBe(1);
+
+    const rows = await pyramid.request(100, 200, 50);
+    // Level 1 has 2 s per data point, so the tiles are 16 s wide: 96-112, ..., 192-208.
+    const tileRanges = client._sendDataPointsRequest.mock.calls.map(call => [call[1], call[2], call[4]]);
+    expect(tileRanges).toEqual([96, 112, 128, 144, 160, 176, 192].map(start => [start, start + 16, 8]));
+    expect(rows).toHaveLength(50);
+    expect(rows[0].timestamp).toBe(101);
+    expect(rows[rows.length - 1].timestamp).toBe(199);
+    expect(rows[0].value["Output"]).toEqual({ min: 101, max: 101, last: 101 });
+
+    // Panning reuses the tiles that were already fetched.
+    rows[0].value["Output"].min = -1;
+    const panned = await pyramid.request(110, 210, 50);
+    expect(client._sendDataPointsRequest).toHaveBeenCalledTimes(8);
+    expect(panned[0]).toEqual({ timestamp: 111, value: { Output: { min: 111, max: 111, last: 111 } } });
+    expect((await pyramid.request(100, 200, 50))[0].value["Output"].min).toBe(101);
+  });
+
+  test('test_data_point_pyramid_does_not_keep_tiles_past_log_end', async () => {
+    client.isOpen = true;
+    client._sendLogLimitsRequest = jest.fn(requestId => setImmediate(() => client._parseMessage({
+      messageType: fakeData.Container.Type.eCriterionLimitsResponse,
+      criterionLimitsResponse: { requestId, criterionMin: 0, criterionMax: 120 }
+    })));
+    client._sendDataPointsRequest = jest.fn((nodeIds, startS, endS, requestId) =>
+      setImmediate(() => client._parseMessage(fakeData.createDataPointPageResponse(requestId, [startS]))));
+    const pyramid = client.createDataPointPyramid(["Output"], { tileSize: 8, maxTiles: 1 });
+    await pyramid.request(96, 128, 16);
+    await pyramid.request(96, 128, 16);
+    // The 96-112 tile is kept, the 112-128 tile reaching past the log end is fetched again.
+    expect(client._sendDataPointsRequest.mock.calls.map(call => call[1])).toEqual([96, 112, 112]);
+    await expect(pyramid.request(10, 10, 16)).rejects.toBeInstanceOf(cdplogger.InvalidRequestError);
+  });
+
+  test('test_data_point_pyramid_abort_only_affects_its_own_request', async () => {
+    client.isOpen = true;
+    client._sendLogLimitsRequest = jest.fn(requestId => setImmediate(() => client._parseMessage({
+      messageType: fakeData.Container.Type.eCriterionLimitsResponse,
+      criterionLimitsResponse: { requestId, criterionMin: 0, criterionMax: 1000 }
+    })));
+    const pending = [];
+    client._sendDataPointsRequest = jest.fn((nodeIds, startS, endS, requestId) => pending.push(() =>
+      client._parseMessage(fakeData.createDataPointPageResponse(requestId, [startS]))));
+    const pyramid = client.createDataPointPyramid(["Output"], { tileSize: 8 });
+    const controller = new AbortController();
+    const aborted = pyramid.request(96, 112, 8, { signal: controller.signal });
+    const other = pyramid.request(96, 112, 8, { timeoutMs: 1000 });
+    while (pending.length === 0) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    controller.abort();
+    await expect(aborted).rejects.toBeInstanceOf(cdplogger.AbortError);
+    pending.forEach(respond => respond());
+    expect((await other).map(row => row.timestamp)).toEqual([96]);
+    expect(client._sendDataPointsRequest).toHaveBeenCalledTimes(1);
+  });
+
+  test('test_data_points_request_columnar', async () => {
+    client.isOpen = true;
+    client._sendLoggedNodesRequest = jest.fn();
+    client._sendDataPointsRequest = jest.fn();
+    client.requestLoggedNodes();
+    client._parseMessage(fakeData.createTypedLoggedNodesResponse(1));
+    const promise = client.requestDataPoints(["Output", "Running", "Counter", "State"], 0, 1, 0, 0, { format: "columnar" });
+    await new Promise(resolve => setImmediate(resolve));
+    client._parseMessage(fakeData.createTypedDataPointResponse(2));
+    const columns = await promise;
+    expect(columns.length).toBe(1);
+    expect(columns.timestamps).toBeInstanceOf(Float64Array);
+    expect(columns.nodes["Output"].min).toBeInstanceOf(Float64Array);
+    expect(columns.nodes["Output"].last[0]).toBe(0.5);
+    expect(columns.nodes["Running"].last).toEqual(new Uint8Array([0]));
+    expect(columns.nodes["Counter"].last[0]).toBe(-42);
+    expect(columns.nodes["State"].dictionary).toEqual(["Idle"]);
+    expect(columns.nodes["State"].last).toEqual(new Int32Array([0]));
+    expect(columns.nodes["State"]._codes).toBeUndefined();
+    expect(columns.nodes["Output"].valid).toEqual(new Uint8Array([1]));
+    expect(columns.nodes["Running"].firstIndex).toBe(0);
+  });
+
+  test('test_data_points_request_columnar_carries_forward_values', async () => {
+    client.isOpen = true;
+    client.nameToId = { "Temp": 100, "Pressure": 101, "Flow": 102, "Level": 103 };
+    client.idToName = { 100: "Temp", 101: "Pressure", 102: "Flow", 103: "Level" };
+    client._sendDataPointsRequest = jest.fn();
+    const names = ["Temp", "Pressure", "Flow", "Level"];
+    const rows = client.requestDataPoints(names, 0, 10, 0, 0);
+    const columnar = client.requestDataPoints(names, 0, 10, 0, 0, { format: "columnar" });
+    const sparse = client.requestDataPoints(names, 0, 10, 0, 0, { format: "columnar", changesOnly: true });
+    await Promise.resolve();
+    client._parseMessage(fakeData.createSparseDataPointResponse(1));
+    client._parseMessage(fakeData.createSparseDataPointResponse(2));
+    client._parseMessage(fakeData.createSparseDataPointResponse(3));
+    const expected = await rows;
+    const columns = await columnar;
+    const sparseColumns = await sparse;
+    expect(Array.from(columns.timestamps)).toEqual(expected.map(row => row.timestamp));
+    for (const name of names) {
+      const firstIndex = expected.findIndex(row => row.value[name]);
+      expect(columns.nodes[name].firstIndex).toBe(firstIndex < 0 ? expected.length : firstIndex);
+      expect(sparseColumns.nodes[name].firstIndex).toBe(columns.nodes[name].firstIndex);
+      expected.forEach((row, index) => {
+        const present = Boolean(columns.nodes[name].valid[index >> 3] & (1 << (index & 7)));
+        if (row.value[name]) {
+          expect(columns.nodes[name].last[index]).toBe(row.value[name].last);
+          expect(columns.nodes[name].min[index]).toBe(row.value[name].min);
+        } else {
+          expect(columns.nodes[name].last[index]).toBeNaN();
+        }
+        expect(Boolean(sparseColumns.nodes[name].valid[index >> 3] & (1 << (index & 7)))).toBe(present);
+        if (!present) {
+          expect(sparseColumns.nodes[name].last[index]).toBeNaN();
+        }
+      });
+    }
+  });
+
+  test('test_data_points_columnar_first_index_marks_leading_gap', () => {
+    client.nameToType = { "Output": cdplogger.CDPValueType.eBOOL, "CPULoad": cdplogger.CDPValueType.eBOOL };
+    const response = {
+      criterion: [100.0, 101.0, 102.0],
+      row: [
+        { signalId: [0], minValues: [], maxValues: [], lastValues: [{ bValue: false }] },
+        { signalId: [1], minValues: [], maxValues: [], lastValues: [{ bValue: false }] },
+        { signalId: [], minValues: [], maxValues: [], lastValues: [] }
+      ]
+    };
+    const columns = client._createColumns(response, { nodeNames: ["Output", "CPULoad"], changesOnly: false });
+    expect(columns.nodes["Output"].last).toEqual(new Uint8Array([0, 0, 0]));
+    expect(columns.nodes["CPULoad"].last).toEqual(new Uint8Array([0, 0, 0]));
+    expect(columns.nodes["Output"].firstIndex).toBe(0);
+    expect(columns.nodes["CPULoad"].firstIndex).toBe(1);
+  });
+
+  test('test_data_points_arrow_export', async () => {
+    client.isOpen = true;
+    client._sendLoggedNodesRequest = jest.fn();
+    client._sendDataPointsRequest = jest.fn();
+    const nodesPromise = client.requestLoggedNodes();
+    client._parseMessage(fakeData.createTypedLoggedNodesResponse(1));
+    const nodes = await nodesPromise;
+    const names = ["Output", "Running", "Counter", "State"];
+    const rows = client.requestDataPoints(names, 0, 1, 0, 0);
+    const columnar = client.requestDataPoints(names, 0, 1, 0, 0, { format: "columnar" });
+    await new Promise(resolve => setImmediate(resolve));
+    client._parseMessage(fakeData.createTypedDataPointResponse(2));
+    client._parseMessage(fakeData.createTypedDataPointResponse(3));
+    const fromRows = Arrow.tableFromIPC(cdpArrow.dataPointsToIPC(await rows, { nodes }));
+    const fromColumns = Arrow.tableFromIPC(cdpArrow.dataPointsToIPC(await columnar, { format: "stream" }));
+    for (const table of [fromRows, fromColumns]) {
+      expect(table.numRows).toBe(1);
+      expect(table.schema.fields.map(field => String(field.type))).toEqual([
+        "Timestamp<MICROSECOND, UTC>",
+        "Float64", "Float64", "Float64",
+        "Bool", "Bool", "Bool",
+        "Int64", "Int64", "Int64",
+        "Utf8", "Utf8", "Utf8"
+      ]);
+      const row = table.get(0);
+      expect(Number(row["timestamp"])).toBe(1531313250000);
+      expect(row["Output.last"]).toBe(0.5);
+      expect(row["Running.last"]).toBe(false);
+      expect(row["Counter.last"]).toBe(-42n);
+      expect(row["State.last"]).toBe("Idle");
+    }
+  });
+
+  test('test_events_arrow_export', async () => {
+    client.isOpen = true;
+    client.senderTags["CPDLoggerDemoApp.InvalidLicense"] = { Unit: { value: "s", source: "Config" } };
+    client.senderTags["CDPLoggerDemoApp.CPDEventNotification"] = {};
+    client.senderTags["CPDLoggerDemoApp"] = {};
+    const promise = client.requestEvents({});
+    client._parseMessage(fakeData.createRealisticEventsResponse(1));
+    const table = Arrow.tableFromIPC(cdpArrow.eventsToIPC(await promise));
+    expect(table.numRows).toBe(4);
+    expect(String(table.schema.fields.find(field => field.name === "tags").type))
+      .toBe("Map<{key:Utf8, value:Struct<{value:Utf8, source:Utf8}>}>");
+    const event = table.get(0).toJSON();
+    expect(event.id).toBe(101n);
+    expect(event.sender).toBe("CPDLoggerDemoApp.InvalidLicense");
+    expect(event.codeDescription).toBe("AlarmSet");
+    expect(Number(event.timestamp)).toBe(1740284241000);
+    expect(event.data.toJSON()).toEqual({ Text: "Invalid or missing feature license detected." });
+    expect(JSON.parse(JSON.stringify(event.tags))).toEqual({ Unit: { value: "s", source: "Config" } });
+  });
+
+  test('test_arrow_export_rounds_timestamps_to_microseconds', () => {
+    const rows = [
+      { timestamp: 1531313250.1234567, value: { Output: { min: 0.5, max: 1.5, last: 1 } } },
+      { timestamp: 1531313250.9999996, value: { Output: { min: 1, max: 2, last: 2 } } }
+    ];
+    const dataPoints = Arrow.tableFromIPC(cdpArrow.dataPointsToIPC(rows));
+    expect(dataPoints.getChild("timestamp").toArray()).toEqual(new BigInt64Array([1531313250123457n, 1531313251000000n]));
+    expect(Number(dataPoints.get(0)["timestamp"])).toBeCloseTo(1531313250123.457, 3);
+
+    const events = Arrow.tableFromIPC(cdpArrow.eventsToIPC([{
+      id: 1, sender: "App", code: 1, status: 0, data: {},
+      timestampSec: 1740284241.2500001, logstampSec: 1740284241.3333333
+    }]));
+    expect(events.getChild("timestamp").toArray()).toEqual(new BigInt64Array([1740284241250000n]));
+    expect(events.getChild("logstamp").toArray()).toEqual(new BigInt64Array([1740284241333333n]));
+  });
+
+  test('test_export_data_points_csv_writes_pages', async () => {
+    client.isOpen = true;
+    const timestamps = [10, 11, 12, 13, 14];
+    client._sendDataPointsRequest = (nodeIds, startS, endS, requestId, noOfDataPoints, limit) => {
+      const page = timestamps.filter(t => t >= startS && t <= endS).slice(0, limit);
+      setImmediate(() => client._parseMessage(fakeData.createDataPointPageResponse(requestId, page)));
+    };
+    const chunks = [];
+    const output = new Writable({
+      highWaterMark: 1,
+      write(chunk, encoding, callback) {
+        chunks.push(chunk.toString());
+        setImmediate(callback);
+      }
+    });
+    const rows = await client.exportDataPointsCSV(output, ["Output"], 10, 14, {
+      pageSize: 2,
+      columns: { Output: ["last"] },
+      timestamps: "epoch"
+    });
+    expect(rows).toBe(5);
+    expect(output.writableFinished).toBe(true);
+    expect(chunks).toHaveLength(3);
+    expect(chunks.join("")).toBe("timestamp,Output.last\r\n10,10\r\n11,11\r\n12,12\r\n13,13\r\n14,14\r\n");
+  });
+
+  test('test_export_data_points_csv_locale_and_iso_timestamps', async () => {
+    client.isOpen = true;
+    client._sendDataPointsRequest = jest.fn();
+    const chunks = [];
+    const output = new Writable({
+      write(chunk, encoding, callback) {
+        chunks.push(chunk.toString());
+        callback();
+      }
+    });
+    const promise = client.exportDataPointsCSV(output, ["Output", "CPULoad"], 0, 10, { noOfDataPoints: 2, locale: "de-DE" });
+    await new Promise(resolve => setImmediate(resolve));
+    expect(client._sendDataPointsRequest.mock.calls[0][4]).toBe(2);
+    client._parseMessage(fakeData.createDataPointResponse());
+    await promise;
+    const lines = chunks.join("").split("\r\n");
+    expect(lines[0]).toBe("timestamp;Output.min;Output.max;Output.last;CPULoad.min;CPULoad.max;CPULoad.last");
+    expect(lines[1]).toMatch(/^2018-07-11T12:47:30\.000Z;/);
+    expect(lines[1].split(";").slice(1).every(field => !field.includes("."))).toBe(true);
+  });
+
+  test('test_export_events_csv_to_writable_stream', async () => {
+    client.requestEvents = jest.fn(query => Promise.resolve(fakeData.queryEventLog([
+      { sender: "App", data: { Text: "Started, \"ok\"" }, timestampSec: 1000, logstampSec: 1000, id: 1, code: 0, status: 0,
+        codeDescription: "None", tags: { Unit: { value: "s", source: "Config" } } },
+      { sender: "App", data: { Text: "Line\nbreak", Level: "ERROR" }, timestampSec: 1001, logstampSec: 1001, id: 2, code: 1, status: 1,
+        codeDescription: "AlarmSet", tags: {} }
+    ], query)));
+    let written = "";
+    const decoder = new TextDecoder();
+    const output = new WritableStream({ write(chunk) { written += decoder.decode(chunk); } });
+    const count = await client.exportEventsCSV(output, {}, { pageSize: 1, timestamps: "epoch" });
+    expect(count).toBe(2);
+    expect(output.locked).toBe(false);
+    expect(written).toBe(
+      "id,sender,code,codeDescription,status,timestamp,logstamp,data.Text,tags.Unit\r\n" +
+      "1,App,0,None,0,1000,1000,\"Started, \"\"ok\"\"\",s\r\n" +
+      "2,App,1,AlarmSet,1,1001,1001,\"Line\nbreak\",\r\n");
+  });
+
+  test('test_export_csv_rejects_invalid_options', async () => {
+    const output = new Writable({ write(chunk, encoding, callback) { callback(); } });
+    await expect(client.exportDataPointsCSV(output, ["Output"], 0, 1, { columns: ["avg"] }))
+      .rejects.toThrow(cdplogger.InvalidRequestError);
+    await expect(client.exportEventsCSV(output, {}, { timestamps: "local" }))
+      .rejects.toThrow(/Invalid timestamps/);
+  });
+
+  test('test_csv_format_quotes_and_localizes_fields', () => {
+    const format = new cdplogger.CsvFormat();
+    expect(format.delimiter).toBe(",");
+    expect(format.row(["a,b", 'say "hi"', "two\nlines", null, undefined, 1.5, true]))
+      .toBe('"a,b","say ""hi""","two\nlines",,,1.5,true\r\n');
+    expect(format.timestamp(1531313250.5)).toBe("2018-07-11T12:47:30.500Z");
+
+    const german = new cdplogger.CsvFormat({ locale: "de-DE", timestamps: "epoch" });
+    expect(german.delimiter).toBe(";");
+    expect(german.row([0.5, "a;b", "a,b"])).toBe('0,5;"a;b";a,b\r\n');
+    expect(german.timestamp(1531313250.5)).toBe(1531313250.5);
+    expect(new cdplogger.CsvFormat({ delimiter: "\t" }).row(["a\tb", "c"])).toBe('"a\tb"\tc\r\n');
+    expect(() => new cdplogger.CsvFormat({ timestamps: "local" })).toThrow(cdplogger.InvalidRequestError);
+  });
+
+  test('test_create_csv_output_waits_for_the_output', async () => {
+    const chunks = [];
+    const writable = new Writable({
+      highWaterMark: 1,
+      write(chunk, encoding, callback) {
+        chunks.push(chunk.toString());
+        setImmediate(callback);
+      }
+    });
+    const csv = cdplogger.createCsvOutput(writable, true);
+    let written = false;
+    const write = csv.write("a,b\r\n").then(() => { written = true; });
+    expect(written).toBe(false);
+    await write;
+    await csv.close();
+    expect(chunks).toEqual(["a,b\r\n"]);
+    expect(writable.writableFinished).toBe(true);
+
+    const open = new Writable({ write(chunk, encoding, callback) { callback(); } });
+    await cdplogger.createCsvOutput(open, false).close();
+    expect(open.writableEnded).toBe(false);
+
+    const bytes = [];
+    const stream = new WritableStream({ write(chunk) { bytes.push(...chunk); } });
+    const streamCsv = cdplogger.createCsvOutput(stream, true);
+    await streamCsv.write("ä\r\n");
+    await streamCsv.close();
+    expect(Buffer.from(bytes).toString()).toBe("ä\r\n");
+    expect(stream.locked).toBe(false);
+  });
+
+  test('test_websocket_transport_adapts_websocket_events', () => {
+    const socket = { send: jest.fn(), close: jest.fn() };
+    const createWebSocket = jest.fn(() => socket);
+    const connection = new WebSocketTransport({ createWebSocket }).connect("wss://logger:17000");
+    expect(createWebSocket).toHaveBeenCalledWith("wss://logger:17000", undefined);
+    expect(socket.binaryType).toBe("arraybuffer");
+    connection.onopen = jest.fn();
+    connection.onmessage = jest.fn();
+    connection.onclose = jest.fn();
+    socket.onopen({ type: "open" });
+    const data = new ArrayBuffer(2);
+    socket.onmessage({ data });
+    socket.onclose({ code: 1001, reason: "Going away", wasClean: true });
+    expect(connection.onopen).toHaveBeenCalled();
+    expect(connection.onmessage).toHaveBeenCalledWith(data);
+    expect(connection.onclose).toHaveBeenCalledWith({ code: 1001, reason: "Going away" });
+    connection.send(new Uint8Array([1]));
+    connection.close(1000, "Bye");
+    expect(socket.send).toHaveBeenCalledWith(new Uint8Array([1]));
+    expect(socket.close).toHaveBeenCalledWith(1000, "Bye");
+  });
+
+  test('test_memory_transport_connects_both_ends', async () => {
+    let server;
+    const transport = new MemoryTransport((connection, url) => {
+      server = connection;
+      server.url = url;
+      server.onmessage = bytes => server.send(bytes.map(byte => byte + 1));
+      server.onclose = jest.fn();
+    });
+    const connection = transport.connect("ws://memory");
+    expect(server.url).toBe("ws://memory");
+    const received = new Promise(resolve => { connection.onmessage = resolve; });
+    await new Promise(resolve => { connection.onopen = resolve; });
+    connection.send(new Uint8Array([1, 2]));
+    expect(await received).toEqual(new Uint8Array([2, 3]));
+
+    const closed = new Promise(resolve => { connection.onclose = resolve; });
+    server.close(4000, "Done");
+    expect(await closed).toEqual({ code: 4000, reason: "Done" });
+    expect(server.onclose).toHaveBeenCalledWith({ code: 4000, reason: "Done" });
+    expect(() => connection.send(new Uint8Array([1]))).toThrow(cdplogger.ConnectionClosedError);
+  });
+
+  test('test_websocket_transport_token_provider', async () => {
+    const createWebSocket = jest.fn(() => ({ send: jest.fn(), close: jest.fn() }));
+    const tokens = ["first", "second"];
+    const transport = new WebSocketTransport({ createWebSocket, tokenProvider: () => Promise.resolve(tokens.shift()) });
+    transport.connect("wss://logger:17000");
+    const connection = transport.connect("wss://logger:17000");
+    await new Promise(resolve => setTimeout(resolve, 0));
+    expect(createWebSocket.mock.calls).toEqual([["wss://logger:17000", "first"], ["wss://logger:17000", "second"]]);
+    expect(connection.socket).toBe(createWebSocket.mock.results[1].value);
+
+    const failing = new WebSocketTransport({ createWebSocket, tokenProvider: () => { throw new Error("Login required"); } })
+      .connect("wss://logger:17000");
+    failing.onerror = jest.fn();
+    const closed = new Promise(resolve => { failing.onclose = resolve; });
+    expect(await closed).toEqual({ code: 1006, reason: "Login required" });
+    expect(failing.onerror).toHaveBeenCalledWith(new Error("Login required"));
+    expect(createWebSocket).toHaveBeenCalledTimes(2);
+  });
+
+  test('test_browser_client_connects_with_only_client_js', () => {
+    const sockets = [];
+    const window = {
+      root: require('../generated/containerPb.js'),
+      WebSocket: class {
+        constructor(url) {
+          sockets.push(url);
+        }
+      }
+    };
+    // Node has a global CustomEvent only from Node 19.
+    class CustomEvent extends Event {
+      constructor(type, options = {}) {
+        super(type, options);
+        this.detail = options.detail;
+      }
+    }
+    const context = require('vm').createContext({ window, EventTarget, CustomEvent, URL, setTimeout, clearTimeout });
+    require('vm').runInContext(require('fs').readFileSync(require.resolve('../client.js'), 'utf8'), context);
+    const browserClient = new window.cdplogger.Client('127.0.0.1:17000', false);
+    expect(sockets).toEqual(['ws://127.0.0.1:17000']);
+    expect(browserClient.transport).toBeInstanceOf(window.cdplogger.WebSocketTransport);
+  });
+
+  test('test_type_declarations_match_exports', () => {
+    const declarations = require('fs').readFileSync(require.resolve('../client.d.ts'), 'utf8');
+    const declared = [...declarations.matchAll(/^export declare (?:class|enum|const|function) (\w+)/gm)].map(match => match[1]);
+    expect(declared.sort()).toEqual(Object.keys(cdplogger).sort());
+
+    const body = declarations.slice(declarations.indexOf('export declare class Client '));
+    const clientDeclaration = body.slice(0, body.indexOf('\n}\n'));
+    const members = Object.getOwnPropertyNames(cdplogger.Client.prototype)
+      .filter(name => name !== 'constructor' && !name.startsWith('_'));
+    for (const name of members) {
+      const { get, set } = Object.getOwnPropertyDescriptor(cdplogger.Client.prototype, name);
+      // Accessors without a setter are readonly.
+      const readonly = get && !set ? 'readonly ' : '';
+      expect(clientDeclaration).toMatch(new RegExp(`^  ${readonly}${name}[(<?:]`, 'm'));
+    }
+    for (const name of ['EventQueryFlags', 'MatchType', 'ErrorCode', 'ConnectionState']) {
+      const values = Object.entries(cdplogger.Client[name])
+        .map(([key, value]) => `    readonly ${key}: ${JSON.stringify(value)};`);
+      expect(clientDeclaration).toContain(`  static readonly ${name}: {\n${values.join('\n')}\n  };`);
+    }
+  });
+
+  test('test_module_type_declarations_match_exports', () => {
+    for (const name of ['storage', 'pyramid', 'recording', 'transports']) {
+      const declarations = require('fs').readFileSync(require.resolve(`../${name}.d.ts`), 'utf8');
+      const declared = [
+        ...[...declarations.matchAll(/^export declare (?:class|function) (\w+)/gm)].map(match => match[1]),
+        ...[...declarations.matchAll(/^export \{ ([\w, ]+) \} from/gm)].flatMap(match => match[1].split(", "))
+      ];
+      expect(declared.sort()).toEqual(Object.keys(require(`../${name}`)).sort());
+    }
+  });
+
+  test('test_event_cache_fetches_only_missing_ranges_and_is_stored', async () => {
+    const saved = new Map();
+    const storage = {
+      get: key => Promise.resolve(saved.get(key)),
+      set: (key, value) => Promise.resolve(saved.set(key, JSON.parse(JSON.stringify(value)))),
+      delete: key => Promise.resolve(saved.delete(key))
+    };
+    const Flags = cdplogger.Client.EventQueryFlags;
+    const log = fakeData.createEventLog(20);  // Two events per log stamp from 1000 to 1009
+    const createClient = () => {
+      const cachingClient = new cdplogger.Client('127.0.0.1:17000', { eventCache: { storage } });
+      cachingClient.setEnableTimeSync(false);
+      cachingClient.isOpen = true;
+      cachingClient.senderTags = { LogSender: {} };
+      cachingClient._sendLogLimitsRequest = jest.fn(requestId => setImmediate(() => cachingClient._parseMessage({
+        messageType: fakeData.Container.Type.eCriterionLimitsResponse,
+        criterionLimitsResponse: { requestId, criterionMin: 1000, criterionMax: 1009 }
+      })));
+      cachingClient._sendEventsRequest = jest.fn((requestId, query) => setImmediate(() => cachingClient._parseMessage({
+        messageType: fakeData.Container.Type.eEventsResponse,
+        eventsResponse: { requestId, events: fakeData.queryEventLog(log, query) }
+      })));
+      return cachingClient;
+    };
+    const query = { senderConditions: ["LogSender"], flags: Flags.UseLogStampForTimeRange };
+
+    const firstClient = createClient();
+    const first = await firstClient.requestEvents({ ...query, timeRangeBegin: 1001, timeRangeEnd: 1003 });
+    expect(first.map(evt => Number(evt.id))).toEqual([3, 4, 5, 6, 7, 8]);
+    const second = await firstClient.requestEvents({ ...query, timeRangeBegin: 1002, timeRangeEnd: 1005,
+      flags: Flags.UseLogStampForTimeRange | Flags.TimeRangeBeginExclusive | Flags.NewestFirst });
+    expect(firstClient._sendEventsRequest).toHaveBeenCalledTimes(2);
+    expect(firstClient._sendEventsRequest.mock.calls[1][1]).toMatchObject({ timeRangeBegin: 1003, timeRangeEnd: 1005 });
+    expect(second.map(evt => Number(evt.id))).toEqual([12, 11, 10, 9, 8, 7]);
+    // Other conditions, limits and offsets are not served from the cache.
+    await firstClient.requestEvents({ ...query, senderConditions: ["Other"], timeRangeBegin: 1001, timeRangeEnd: 1003 });
+    await firstClient.requestEvents({ ...query, timeRangeBegin: 1001, timeRangeEnd: 1003, limit: 2 });
+    expect(firstClient._sendEventsRequest).toHaveBeenCalledTimes(4);
+    await firstClient.eventCache.save();
+
+    // A new session is served from the stored cache, with the same event objects.
+    const secondClient = createClient();
+    const restored = await secondClient.requestEvents({ ...query, timeRangeBegin: 1001, timeRangeEnd: 1005 });
+    expect(secondClient._sendLogLimitsRequest).toHaveBeenCalledTimes(1);
+    expect(secondClient._sendEventsRequest).not.toHaveBeenCalled();
+    expect(restored.map(evt => Number(evt.id))).toEqual([3, 4, 5, 6, 7, 8, 9, 10, 11, 12]);
+    expect(restored[0]).toMatchObject({ sender: "LogSender", data: { Text: "Event 3" }, logstampSec: 1001,
+      codeDescription: secondClient.getEventCodeDescription(0), tags: {} });
+    expect(saved.has("cdplogger:events:ws://127.0.0.1:17000")).toBe(true);
+  });
+
+  test('test_event_cache_keeps_log_limits_in_server_time', async () => {
+    const log = fakeData.createEventLog(20);  // Two events per log stamp from 1000 to 1009
+    const cachingClient = new cdplogger.Client('127.0.0.1:17000', { eventCache: true });
+    cachingClient._timeRequest = jest.fn();
+    cachingClient.timeDiff = -60;  // The client's clock is behind the logger's
+    cachingClient.isOpen = true;
+    cachingClient.senderTags = { LogSender: {} };
+    cachingClient._sendLogLimitsRequest = jest.fn(requestId => setImmediate(() => cachingClient._parseMessage({
+      messageType: fakeData.Container.Type.eCriterionLimitsResponse,
+      criterionLimitsResponse: { requestId, criterionMin: 1000, criterionMax: 1009 }
+    })));
+    cachingClient._sendEventsRequest = jest.fn((requestId, query) => setImmediate(() => cachingClient._parseMessage({
+      messageType: fakeData.Container.Type.eEventsResponse,
+      eventsResponse: { requestId, events: fakeData.queryEventLog(log, query) }
+    })));
+    const query = { timeRangeBegin: 1001, timeRangeEnd: 1005,
+      flags: cdplogger.Client.EventQueryFlags.UseLogStampForTimeRange };
+    expect(await cachingClient.requestEvents(query)).toHaveLength(10);
+    expect(await cachingClient.requestEvents(query)).toHaveLength(10);
+    expect(cachingClient._sendEventsRequest).toHaveBeenCalledTimes(1);
+    expect(cachingClient.eventCache.endS).toBe(1009);
+  });
 });
@@ -1,5 +1,7 @@
 // fakeData.js
 
+const { CDPValueType } = require('../generated/containerPb.js').ICD.Protobuf;
+
 const Container = {
   Type: {
     eSignalInfoRequest: 1,
@@ -65,6 +67,43 @@ function createLoggedNodesResponse(requestId) {
   };
 }
 
+function createTypedLoggedNodesResponse(requestId) {
+  return {
+    messageType: Container.Type.eSignalInfoResponse,
+    signalInfoResponse: {
+      requestId: requestId,
+      name: ["Output", "Running", "Counter", "State"],
+      id: [0, 1, 2, 3],
+      type: [CDPValueType.eDOUBLE, CDPValueType.eBOOL, CDPValueType.eINT64, CDPValueType.eSTRING],
+      path: [
+        "loggerApp.Sine.Output",
+        "loggerApp.Running",
+        "loggerApp.Counter",
+        "loggerApp.State"
+      ]
+    }
+  };
+}
+
+function createTypedDataPointResponse(requestId) {
+  return {
+    messageType: Container.Type.eSignalDataResponse,
+    signalDataResponse: {
+      requestId,
+      criterion: [1531313250.0],
+      row: [
+        {
+          signalId: [0, 1, 2, 3],
+          minValues: [],
+          maxValues: [],
+          // The false bool is sent as an empty variant, like the server omits default values.
+          lastValues: [{ dValue: 0.5 }, {}, { i64Value: -42 }, { strValue: "Idle" }]
+        }
+      ]
+    }
+  };
+}
+
 function createDataPointResponse() {
   return {
     messageType: Container.Type.eSignalDataResponse,
@@ -89,6 +128,86 @@ function createDataPointResponse() {
   };
 }
 
+function createDataPointPageResponse(requestId, timestamps) {
+  return {
+    messageType: Container.Type.eSignalDataResponse,
+    signalDataResponse: {
+      requestId,
+      criterion: timestamps.slice(),
+      row: timestamps.map(timestamp => ({
+        signalId: [0],
+        minValues: [{ dValue: timestamp }],
+        maxValues: [{ dValue: timestamp }],
+        lastValues: [{ dValue: timestamp }]
+      }))
+    }
+  };
+}
+
+// API 4.0 style response where each row only holds the nodes that changed.
+// The second row has no min/max, which the server omits when equal to last.
+function createSparseDataPointResponse(requestId = 1) {
+  return {
+    messageType: Container.Type.eSignalDataResponse,
+    signalDataResponse: {
+      requestId,
+      criterion: [100.0, 101.0, 102.0, 103.0],
+      row: [
+        {
+          signalId: [0, 1],
+          minValues: [{ dValue: 1.0 }, { dValue: 10.0 }],
+          maxValues: [{ dValue: 1.5 }, { dValue: 10.5 }],
+          lastValues: [{ dValue: 1.2 }, { dValue: 10.2 }]
+        },
+        {
+          signalId: [0],
+          minValues: [],
+          maxValues: [],
+          lastValues: [{ dValue: 2.0 }]
+        },
+        {
+          signalId: [1],
+          minValues: [{ dValue: 11.0 }],
+          maxValues: [{ dValue: 11.5 }],
+          lastValues: [{ dValue: 11.2 }]
+        },
+        {
+          signalId: [],
+          minValues: [],
+          maxValues: [],
+          lastValues: []
+        }
+      ]
+    }
+  };
+}
+
+// Follow-up page for createSparseDataPointResponse() that starts at its last row
+// and only holds a change for "CPULoad".
+function createSparseDataPointNextPageResponse(requestId) {
+  return {
+    messageType: Container.Type.eSignalDataResponse,
+    signalDataResponse: {
+      requestId,
+      criterion: [103.0, 104.0],
+      row: [
+        {
+          signalId: [],
+          minValues: [],
+          maxValues: [],
+          lastValues: []
+        },
+        {
+          signalId: [1],
+          minValues: [],
+          maxValues: [],
+          lastValues: [{ dValue: 12.0 }]
+        }
+      ]
+    }
+  };
+}
+
 function createErrorResponse() {
   return {
     messageType: Container.Type.eError,
@@ -100,6 +219,17 @@ function createErrorResponse() {
   };
 }
 
+function createTooManyRequestsErrorResponse(requestId = 1) {
+  return {
+    messageType: Container.Type.eError,
+    error: {
+      requestId,
+      errorMessage: "Too many pending requests",
+      errorCode: 3
+    }
+  };
+}
+
 function createRealisticEventsResponse(requestId = 1) {
   return {
     messageType: Container.Type.eEventsResponse,
@@ -155,6 +285,40 @@ function createRealisticEventsResponse(requestId = 1) {
   };
 }
 
+// Events 1..count logged oldest first, with two events per log timestamp.
+function createEventLog(count) {
+  const events = [];
+  for (let id = 1; id <= count; id++) {
+    const stamp = 1000 + Math.floor((id - 1) / 2);
+    events.push({ sender: "LogSender", data: { Text: `Event ${id}` }, timestampSec: stamp, id, code: 0, status: 0, logstampSec: stamp });
+  }
+  return events;
+}
+
+// Applies the time range, flags, offset and limit of an event query to an event log
+// created by createEventLog(), the way the logger does.
+function queryEventLog(events, query) {
+  const flags = query.flags || 0;
+  const stampField = (flags & 8) ? "logstampSec" : "timestampSec";
+  let result = events.filter(evt => {
+    const stamp = evt[stampField];
+    if (query.timeRangeBegin !== undefined &&
+        ((flags & 2) ? stamp <= query.timeRangeBegin : stamp < query.timeRangeBegin)) {
+      return false;
+    }
+    if (query.timeRangeEnd !== undefined &&
+        ((flags & 4) ? stamp >= query.timeRangeEnd : stamp > query.timeRangeEnd)) {
+      return false;
+    }
+    return true;
+  });
+  if (flags & 1) {
+    result = result.slice().sort((a, b) => b[stampField] - a[stampField] || b.id - a.id);
+  }
+  const offset = query.offset || 0;
+  return result.slice(offset, query.limit ? offset + query.limit : undefined);
+}
+
 function createEventSenderTagsResponse(sender, tagMap) {
   return {
     messageType: Container.Type.eEventSenderTagsResponse,
@@ -173,8 +337,17 @@ module.exports = {
   createLogLimitsResponse,
   createLoggedNodesResponse,
   createDataPointResponse,
+  createTypedLoggedNodesResponse,
+  createTypedDataPointResponse,
+  createDataPointPageResponse,
+  createSparseDataPointResponse,
+  createSparseDataPointNextPageResponse,
   createErrorResponse,
+  createTooManyRequestsErrorResponse,
   createRealisticEventsResponse,
   createEventSenderTagsResponse,
-  Container
+  createEventLog,
+  queryEventLog,
+  Container,
+  CDPValueType
 };
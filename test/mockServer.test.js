@@ -0,0 +1,245 @@
+const cdplogger = require('../client');
+const { MockLogServer, createDataset, ErrorCode } = require('../mockServer');
+const { SessionRecording, ReplayTransport } = require('../recording');
+const { VARIANT_FIELDS } = require('../protocol');
+const { Container } = require('../generated/containerPb.js').DBMessaging.Protobuf;
+
+describe('MockServerTester', () => {
+  let server;
+  let client;
+  beforeEach(async () => {
+    server = new MockLogServer({ dataset: createDataset({ seed: 7, durationS: 600 }) });
+    const url = await server.listen();
+    client = new cdplogger.Client(url, false, { retry: { initialDelayMs: 10, jitter: 0 } });
+  });
+
+  afterEach(async () => {
+    client.disconnect();
+    await server.close();
+  });
+
+  test('test_created_dataset_is_seeded', () => {
+    expect(createDataset({ seed: 3 })).toEqual(createDataset({ seed: 3 }));
+    expect(createDataset({ seed: 3 }).rows[1]).not.toEqual(createDataset({ seed: 4 }).rows[1]);
+  });
+
+  test('test_error_codes_are_the_clients', () => {
+    expect(ErrorCode).toBe(cdplogger.Client.ErrorCode);
+  });
+
+  test('test_variant_fields_are_the_clients', () => {
+    for (const [type, field] of Object.entries(VARIANT_FIELDS)) {
+      expect(client._valueFromVariant({ [field]: 1 }, Number(type))).toBe(1);
+    }
+  });
+
+  test('test_nodes_limits_and_version', async () => {
+    expect(await client.requestApiVersion()).toBe("4.0");
+    const nodes = await client.requestLoggedNodes();
+    expect(nodes.map(node => node.name)).toEqual(["Output", "CPULoad", "Counter", "Running", "State"]);
+    expect(nodes[0]).toEqual({
+      name: "Output",
+      routing: "App.Sine.Output",
+      type: cdplogger.CDPValueType.eDOUBLE,
+      tags: { Unit: { value: "V", source: "App.Sine" } }
+    });
+    const limits = await client.requestLogLimits();
+    expect(limits.startS).toBeCloseTo(1700000000, 1);
+    expect(limits.endS - limits.startS).toBeCloseTo(600, 3);
+  });
+
+  test('test_data_points_full_resolution_limit_and_decimation', async () => {
+    client.setEnableTimeSync(false);
+    const startS = 1700000000;
+    const full = await client.requestDataPoints(["Counter", "State"], startS + 10, startS + 20, 0, 5);
+    expect(full.map(point => point.timestamp)).toEqual([10, 11, 12, 13, 14].map(s => startS + s));
+    expect(full.map(point => point.value["Counter"].last)).toEqual([10, 11, 12, 13, 14]);
+
+    const decimated = await client.requestDataPoints(["Counter"], startS, startS + 100, 10, 0);
+    expect(decimated).toHaveLength(10);
+    expect(decimated[1]).toEqual({ timestamp: startS + 10, value: { Counter: { min: 10, max: 19, last: 19 } } });
+
+    await expect(client.requestDataPoints(["Missing"], startS, startS + 1, 0, 0))
+      .rejects.toThrow(cdplogger.UnknownNodeError);
+  });
+
+  test('test_data_cache_returns_the_rows_of_uncached_requests', async () => {
+    const cachingClient = new cdplogger.Client(server.url, false, { dataCache: true });
+    cachingClient.setEnableTimeSync(false);
+    const startS = 1700000000;
+    // Cache nodes together with nodes that change at other times.
+    await cachingClient.requestDataPoints(["Output", "State"], startS, startS + 300, 0, 0);
+    await cachingClient.requestDataPoints(["Running"], startS + 200, startS + 500, 0, 0);
+    await cachingClient.requestDataPoints(["Counter", "State"], startS, startS + 600, 60, 0);
+    for (const names of [["State"], ["Running", "State"], ["Output", "Running"]]) {
+      for (const options of [{}, { changesOnly: true }]) {
+        const cached = await cachingClient.requestDataPoints(names, startS + 100, startS + 400, 0, 0, options);
+        const uncached = await cachingClient.requestDataPoints(names, startS + 100, startS + 400, 0, 0,
+          { ...options, cache: false });
+        expect(cached).toEqual(uncached);
+      }
+    }
+    const downsampled = await cachingClient.requestDataPoints(["State"], startS, startS + 600, 60, 0);
+    expect(downsampled).toEqual(await cachingClient.requestDataPoints(["State"], startS, startS + 600, 60, 0, { cache: false }));
+    // Three fills, the missing State, Running and Output ranges, and seven uncached requests.
+    expect(server.requests.filter(request => request.signalDataRequest)).toHaveLength(13);
+    cachingClient.disconnect();
+  });
+
+  test('test_events_query_filtering_and_sender_tags', async () => {
+    const { events: logged } = server.dataset;
+    const errors = logged.filter(evt => evt.data.Level === "ERROR" && evt.sender.startsWith("App."));
+    const events = await client.requestEvents({
+      senderConditions: ["App.*"],
+      dataConditions: { Level: { value: "ERROR", matchType: cdplogger.Client.MatchType.Exact } },
+      flags: cdplogger.Client.EventQueryFlags.NewestFirst,
+      limit: 2
+    });
+    expect(events.map(evt => Number(evt.id))).toEqual(errors.slice(-2).reverse().map(evt => evt.id));
+    expect(events.every(evt => evt.tags !== undefined)).toBe(true);
+    expect(Number(await client.countEvents({ senderConditions: ["App.*"], dataConditions: { Level: "ERROR" } })))
+      .toBe(errors.length);
+    expect(await client.getSenderTags("App.Watchdog")).toEqual({ Timeout: { value: "5 s", source: "Config" } });
+  });
+
+  test('test_injected_errors', async () => {
+    server.injectFault({ type: "eVersionRequest", times: 1, error: { code: ErrorCode.TooManyRequests } });
+    expect(await client.requestApiVersion()).toBe("4.0");
+    server.injectFault({ type: "eVersionRequest", times: 1, error: { code: ErrorCode.InvalidRequest, message: "Rejected" } });
+    await expect(client.requestApiVersion()).rejects.toThrow(cdplogger.InvalidRequestError);
+    expect(server.faults).toHaveLength(0);
+    expect(server.requests.filter(request => request.versionRequest)).toHaveLength(3);
+  });
+
+  test('test_injected_delays_reorder_responses', async () => {
+    await client.requestLoggedNodes();
+    server.injectFault({ type: "eCriterionLimitsRequest", delayMs: 50 });
+    const order = [];
+    await Promise.all([
+      client.requestLogLimits().then(() => order.push("limits")),
+      client.requestApiVersion().then(() => order.push("version"))
+    ]);
+    expect(order).toEqual(["version", "limits"]);
+  });
+
+  test('test_injected_drop_and_close', async () => {
+    await client.requestApiVersion();
+    server.injectFault({ type: "eVersionRequest", times: 1, drop: true });
+    await expect(client.requestApiVersion({ timeoutMs: 50 })).rejects.toThrow(cdplogger.TimeoutError);
+    server.injectFault({ type: "eSignalInfoRequest", close: { code: 4000, reason: "Going away" } });
+    const closed = new Promise(resolve => client.on("close", (code, reason) => resolve({ code, reason })));
+    await expect(client.requestLoggedNodes()).rejects.toThrow(cdplogger.ConnectionClosedError);
+    expect(await closed).toEqual({ code: 4000, reason: "Going away" });
+  });
+
+  test('test_recorded_session_replays_offline', async () => {
+    client.setEnableTimeSync(false);
+    const recording = client.startRecording();
+    const startS = 1700000000;
+    const nodes = await client.requestLoggedNodes();
+    const points = await client.requestDataPoints(["Output", "Counter"], startS, startS + 60, 6, 0);
+    const events = await client.requestEvents({ senderConditions: ["App.*"], limit: 5 });
+    expect(client.stopRecording()).toBe(recording);
+
+    const replay = new ReplayTransport(recording.serialize());
+    const replayed = new cdplogger.Client("replay", false, { transport: replay });
+    replayed.setEnableTimeSync(false);
+    const parsed = [];
+    const parseMessage = replayed._parseMessage.bind(replayed);
+    replayed._parseMessage = data => { parsed.push(data); parseMessage(data); };
+    expect(await replayed.requestLoggedNodes()).toEqual(nodes);
+    expect(await replayed.requestDataPoints(["Output", "Counter"], startS, startS + 60, 6, 0)).toEqual(points);
+    expect(await replayed.requestEvents({ senderConditions: ["App.*"], limit: 5 })).toEqual(events);
+    while (!replay.done) {
+      await new Promise(resolve => setTimeout(resolve, 1));
+    }
+    expect(parsed.map(data => new Uint8Array(Container.encode(data).finish())))
+      .toEqual(recording.frames.filter(frame => frame.direction === "receive")
+        .map(frame => new Uint8Array(Buffer.from(frame.data, "base64"))));
+    expect(replay.unexpected).toHaveLength(0);
+    expect(replay.done).toBe(true);
+    replayed.disconnect();
+  });
+
+  test('test_recording_redacts_tags_and_event_data', async () => {
+    const recording = client.startRecording({ redact: { tags: true, eventData: ["Text"] } });
+    await client.requestLoggedNodes();
+    await client.requestEvents({ limit: 3 });
+    client.stopRecording();
+
+    const replayed = new cdplogger.Client("replay", false, {
+      transport: new ReplayTransport(SessionRecording.parse(recording.serialize()))
+    });
+    const nodes = await replayed.requestLoggedNodes();
+    expect(nodes[0].tags).toEqual({ Unit: { value: "[redacted]", source: "App.Sine" } });
+    const events = await replayed.requestEvents({ limit: 3 });
+    expect(events.every(evt => evt.data.Text === "[redacted]" && evt.data.Level !== "[redacted]")).toBe(true);
+    expect(Object.values(events[0].tags).every(tag => tag.value === "[redacted]")).toBe(true);
+    replayed.disconnect();
+  });
+
+  test('test_recording_filter_and_credentials', async () => {
+    const authClient = new cdplogger.Client(`ws://user:secret@${server.url}/?access_token=secret`, false, {
+      tokenProvider: () => "secret-token"
+    });
+    authClient.setEnableTimeSync(false);
+    await authClient.requestApiVersion();
+    const recording = authClient.startRecording({
+      filter: (direction, container) => !container.eventsRequest
+    });
+    const nodes = await authClient.requestLoggedNodes();
+    await authClient.requestEvents({ limit: 3 });
+    authClient.stopRecording();
+    authClient.disconnect();
+
+    const text = recording.serialize();
+    expect(text).not.toMatch(/secret/);
+    expect(recording.endpoint).toBe(`ws://${server.url}/`);
+    const types = recording.frames.filter(frame => frame.data).map(frame => Container.decode(Buffer.from(frame.data, "base64")).messageType);
+    expect(types).not.toContain(Container.Type.eEventsRequest);
+    expect(types).not.toContain(Container.Type.eEventsResponse);
+    expect(types).toContain(Container.Type.eEventSenderTagsResponse);
+
+    const replayed = new cdplogger.Client("replay", false, { transport: new ReplayTransport(text) });
+    replayed.setEnableTimeSync(false);
+    expect(await replayed.requestLoggedNodes()).toEqual(nodes);
+    replayed.disconnect();
+  });
+
+  test('test_in_memory_transport', async () => {
+    const memoryClient = new cdplogger.Client("memory", false, { transport: server.createTransport() });
+    expect(await memoryClient.requestApiVersion()).toBe("4.0");
+    expect((await memoryClient.requestLoggedNodes()).map(node => node.name)).toContain("Counter");
+    const closed = new Promise(resolve => memoryClient.on("close", (code, reason) => resolve({ code, reason })));
+    server.closeConnections(4000, "Going away");
+    expect(await closed).toEqual({ code: 4000, reason: "Going away" });
+    expect(server.requests.filter(request => request.versionRequest)).toHaveLength(1);
+  });
+
+  test('test_connection_options_and_token_on_reconnect', async () => {
+    const handshakes = [];
+    server.server.on("connection", (socket, request) => handshakes.push({
+      protocol: socket.protocol,
+      authorization: request.headers.authorization,
+      tenant: request.headers["x-tenant"]
+    }));
+    const tokenProvider = jest.fn()
+      .mockResolvedValueOnce("token-1")
+      .mockResolvedValueOnce("token-2");
+    const authClient = new cdplogger.Client(server.url, {
+      connection: { protocols: ["cdplogger"], headers: { "X-Tenant": "plant-7" } },
+      tokenProvider,
+      reconnect: { initialDelayMs: 10, jitter: 0 }
+    });
+    expect(await authClient.requestApiVersion()).toBe("4.0");
+    const reconnected = new Promise(resolve => authClient.once("reconnected", resolve));
+    server.closeConnections();
+    await reconnected;
+    authClient.disconnect();
+    expect(tokenProvider).toHaveBeenCalledTimes(2);
+    expect(handshakes.filter(handshake => handshake.tenant)).toEqual([
+      { protocol: "cdplogger", authorization: "Bearer token-1", tenant: "plant-7" },
+      { protocol: "cdplogger", authorization: "Bearer token-2", tenant: "plant-7" }
+    ]);
+  });
+});
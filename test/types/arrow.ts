@@ -0,0 +1,24 @@
+// Type tests for arrow.d.ts.
+
+import type { Table } from "apache-arrow";
+import { dataPointsToIPC, dataPointsToTable, eventsToIPC, eventsToTable } from "../../arrow";
+import { CDPEvent, CDPValueType, ColumnarDataPoints, DataPoint, LoggedNode } from "../../client";
+import { assertType, Equal, valueOf } from "./helpers";
+
+const rows = valueOf<DataPoint[]>();
+const columns = valueOf<ColumnarDataPoints>();
+const events = valueOf<CDPEvent[]>();
+
+assertType<Equal<ReturnType<typeof dataPointsToTable>, Table>>();
+dataPointsToTable(rows, { nodes: valueOf<LoggedNode[]>() });
+dataPointsToTable(columns, { types: { Output: CDPValueType.eDOUBLE } });
+assertType<Equal<ReturnType<typeof eventsToTable>, Table>>();
+eventsToTable(events);
+const file: Uint8Array = dataPointsToIPC(rows, { format: "file", types: { Running: CDPValueType.eBOOL } });
+const stream: Uint8Array = eventsToIPC(events, { format: "stream" });
+// @ts-expect-error The IPC format is "file" or "stream".
+eventsToIPC(events, { format: "json" });
+// @ts-expect-error Events are not data points.
+dataPointsToTable(events);
+
+export { file, stream };
@@ -0,0 +1,214 @@
+// Type tests for client.d.ts. They are only compiled, never run: `npm run test:types`.
+
+import * as fs from "fs";
+import cdplogger = require("../../client");
+import {
+  CDPEvent, CDPValue, CDPValueType, Client, ColumnarDataPoints, DataPoint, LoggedNode, LogLimits,
+  MatchType, Tags
+} from "../../client";
+import { ReplayTransport, SessionRecording } from "../../recording";
+import { FileStorage } from "../../storage";
+import { MemoryTransport, WebSocketTransport } from "../../transports";
+import { assertType, Equal } from "./helpers";
+
+async function connecting() {
+  new Client("127.0.0.1:17000");
+  new Client("127.0.0.1:17000", false);
+  new Client("wss://logger:17000", false, { requestTimeoutMs: 5000, maxConcurrentRequests: 4 });
+  const client = new cdplogger.Client("wss://logger:17000", {
+    autoReconnect: true,
+    reconnect: { initialDelayMs: 500, maxAttempts: 10, shouldReconnect: code => code !== 1008 },
+    retry: { maxRetries: 5 },
+    dataCache: { maxRows: 10000, storage: new FileStorage("cache") },
+    eventCache: { maxEvents: 5000, storage: new FileStorage("cache") },
+    connection: { ca: fs.readFileSync("ca.pem"), rejectUnauthorized: true, headers: { "X-Plant": "north" }, protocols: ["cdp"] },
+    tokenProvider: async () => "token"
+  });
+  // @ts-expect-error The endpoint is required.
+  new Client();
+  // @ts-expect-error Unknown options are rejected.
+  new Client("127.0.0.1:17000", { autoreconnect: false });
+
+  assertType<Equal<typeof client.state, "connecting" | "open" | "reconnecting" | "closed">>();
+  assertType<Equal<typeof client.isOpen, boolean>>();
+  client.isOpen = false;
+  client.setEnableTimeSync(false);
+  client.on("close", (code, reason) => {
+    assertType<Equal<typeof code, number | undefined>>();
+    assertType<Equal<typeof reason, string | undefined>>();
+  });
+  client.once("reconnecting", ({ attempt, delayMs }) => attempt + delayMs);
+  client.on("nodesChanged", nodes => nodes.map(node => node.name));
+  client.off("timeSynced", (timeDiff: number) => timeDiff);
+  // @ts-expect-error Unknown event.
+  client.on("message", () => {});
+  // @ts-expect-error Wrong listener arguments.
+  client.on("error", (error: string) => error);
+  client.disconnect();
+}
+
+async function nodesAndLimits(client: Client) {
+  assertType<Equal<Awaited<ReturnType<Client["requestApiVersion"]>>, string>>();
+  const nodes = await client.requestLoggedNodes({ coalesce: false, timeoutMs: 1000 });
+  assertType<Equal<typeof nodes, LoggedNode[]>>();
+  const node = nodes[0];
+  assertType<Equal<typeof node.type, CDPValueType | undefined>>();
+  assertType<Equal<typeof node.tags, Tags | undefined>>();
+  const unit: string | undefined = node.tags && node.tags["Unit"] && node.tags["Unit"].value;
+
+  const limits = await client.requestLogLimits({ signal: new AbortController().signal });
+  assertType<Equal<typeof limits, LogLimits>>();
+  return [unit, limits.startS + limits.endS];
+}
+
+async function dataPoints(client: Client) {
+  const rows = await client.requestDataPoints(["Output", "State"], 0, 10, 100, 0);
+  assertType<Equal<typeof rows, Array<DataPoint<Record<string, CDPValue>>>>>();
+  const value = rows[0].value["Output"];
+  if (value) {
+    assertType<Equal<typeof value.last, number | boolean | string>>();
+  }
+
+  // The value types can be given per node.
+  const typed = await client.requestDataPoints<{ Output: number; Running: boolean; State: string }>(
+    ["Output", "Running"], 0, 10, 0, 1000, { changesOnly: true, priority: 1 });
+  const running = typed[0].value.Running;
+  if (running) {
+    assertType<Equal<typeof running.max, boolean>>();
+  }
+  // @ts-expect-error Not one of the typed nodes.
+  client.requestDataPoints<{ Output: number }>(["Missing"], 0, 10, 0, 0);
+
+  const columns = await client.requestDataPoints(["Output"], 0, 10, 0, 0, { format: "columnar" });
+  assertType<Equal<typeof columns, ColumnarDataPoints>>();
+  const column = columns.nodes["Output"];
+  assertType<Equal<typeof column.last, Float64Array | Uint8Array | Int32Array>>();
+  const firstIndex: number = column.firstIndex;
+  assertType<Equal<cdplogger.DataPointColumn<CDPValueType.eSTRING>["last"], Int32Array>>();
+  assertType<Equal<cdplogger.DataPointColumn<CDPValueType.eBOOL>["last"], Uint8Array>>();
+  assertType<Equal<cdplogger.DataPointColumn<CDPValueType.eINT64>["last"], Float64Array>>();
+  // @ts-expect-error The format is "rows" or "columnar".
+  client.requestDataPoints(["Output"], 0, 10, 0, 0, { format: "arrow" });
+
+  for await (const batch of client.iterateDataPoints<{ Counter: number }>(["Counter"], 0, 10, { limit: 1000 })) {
+    assertType<Equal<typeof batch, Array<DataPoint<{ Counter: number }>>>>();
+  }
+
+  const subscription = client.subscribeDataPoints(["Output"], { intervalMs: 500, resolution: 1 });
+  subscription.on("data", points => points.map(point => point.timestamp));
+  subscription.on("error", error => error.message);
+  subscription.unsubscribe();
+
+  const pyramid = client.createDataPointPyramid(["Output"], { tileSize: 128 });
+  const level: number = pyramid.getLevel(0, 3600, 800);
+  const tiles = await pyramid.request(0, 3600, 800);
+  assertType<Equal<typeof tiles, Array<DataPoint<Record<string, CDPValue>>>>>();
+
+  const count: number = await client.exportDataPointsCSV(fs.createWriteStream("out.csv"), ["Output"], 0, 10, {
+    columns: { Output: ["min", "max"] },
+    locale: "de-DE",
+    timestamps: "epoch"
+  });
+  const format = new cdplogger.CsvFormat({ delimiter: ";", timestamps: "epoch" });
+  const csv = cdplogger.createCsvOutput(fs.createWriteStream("rows.csv"), true);
+  await csv.write(format.row(["timestamp", format.timestamp(0), 1.5, null]));
+  await csv.close();
+  // @ts-expect-error Unknown column.
+  client.exportDataPointsCSV(fs.createWriteStream("out.csv"), ["Output"], 0, 10, { columns: ["avg"] });
+  return level + count;
+}
+
+async function events(client: Client) {
+  const Flags = Client.EventQueryFlags;
+  const query: cdplogger.EventQuery = {
+    timeRangeBegin: 1609459200,
+    senderConditions: ["App.*", { value: "App.Exact", matchType: Client.MatchType.Exact }],
+    dataConditions: {
+      Text: ["Invalid*"],
+      Level: { value: "ERROR", matchType: cdplogger.Client.MatchType.Exact },
+      Code: 7
+    },
+    flags: Flags.NewestFirst | Flags.UseLogStampForTimeRange,
+    limit: 100
+  };
+  assertType<Equal<MatchType, 0 | 1>>();
+  if (client.eventCache) {
+    await client.eventCache.save();
+  }
+  // @ts-expect-error Unknown query key.
+  client.requestEvents({ sender: "App" });
+  // @ts-expect-error Invalid match type.
+  client.requestEvents({ senderConditions: [{ value: "App", matchType: 2 }] });
+
+  const found = await client.requestEvents(query, { timeoutMs: 1000, cache: false });
+  assertType<Equal<typeof found, CDPEvent[]>>();
+  const evt = found[0];
+  const text: string = evt.data["Text"];
+  const id: string = evt.id.toString();
+  const tags: Tags | undefined = evt.tags;
+  const description: string = client.getEventCodeDescription(evt.code) + client.getEventCodeString(evt.code);
+
+  const total = Number(await client.countEvents(query));
+  for await (const page of client.iterateEvents(query, { pageSize: 500, paging: "offset", onProgress: (done, all) => done / all })) {
+    assertType<Equal<typeof page, CDPEvent[]>>();
+  }
+  const subscription = client.subscribeEvents({ senderConditions: ["App.*"] }, newEvents => newEvents.length, { intervalMs: 100 });
+  subscription.unsubscribe();
+  await client.exportEventsCSV(new WritableStream<Uint8Array>(), query, { dataKeys: ["Text"], delimiter: ";" });
+  const senderTags: Tags = await client.getSenderTags("App");
+  return [text, id, tags, description, total, senderTags];
+}
+
+function errors(error: unknown) {
+  if (error instanceof cdplogger.UnknownNodeError) {
+    const name: string = error.nodeName;
+    return name;
+  }
+  if (error instanceof cdplogger.CDPLoggerError) {
+    assertType<Equal<typeof error.code, number | undefined>>();
+    return error.code === Client.ErrorCode.TooManyRequests;
+  }
+  const errorClasses: Array<typeof cdplogger.CDPLoggerError> = [
+    cdplogger.ConnectionClosedError, cdplogger.TimeoutError, cdplogger.AbortError,
+    cdplogger.InvalidRequestError, cdplogger.TooManyRequestsError
+  ];
+  return errorClasses;
+}
+
+async function transportsAndRecording() {
+  const memory = new MemoryTransport(connection => {
+    connection.onmessage = bytes => connection.send(new Uint8Array(bytes));
+  });
+  const webSocket = new WebSocketTransport({
+    connection: { rejectUnauthorized: false },
+    tokenProvider: () => Promise.resolve("token"),
+    createWebSocket: (url, token) => ({ url, token })
+  });
+  const custom: cdplogger.Transport = {
+    connect: () => ({ send() {}, close() {}, onopen: null, onmessage: null, onerror: null, onclose: null })
+  };
+  const client = new Client("memory", { transport: memory });
+  new Client("memory", { transport: webSocket });
+  new Client("memory", { transport: custom });
+
+  const recording: SessionRecording = client.startRecording({ redact: { tags: true, eventData: ["Text"] } });
+  client.startRecording({ filter: (direction, container) => direction === "receive" || !container.eventsRequest });
+  // @ts-expect-error The direction is "send" or "receive".
+  client.startRecording({ filter: (direction: number) => direction > 0 });
+  const stopped = client.stopRecording();
+  assertType<Equal<typeof stopped, SessionRecording | null>>();
+  const text = recording.serialize();
+  const replay = new ReplayTransport(SessionRecording.parse(text));
+  new Client(replay.recording.endpoint, false, { transport: replay });
+  const done: boolean = replay.done;
+  return done;
+}
+
+assertType<Equal<CDPValue<CDPValueType.eDOUBLE>, number>>();
+assertType<Equal<CDPValue<CDPValueType.eUINT64>, number>>();
+assertType<Equal<CDPValue<CDPValueType.eBOOL>, boolean>>();
+assertType<Equal<CDPValue<CDPValueType.eSTRING>, string>>();
+assertType<Equal<CDPValue, number | boolean | string>>();
+assertType<Equal<typeof cdplogger.CDPValueType.eSTRING, CDPValueType.eSTRING>>();
+
+export { connecting, nodesAndLimits, dataPoints, events, errors, transportsAndRecording };
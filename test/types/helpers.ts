@@ -0,0 +1,10 @@
+// Compile-time assertions for the type tests.
+
+export type Equal<A, B> =
+  (<T>() => T extends A ? 1 : 2) extends (<T>() => T extends B ? 1 : 2) ? true : false;
+
+/** Fails to compile unless `Check` is true, e.g. `assertType<Equal<A, B>>()`. */
+export function assertType<Check extends true>(): void {}
+
+/** Declares a value of a type without creating one. */
+export declare function valueOf<T>(): T;
@@ -0,0 +1,30 @@
+// Type tests for mockServer.d.ts.
+
+import { Client } from "../../client";
+import { MemoryTransport } from "../../transports";
+import { createDataset, Dataset, ErrorCode, Fault, MockLogServer } from "../../mockServer";
+import { assertType, Equal } from "./helpers";
+
+assertType<Equal<typeof ErrorCode, typeof Client.ErrorCode>>();
+
+async function mockServer() {
+  const dataset: Dataset = createDataset({ seed: 7, durationS: 600 });
+  const server = new MockLogServer({ dataset, clockOffsetS: 2 });
+  const url: string = await server.listen();
+  new Client(url, false);
+  assertType<Equal<ReturnType<MockLogServer["createTransport"]>, MemoryTransport>>();
+  new Client("memory", { transport: server.createTransport() });
+
+  const fault: Fault = server.injectFault({ type: "eVersionRequest", times: 1, error: { code: ErrorCode.TooManyRequests } });
+  server.injectFault({ match: request => Boolean(request.signalDataRequest), delayMs: 50 });
+  server.injectFault({ type: "eSignalInfoRequest", close: { code: 4000, reason: "Going away" } });
+  // @ts-expect-error An error needs a code.
+  server.injectFault({ error: { message: "Rejected" } });
+  server.removeFault(fault);
+  server.clearFaults();
+  server.closeConnections(4000, "Going away");
+  await server.close();
+  return dataset.nodes.map(node => node.name);
+}
+
+export { mockServer };
@@ -0,0 +1,17 @@
+// Type tests for pyramid.d.ts.
+
+import { Client, DataPoint } from "../../client";
+import { DataPointPyramid } from "../../pyramid";
+import { assertType, Equal } from "./helpers";
+
+async function zooming(client: Client) {
+  const pyramid = new DataPointPyramid<{ Output: number }>(client, ["Output"], { maxTiles: 100 });
+  const rows = await pyramid.request(0, 3600, 800, { signal: new AbortController().signal });
+  assertType<Equal<typeof rows, Array<DataPoint<{ Output: number }>>>>();
+  assertType<Equal<ReturnType<Client["createDataPointPyramid"]>, DataPointPyramid>>();
+  // @ts-expect-error Not one of the typed nodes.
+  new DataPointPyramid<{ Output: number }>(client, ["Missing"]);
+  return rows;
+}
+
+export { zooming };
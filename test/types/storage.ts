@@ -0,0 +1,12 @@
+// Type tests for storage.d.ts.
+
+import { StorageAdapter } from "../../client";
+import { FileStorage, IndexedDBStorage } from "../../storage";
+
+const browser: StorageAdapter = new IndexedDBStorage();
+const named: string = new IndexedDBStorage("cache").databaseName;
+const files: StorageAdapter = new FileStorage("./.cdplogger-cache");
+// @ts-expect-error The directory is required.
+new FileStorage();
+
+export { browser, named, files };
@@ -0,0 +1,13 @@
+// Type declarations for transports.js.
+
+import type { Transport, TransportConnection } from "./client";
+
+export { WebSocketTransport } from "./client";
+export type { WebSocketConnection } from "./client";
+
+/** A transport connecting a client to a server in the same process. */
+export declare class MemoryTransport implements Transport {
+  /** @param onConnection Called with the server end of each connection. */
+  constructor(onConnection: (connection: TransportConnection, url: string) => void);
+  connect(url: string): TransportConnection;
+}
@@ -0,0 +1,107 @@
+// Transports carrying the protocol frames between a client and the logger.
+// The default WebSocketTransport is defined in client.js and exported here too.
+//
+// Node.js:  const { WebSocketTransport, MemoryTransport } = require('cdplogger-client/transports');
+// Browser:  include client.js and this file; the classes are then available
+//           as cdplogger.transports.
+
+(function () {
+  let cdplogger;          // The client library, for the error classes and WebSocketTransport
+
+  if (typeof window === 'undefined') {
+    // ---- Node / CommonJS ----
+    cdplogger = require('./client');
+  } else {
+    // ---- Browser ----
+    cdplogger = window.cdplogger;      // injected by <script src="client.js">
+  }
+
+  const { ConnectionClosedError, WebSocketTransport } = cdplogger;
+
+  // One end of a MemoryTransport connection.
+  class MemoryConnection {
+    constructor() {
+      this.peer = null;
+      this.closed = false;
+      this.onopen = null;
+      this.onmessage = null;
+      this.onerror = null;
+      this.onclose = null;
+    }
+
+    send(bytes) {
+      if (this.closed) {
+        throw new ConnectionClosedError("Connection was closed");
+      }
+      const copy = new Uint8Array(bytes);
+      setTimeout(() => this.peer.onmessage && this.peer.onmessage(copy), 0);
+    }
+
+    close(code = 1000, reason = "") {
+      if (this.closed) {
+        return;
+      }
+      this.closed = true;
+      this.peer.closed = true;
+      setTimeout(() => {
+        this.onclose && this.onclose({ code, reason });
+        this.peer.onclose && this.peer.onclose({ code, reason });
+      }, 0);
+    }
+  }
+
+  /**
+   * A transport connecting a `Client` to a server in the same process, without a
+   * network, e.g. for tests. Every connection is a pair of linked connection
+   * objects: the client gets one end, and the other end is passed to the
+   * `onConnection` callback. The server end implements the same interface as
+   * the connections of other transports (see `WebSocketTransport` in client.js), so the server
+   * sets its `onmessage` and `onclose` handlers and replies with `send()`.
+   * Frames are delivered asynchronously, in order.
+   *
+   * Example usage:
+   * const transport = new MemoryTransport(connection => {
+   *   connection.onmessage = bytes => connection.send(handleRequest(bytes));
+   * });
+   * const client = new cdplogger.Client("memory", false, { transport });
+   */
+  class MemoryTransport {
+    /**
+     * @param {Function} onConnection - Called with the server end of each
+     *   connection and the URL the client connected to.
+     */
+    constructor(onConnection) {
+      this.onConnection = onConnection;
+    }
+
+    /**
+     * Open a connection.
+     *
+     * @param {string} url - The URL the client connects to.
+     * @returns {Object} The client end of the connection.
+     */
+    connect(url) {
+      const client = new MemoryConnection();
+      const server = new MemoryConnection();
+      client.peer = server;
+      server.peer = client;
+      this.onConnection(server, url);
+      setTimeout(() => !client.closed && client.onopen && client.onopen(), 0);
+      return client;
+    }
+  }
+
+  const transports = {
+    WebSocketTransport,
+    MemoryTransport
+  };
+
+  // For Node.js
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = transports;
+  }
+  // For Browser
+  else if (typeof window !== 'undefined') {
+    window.cdplogger.transports = transports;
+  }
+})();